@@ -1,13 +1,988 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import es from './locales/es.js';
+import en from './locales/en.js';
+
+// Message catalogs by locale. Each maps a key to a template in which {name}
+// stands for a parameter; keys missing from a catalog fall back to Spanish,
+// so a new language only needs its catalog added here. Text produced outside
+// components (errors, history labels) is kept as a message and translated
+// when shown, so that it follows a change of language.
+const LOCALES = { es, en };
+const DEFAULT_LOCALE = 'es';
+const LOCALE_KEY = 'quantum-calculator:locale';
+
+// Saved choice, else the browser's language when there is a catalog for it
+const initialLocale = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(LOCALE_KEY));
+    if (Object.hasOwn(LOCALES, saved)) return saved;
+  } catch {
+    // Not saved
+  }
+  const browser = typeof navigator === 'undefined' ? '' : (navigator.language ?? '').slice(0, 2);
+  return Object.hasOwn(LOCALES, browser) ? browser : DEFAULT_LOCALE;
+};
+
+const translateIn = (locale, key, params = {}) => {
+  const template = LOCALES[locale][key] ?? LOCALES[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? textIn(locale, params[name]) : placeholder));
+};
+
+// A message: a catalog key and its parameters. Messages, and the parameters
+// in them, may also be plain strings and numbers, other messages, or
+// functions of the locale for text that is formatted rather than looked up.
+const localized = (key, params = {}) => ({ key, params });
+
+const textIn = (locale, message) => {
+  if (typeof message === 'function') return message(locale);
+  if (message && typeof message === 'object') return translateIn(locale, message.key, message.params);
+  return String(message);
+};
+
+// Number with a fixed count of decimals in the notation of the locale
+const formatDecimalIn = (locale, value, digits) => value.toLocaleString(locale, {
+  minimumFractionDigits: digits,
+  maximumFractionDigits: digits,
+  useGrouping: false
+});
+
+// The same, as a message parameter formatted when shown
+const decimal = (value, digits) => (locale) => formatDecimalIn(locale, value, digits);
+
+// Error carrying a message as error.localized; its plain message is the
+// Spanish text, for the console
+const localizedError = (message) => {
+  const error = new Error(textIn(DEFAULT_LOCALE, message));
+  error.localized = message;
+  return error;
+};
+
+// Message of a caught error, which for an unexpected one is its own text
+const errorMessage = (error) => error.localized ?? error.message;
+
+// What components get from useLocale: the locale, t(key, params),
+// textOf(message) and formatNumber(value, digits)
+const localeTools = (locale) => ({
+  locale,
+  t: (key, params) => translateIn(locale, key, params),
+  textOf: (message) => textIn(locale, message),
+  formatNumber: (value, digits) => formatDecimalIn(locale, value, digits)
+});
+
+const LocaleContext = createContext(localeTools(DEFAULT_LOCALE));
+const useLocale = () => useContext(LocaleContext);
+
+// Complex number helpers ({ re, im } objects)
+const cMul = (a, b) => ({
+  re: a.re * b.re - a.im * b.im,
+  im: a.re * b.im + a.im * b.re
+});
+
+const cAdd = (a, b) => ({ re: a.re + b.re, im: a.im + b.im });
+
+const cExp = (phase) => ({ re: Math.cos(phase), im: Math.sin(phase) });
+
+const cConj = (a) => ({ re: a.re, im: -a.im });
+
+const cScale = (a, k) => ({ re: a.re * k, im: a.im * k });
+
+const cSub = (a, b) => ({ re: a.re - b.re, im: a.im - b.im });
+
+const cDiv = (a, b) => {
+  const d = b.re * b.re + b.im * b.im;
+  return { re: (a.re * b.re + a.im * b.im) / d, im: (a.im * b.re - a.re * b.im) / d };
+};
+
+const cAbs = (a) => Math.hypot(a.re, a.im);
+
+// 2x2 complex matrix helpers
+const matMul = (a, b) => [0, 1].map((r) => [0, 1].map((c) =>
+  cAdd(cMul(a[r][0], b[0][c]), cMul(a[r][1], b[1][c]))
+));
+
+const matAdjoint = (m) => [
+  [cConj(m[0][0]), cConj(m[1][0])],
+  [cConj(m[0][1]), cConj(m[1][1])]
+];
+
+const matScale = (m, k) => m.map((row) => row.map((a) => cScale(a, k)));
+
+const matAdd = (a, b) => a.map((row, r) => row.map((x, c) => cAdd(x, b[r][c])));
+
+const IDENTITY = [
+  [{ re: 1, im: 0 }, { re: 0, im: 0 }],
+  [{ re: 0, im: 0 }, { re: 1, im: 0 }]
+];
+
+// 2x2 unitary matrices for the named gates, as [[u00, u01], [u10, u11]].
+// Angles (theta, phi, lambda) are in radians.
+const gateMatrix = (name, { theta = 0, phi = 0, lambda = 0, matrix = null } = {}) => {
+  const sqrt2 = Math.sqrt(2);
+  const c = Math.cos(theta / 2);
+  const s = Math.sin(theta / 2);
+  switch (name) {
+    case 'H':
+      return [
+        [{ re: 1 / sqrt2, im: 0 }, { re: 1 / sqrt2, im: 0 }],
+        [{ re: 1 / sqrt2, im: 0 }, { re: -1 / sqrt2, im: 0 }]
+      ];
+    case 'X':
+      return [
+        [{ re: 0, im: 0 }, { re: 1, im: 0 }],
+        [{ re: 1, im: 0 }, { re: 0, im: 0 }]
+      ];
+    case 'Y':
+      return [
+        [{ re: 0, im: 0 }, { re: 0, im: -1 }],
+        [{ re: 0, im: 1 }, { re: 0, im: 0 }]
+      ];
+    case 'Z':
+      return gateMatrix('P', { lambda: Math.PI });
+    case 'S':
+      return gateMatrix('P', { lambda: Math.PI / 2 });
+    case 'Sdg':
+      return gateMatrix('P', { lambda: -Math.PI / 2 });
+    case 'T':
+      return gateMatrix('P', { lambda: Math.PI / 4 });
+    case 'Tdg':
+      return gateMatrix('P', { lambda: -Math.PI / 4 });
+    case 'Rx':
+      return [
+        [{ re: c, im: 0 }, { re: 0, im: -s }],
+        [{ re: 0, im: -s }, { re: c, im: 0 }]
+      ];
+    case 'Ry':
+      return [
+        [{ re: c, im: 0 }, { re: -s, im: 0 }],
+        [{ re: s, im: 0 }, { re: c, im: 0 }]
+      ];
+    case 'Rz':
+      return [
+        [cExp(-theta / 2), { re: 0, im: 0 }],
+        [{ re: 0, im: 0 }, cExp(theta / 2)]
+      ];
+    case 'P':
+      return [
+        [{ re: 1, im: 0 }, { re: 0, im: 0 }],
+        [{ re: 0, im: 0 }, cExp(lambda)]
+      ];
+    case 'U3':
+      // U3(θ,φ,λ) = [[cos(θ/2), -e^{iλ}sin(θ/2)], [e^{iφ}sin(θ/2), e^{i(φ+λ)}cos(θ/2)]]
+      return [
+        [{ re: c, im: 0 }, cMul({ re: -s, im: 0 }, cExp(lambda))],
+        [cMul({ re: s, im: 0 }, cExp(phi)), cMul({ re: c, im: 0 }, cExp(phi + lambda))]
+      ];
+    case 'Custom':
+      // A user-entered unitary, passed as params.matrix
+      return matrix;
+    default:
+      throw new Error(`Unknown gate: ${name}`);
+  }
+};
+
+// Bloch-sphere rotation performed by a 2x2 unitary, up to global phase:
+// U ∝ cos(θ/2)·I − i·sin(θ/2)·(n·σ). Returns the unit axis n and the angle
+// θ ∈ [0, π] (the shorter way round).
+const rotationOfUnitary = (matrix) => {
+  const [[u00, u01], [u10, u11]] = matrix;
+  // Divide by √det U to land in SU(2)
+  const det = cAdd(cMul(u00, u11), cScale(cMul(u01, u10), -1));
+  const halfPhase = -Math.atan2(det.im, det.re) / 2;
+  const scale = 1 / Math.sqrt(Math.hypot(det.re, det.im));
+  const [v00, v01, v10, v11] = [u00, u01, u10, u11].map((u) => cScale(cMul(u, cExp(halfPhase)), scale));
+  let c = (v00.re + v11.re) / 2;
+  let sx = -(v01.im + v10.im) / 2;
+  let sy = (v10.re - v01.re) / 2;
+  let sz = -(v00.im - v11.im) / 2;
+  if (c < 0) {
+    [c, sx, sy, sz] = [-c, -sx, -sy, -sz];
+  }
+  const s = Math.hypot(sx, sy, sz);
+  if (s < 1e-12) return { axis: { x: 0, y: 0, z: 1 }, angle: 0 };
+  return { axis: { x: sx / s, y: sy / s, z: sz / s }, angle: 2 * Math.atan2(s, c) };
+};
+
+// Angle wrapped into (−π, π]
+const wrapAngle = (angle) => {
+  const wrapped = angle - 2 * Math.PI * Math.round(angle / (2 * Math.PI));
+  return wrapped <= -Math.PI + 1e-12 ? wrapped + 2 * Math.PI : wrapped;
+};
+
+// ZYZ Euler angles of a 2x2 unitary: U = e^{iα}·Rz(φ)·Ry(θ)·Rz(λ) with
+// θ ∈ [0, π]. As U3(θ, φ, λ) = e^{i(φ+λ)/2}·Rz(φ)·Ry(θ)·Rz(λ), the same
+// angles give U = e^{iγ}·U3(θ, φ, λ). At θ = 0 only φ + λ is determined and
+// φ is taken as 0; at θ = π only φ − λ, and λ is taken as 0.
+const eulerZYZ = (matrix) => {
+  const [[u00, u01], [u10, u11]] = matrix;
+  const arg = (z) => Math.atan2(z.im, z.re);
+  const theta = 2 * Math.atan2(cAbs(u10), cAbs(u00));
+  // Entry phases: u00 α − (φ+λ)/2, u11 α + (φ+λ)/2, u10 α + (φ−λ)/2 and
+  // −u01 α − (φ−λ)/2
+  const hasCos = cAbs(u00) > 1e-9;
+  const hasSin = cAbs(u10) > 1e-9;
+  const sum = hasCos ? arg(u11) - arg(u00) : 0;
+  // With α = arg(u00) + (φ+λ)/2 fixed by the diagonal, u10 gives φ − λ
+  const difference = !hasSin ? 0
+    : hasCos ? 2 * (arg(u10) - arg(u00) - sum / 2)
+      : arg(u10) - arg(cScale(u01, -1));
+  const phi = wrapAngle(hasCos ? (hasSin ? (sum + difference) / 2 : 0) : difference);
+  const lambda = wrapAngle(hasSin ? (hasCos ? (sum - difference) / 2 : 0) : sum);
+  const alpha = hasCos ? arg(u00) + (phi + lambda) / 2 : arg(u10) - (phi - lambda) / 2;
+  return {
+    theta,
+    phi,
+    lambda,
+    phase: wrapAngle(alpha),
+    u3Phase: wrapAngle(alpha - (phi + lambda) / 2)
+  };
+};
+
+// Product of a gate sequence { name, params }, the first gate acting first
+const unitaryOfGates = (gates) =>
+  gates.reduce((product, { name, params }) => matMul(gateMatrix(name, params), product), IDENTITY);
+
+// Largest entry of |U†U − I|; 0 for a unitary
+const unitarityError = (matrix) => {
+  const deviation = matAdd(matMul(matAdjoint(matrix), matrix), matScale(IDENTITY, -1));
+  return Math.max(...deviation.flat().map(cAbs));
+};
+
+// Rotate a 3D vector about a unit axis (Rodrigues' formula)
+const rotateAbout = (v, axis, angle) => {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dot = v.x * axis.x + v.y * axis.y + v.z * axis.z;
+  const cross = {
+    x: axis.y * v.z - axis.z * v.y,
+    y: axis.z * v.x - axis.x * v.z,
+    z: axis.x * v.y - axis.y * v.x
+  };
+  return {
+    x: v.x * cos + cross.x * sin + axis.x * dot * (1 - cos),
+    y: v.y * cos + cross.y * sin + axis.y * dot * (1 - cos),
+    z: v.z * cos + cross.z * sin + axis.z * dot * (1 - cos)
+  };
+};
+
+// Parse an angle typed in the gate panel. In 'pi' units the value is a
+// multiple of π and may be written as a fraction (e.g. "1/4" → π/4).
+const parseAngle = (text, unit) => {
+  const match = String(text).trim().match(/^(-?\d*\.?\d+)(?:\s*\/\s*(\d*\.?\d+))?$/);
+  if (!match) return NaN;
+  const value = parseFloat(match[1]) / (match[2] ? parseFloat(match[2]) : 1);
+  if (!Number.isFinite(value)) return NaN;
+  return unit === 'pi' ? value * Math.PI : value * Math.PI / 180;
+};
+
+// Complex functions and constants of the amplitude expression language
+const cLog = (z) => ({ re: Math.log(cAbs(z)), im: Math.atan2(z.im, z.re) });
+
+const cExpOf = (z) => cScale(cExp(z.im), Math.exp(z.re));
+
+const cSqrt = (z) => {
+  const r = cAbs(z);
+  return {
+    re: Math.sqrt((r + z.re) / 2),
+    im: (z.im < 0 ? -1 : 1) * Math.sqrt(Math.max(0, (r - z.re) / 2))
+  };
+};
+
+const cSin = ({ re, im }) => ({ re: Math.sin(re) * Math.cosh(im), im: Math.cos(re) * Math.sinh(im) });
+
+const cCos = ({ re, im }) => ({ re: Math.cos(re) * Math.cosh(im), im: -Math.sin(re) * Math.sinh(im) });
+
+// Integer powers by repeated multiplication keep results like (1+i)^2 exact
+const cPow = (base, exponent) => {
+  if (exponent.im === 0 && Number.isInteger(exponent.re) && Math.abs(exponent.re) <= 64) {
+    let result = { re: 1, im: 0 };
+    for (let k = 0; k < Math.abs(exponent.re); k++) result = cMul(result, base);
+    return exponent.re < 0 ? cDiv({ re: 1, im: 0 }, result) : result;
+  }
+  if (base.re === 0 && base.im === 0) {
+    return exponent.re > 0 ? { re: 0, im: 0 } : { re: NaN, im: NaN };
+  }
+  return cExpOf(cMul(exponent, cLog(base)));
+};
+
+const EXPRESSION_CONSTANTS = {
+  pi: { re: Math.PI, im: 0 },
+  'π': { re: Math.PI, im: 0 },
+  e: { re: Math.E, im: 0 },
+  i: { re: 0, im: 1 },
+  j: { re: 0, im: 1 }
+};
+
+// Functions by name: argument count and implementation
+const EXPRESSION_FUNCTIONS = {
+  sqrt: [1, cSqrt],
+  exp: [1, cExpOf],
+  ln: [1, cLog],
+  log: [1, cLog],
+  sin: [1, cSin],
+  cos: [1, cCos],
+  tan: [1, (z) => cDiv(cSin(z), cCos(z))],
+  abs: [1, (z) => ({ re: cAbs(z), im: 0 })],
+  arg: [1, (z) => ({ re: Math.atan2(z.im, z.re), im: 0 })],
+  conj: [1, cConj],
+  re: [1, (z) => ({ re: z.re, im: 0 })],
+  im: [1, (z) => ({ re: z.im, im: 0 })],
+  cis: [1, (z) => cExpOf(cMul({ re: 0, im: 1 }, z))],
+  polar: [2, (r, theta) => cMul(r, cExpOf(cMul({ re: 0, im: 1 }, theta)))]
+};
+
+const EXPRESSION_TOKEN = /(\s+)|(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_π]\w*)|(\*\*|[-+*/^(),∠°√·×−])/y;
+
+const EXPRESSION_SYMBOL_ALIASES = { '·': '*', '×': '*', '−': '-', '**': '^' };
+
+// Error (a catalog key and its parameters) at a 0-based index of the
+// expression, reported 1-based
+const expressionError = (key, index, params) => {
+  const error = localizedError(localized('expression.column', { column: index + 1, message: localized(key, params) }));
+  error.column = index + 1;
+  return error;
+};
+
+// Evaluate a complex expression typed as an amplitude, e.g. "1/sqrt(2)",
+// "e^(i*pi/4)", "0.5∠60°" or "(1+i)/2". Supports + - * / ^, implicit
+// products (2i, 3pi), √, degrees (°), polar r∠θ and the functions above.
+// Throws an Error naming the column of the first problem.
+const evaluateComplex = (text) => {
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+  while (EXPRESSION_TOKEN.lastIndex < text.length) {
+    const index = EXPRESSION_TOKEN.lastIndex;
+    const match = EXPRESSION_TOKEN.exec(text);
+    if (!match) {
+      throw expressionError('expression.unexpectedCharacter', index, { character: text[index] });
+    }
+    const [lexeme, space, number, name] = match;
+    if (space) continue;
+    const type = number ? 'number' : name ? 'name' : 'symbol';
+    tokens.push({ type, value: EXPRESSION_SYMBOL_ALIASES[lexeme] || lexeme, index });
+  }
+  if (tokens.length === 0) {
+    throw expressionError('expression.empty', 0);
+  }
+  tokens.push({ type: 'end', value: localized('expression.end'), index: text.length });
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const accept = (value) => {
+    if (peek().type === 'symbol' && peek().value === value) {
+      pos++;
+      return true;
+    }
+    return false;
+  };
+  const expect = (value) => {
+    if (!accept(value)) {
+      throw expressionError('expression.expected', peek().index, { expected: value, found: peek().value });
+    }
+  };
+
+  const parsePolar = () => {
+    const modulus = parseSum();
+    if (!accept('∠')) return modulus;
+    return EXPRESSION_FUNCTIONS.polar[1](modulus, parseSum());
+  };
+  const parseSum = () => {
+    let value = parseProduct();
+    while (peek().value === '+' || peek().value === '-') {
+      const op = tokens[pos++].value;
+      const term = parseProduct();
+      value = op === '+' ? cAdd(value, term) : cSub(value, term);
+    }
+    return value;
+  };
+  // Juxtaposition (2i, 3(1+i), i pi) multiplies like *
+  const startsFactor = (token) => token.type === 'name' || (token.type === 'symbol' && ['(', '√'].includes(token.value));
+  const parseProduct = () => {
+    let value = parseUnary();
+    for (;;) {
+      const token = peek();
+      if (accept('*') || startsFactor(token)) {
+        value = cMul(value, parseUnary());
+      } else if (accept('/')) {
+        const divisor = parseUnary();
+        if (divisor.re === 0 && divisor.im === 0) {
+          throw expressionError('expression.divisionByZero', token.index);
+        }
+        value = cDiv(value, divisor);
+      } else {
+        return value;
+      }
+    }
+  };
+  const parseUnary = () => {
+    if (accept('-')) return cScale(parseUnary(), -1);
+    if (accept('+')) return parseUnary();
+    const base = parsePostfix();
+    return accept('^') ? cPow(base, parseUnary()) : base;
+  };
+  const parsePostfix = () => {
+    const value = parsePrimary();
+    return accept('°') ? cScale(value, Math.PI / 180) : value;
+  };
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (token.type === 'number') {
+      return { re: Number(token.value), im: 0 };
+    }
+    if (token.type === 'name' && Object.hasOwn(EXPRESSION_FUNCTIONS, token.value)) {
+      const [arity, fn] = EXPRESSION_FUNCTIONS[token.value];
+      expect('(');
+      const args = [parsePolar()];
+      while (accept(',')) args.push(parsePolar());
+      if (args.length !== arity) {
+        throw expressionError('expression.arity', token.index, { name: token.value, arity });
+      }
+      expect(')');
+      return fn(...args);
+    }
+    if (token.type === 'name' && Object.hasOwn(EXPRESSION_CONSTANTS, token.value)) {
+      return { ...EXPRESSION_CONSTANTS[token.value] };
+    }
+    if (token.type === 'name') {
+      throw expressionError('expression.unknownName', token.index, { name: token.value });
+    }
+    if (token.value === '(' && token.type === 'symbol') {
+      const value = parsePolar();
+      expect(')');
+      return value;
+    }
+    if (token.value === '√' && token.type === 'symbol') {
+      return cSqrt(parsePostfix());
+    }
+    throw expressionError('expression.expectedNumber', token.index, { found: token.value });
+  };
+
+  const value = parsePolar();
+  if (peek().type !== 'end') {
+    throw expressionError('expression.unexpected', peek().index, { found: peek().value });
+  }
+  if (!Number.isFinite(value.re) || !Number.isFinite(value.im)) {
+    throw expressionError('expression.notFinite', 0);
+  }
+  return value;
+};
+
+// An angle in radians as a fraction { numerator, denominator } of π with a
+// small denominator, or null when it is not one
+const piFraction = (radians) => {
+  const ratio = radians / Math.PI;
+  for (const denominator of [1, 2, 3, 4, 6, 8, 12, 16]) {
+    const numerator = Math.round(ratio * denominator);
+    if (Math.abs(ratio * denominator - numerator) < 1e-9) {
+      return { numerator, denominator };
+    }
+  }
+  return null;
+};
+
+// A piFraction as written: π/4, -3π/2…
+const formatPiFraction = ({ numerator, denominator }) => {
+  if (numerator === 0) return '0';
+  const sign = numerator < 0 ? '-' : '';
+  const magnitude = Math.abs(numerator) === 1 ? '' : Math.abs(numerator);
+  return `${sign}${magnitude}π${denominator === 1 ? '' : `/${denominator}`}`;
+};
+
+// Format an angle in radians as a simple multiple of π when it is one,
+// otherwise in degrees in the notation of the locale
+const formatAngle = (radians, locale) => {
+  const fraction = piFraction(radians);
+  return fraction ? formatPiFraction(fraction) : `${formatDecimalIn(locale, radians * 180 / Math.PI, 1)}°`;
+};
+
+// Display symbol and color of each named gate
+const GATE_STYLES = {
+  H: { symbol: 'H', color: '#a855f7' },
+  X: { symbol: 'X', color: '#ef4444' },
+  Y: { symbol: 'Y', color: '#22c55e' },
+  Z: { symbol: 'Z', color: '#3b82f6' },
+  S: { symbol: 'S', color: '#6366f1' },
+  Sdg: { symbol: 'S†', color: '#6366f1' },
+  T: { symbol: 'T', color: '#6366f1' },
+  Tdg: { symbol: 'T†', color: '#6366f1' },
+  Rx: { symbol: 'Rx', color: '#06b6d4' },
+  Ry: { symbol: 'Ry', color: '#06b6d4' },
+  Rz: { symbol: 'Rz', color: '#06b6d4' },
+  P: { symbol: 'P', color: '#06b6d4' },
+  U3: { symbol: 'U3', color: '#06b6d4' },
+  Custom: { symbol: 'U', color: '#f472b6' }
+};
+
+// Angle parameters taken by the parametric gates, in argument order
+const GATE_PARAMS = {
+  Rx: ['theta'],
+  Ry: ['theta'],
+  Rz: ['theta'],
+  P: ['lambda'],
+  U3: ['theta', 'phi', 'lambda']
+};
+
+// Label of a gate step { name, params }, e.g. "Rx(π/2)"
+const gateLabel = ({ name, params = {} }, locale) => {
+  const symbol = GATE_STYLES[name] ? GATE_STYLES[name].symbol : name;
+  const angle = (radians) => formatAngle(radians, locale);
+  switch (name) {
+    case 'Rx':
+    case 'Ry':
+    case 'Rz':
+      return `${symbol}(${angle(params.theta)})`;
+    case 'P':
+      return `${symbol}(${angle(params.lambda)})`;
+    case 'U3':
+      return `${symbol}(${angle(params.theta)},${angle(params.phi)},${angle(params.lambda)})`;
+    case 'Custom':
+      return params.label || symbol;
+    default:
+      return symbol;
+  }
+};
+
+// Labels of a gate sequence, space-separated, as a message parameter
+const gateSequenceLabel = (gates) => (locale) => gates.map((gate) => gateLabel(gate, locale)).join(' ');
+
+// Seedable pseudo-random generator (mulberry32). Returns a function that
+// yields numbers in [0, 1), reproducible for a given seed.
+const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Turn any seed text into a 32-bit integer (FNV-1a); numeric text is used as is
+const hashSeed = (text) => {
+  const trimmed = String(text).trim();
+  if (/^\d+$/.test(trimmed)) return Number(trimmed) >>> 0;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < trimmed.length; i++) {
+    hash ^= trimmed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Pick an outcome index given its probabilities and a uniform sample source
+const sampleOutcome = (probabilities, random = Math.random) => {
+  const r = random();
+  let cumulative = 0;
+  for (let i = 0; i < probabilities.length - 1; i++) {
+    cumulative += probabilities[i];
+    if (r < cumulative) return i;
+  }
+  return probabilities.length - 1;
+};
+
+// ln Γ(x) (Lanczos approximation)
+const logGamma = (x) => {
+  const g = 7;
+  const coefficients = [
+    0.9999999999998099, 676.5203681218851, -1259.1392167224028,
+    771.3234287776531, -176.61503916999186, 12.507343278686905,
+    -0.13857109526572012, 9.984369578019572e-6, 1.5056327351493116e-7
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const z = x - 1;
+  let sum = coefficients[0];
+  for (let i = 1; i < g + 2; i++) sum += coefficients[i] / (z + i);
+  const t = z + g + 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+// Regularized upper incomplete gamma function Q(a, x)
+const gammaQ = (a, x) => {
+  if (x <= 0) return 1;
+  const logPrefactor = -x + a * Math.log(x) - logGamma(a);
+  if (x < a + 1) {
+    // Series for P(a, x)
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return 1 - sum * Math.exp(logPrefactor);
+  }
+  // Continued fraction for Q(a, x) (modified Lentz)
+  let b = x + 1 - a;
+  let c = 1e300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return h * Math.exp(logPrefactor);
+};
+
+// Pearson chi-square goodness of fit of observed counts against the
+// theoretical probabilities. Outcomes with zero expected probability are left
+// out of the degrees of freedom; observing one makes the fit impossible.
+const chiSquareTest = (counts, probabilities) => {
+  const total = counts.reduce((sum, n) => sum + n, 0);
+  let chi2 = 0;
+  let bins = 0;
+  for (let i = 0; i < counts.length; i++) {
+    const expected = probabilities[i] * total;
+    if (expected < 1e-12) {
+      if (counts[i] > 0) return { chi2: Infinity, df: Math.max(bins, 1), pValue: 0 };
+      continue;
+    }
+    chi2 += (counts[i] - expected) ** 2 / expected;
+    bins++;
+  }
+  const df = bins - 1;
+  return { chi2, df, pValue: df > 0 ? gammaQ(df / 2, chi2 / 2) : 1 };
+};
+
+// Displays of amplitudes and Bloch vectors, in the notation of the locale
+// (a decimal comma makes the vector separator a semicolon)
+const formatComplex = (c, locale) => {
+  const part = (value) => formatDecimalIn(locale, value, 3);
+  if (Math.abs(c.im) < 0.0001) return part(c.re);
+  if (Math.abs(c.re) < 0.0001) return `${part(c.im)}i`;
+  const sign = c.im >= 0 ? '+' : '';
+  return `${part(c.re)}${sign}${part(c.im)}i`;
+};
+
+const formatVector = (components, digits, locale) => components
+  .map((v) => formatDecimalIn(locale, v, digits))
+  .join(translateIn(locale, 'format.separator'));
+
+const formatBlochVector = ({ x, y, z }, locale) => `(${formatVector([x, y, z], 3, locale)})`;
+
+// cos and sin of π/8, which Clifford+T sequences produce as moduli
+const NESTED_RADICALS = [
+  [Math.sqrt(2 + Math.SQRT2) / 2, '√(2+√2)/2'],
+  [Math.sqrt(2 - Math.SQRT2) / 2, '√(2−√2)/2']
+];
+
+// Closed form of a real number as ±(p/q)·√n for small p, q and square-free
+// n (3/4, √3/2, 1/√2…) or cos/sin(π/8), or null when it is not one
+const recognizeReal = (x) => {
+  if (Math.abs(x) < 1e-12) return '0';
+  const sign = x < 0 ? '-' : '';
+  for (const n of [1, 2, 3, 5, 6]) {
+    const root = Math.sqrt(n);
+    for (let q = 1; q <= 16; q++) {
+      const p = Math.round(Math.abs(x) * q / root);
+      if (p === 0 || p > 64 || Math.abs(p * root / q - Math.abs(x)) > 1e-10) continue;
+      if (n === 1) return `${sign}${p}${q === 1 ? '' : `/${q}`}`;
+      // p√n/q with p = 1 and q = n reads better as 1/√n
+      if (p === 1 && q === n) return `${sign}1/√${n}`;
+      return `${sign}${p === 1 ? '' : p}√${n}${q === 1 ? '' : `/${q}`}`;
+    }
+  }
+  const radical = NESTED_RADICALS.find(([value]) => Math.abs(value - Math.abs(x)) < 1e-10);
+  return radical ? `${sign}${radical[1]}` : null;
+};
+
+// i·m for a closed-form magnitude m ("i", "i/√2", "i·√3/2")
+const imaginaryTimes = (magnitude) => {
+  if (magnitude === '1') return 'i';
+  return magnitude.startsWith('1/') ? `i${magnitude.slice(1)}` : `i·${magnitude}`;
+};
+
+// Closed form of a complex number: real or imaginary, polar r·e^(iπk/n)
+// with a recognizable modulus, or a + i·b; null when none applies
+const recognizeComplex = (c) => {
+  const modulus = cAbs(c);
+  if (modulus < 1e-12) return '0';
+  const magnitude = recognizeReal(modulus);
+  const fraction = piFraction(Math.atan2(c.im, c.re));
+  if (magnitude && fraction) {
+    const quarter = (fraction.numerator * 2) / fraction.denominator;
+    if (quarter === 0) return magnitude;
+    if (Math.abs(quarter) === 2) return `-${magnitude}`;
+    if (quarter === 1) return imaginaryTimes(magnitude);
+    if (quarter === -1) return `-${imaginaryTimes(magnitude)}`;
+    const phase = `e^(${fraction.numerator < 0 ? '-' : ''}i${formatPiFraction({ ...fraction, numerator: Math.abs(fraction.numerator) })})`;
+    if (magnitude === '1') return phase;
+    return magnitude.startsWith('1/') ? `${phase}${magnitude.slice(1)}` : `${magnitude}·${phase}`;
+  }
+  const real = recognizeReal(c.re);
+  const imag = recognizeReal(Math.abs(c.im));
+  if (real && imag) {
+    return `${real} ${c.im < 0 ? '-' : '+'} ${imaginaryTimes(imag)}`;
+  }
+  return null;
+};
+
+// Exact display of a complex number where possible, else 3 decimals
+const formatExact = (c, locale) => recognizeComplex(c) || formatComplex(c, locale);
+
+// Split a ket as e^{iγ}(a|0⟩ + b|1⟩) with a real and non-negative. Returns
+// { globalPhase: γ, alpha: a, beta: b }.
+const factorGlobalPhase = ({ alpha, beta }) => {
+  const reference = cAbs(alpha) > 1e-12 ? alpha : beta;
+  const globalPhase = Math.atan2(reference.im, reference.re);
+  const unwind = cExp(-globalPhase);
+  return {
+    globalPhase,
+    alpha: cMul(alpha, unwind),
+    beta: cMul(beta, unwind)
+  };
+};
+
+// Measurement bases: outcome labels, the eigenstate [α, β] each outcome
+// collapses to and the Bloch axis of the first one
+const MEASUREMENT_BASES = {
+  Z: {
+    label: 'Z',
+    axis: { x: 0, y: 0, z: 1 },
+    outcomes: ['|0⟩', '|1⟩'],
+    eigenstates: [
+      [{ re: 1, im: 0 }, { re: 0, im: 0 }],
+      [{ re: 0, im: 0 }, { re: 1, im: 0 }]
+    ]
+  },
+  X: {
+    label: 'X',
+    axis: { x: 1, y: 0, z: 0 },
+    outcomes: ['|+⟩', '|-⟩'],
+    eigenstates: [
+      [{ re: Math.SQRT1_2, im: 0 }, { re: Math.SQRT1_2, im: 0 }],
+      [{ re: Math.SQRT1_2, im: 0 }, { re: -Math.SQRT1_2, im: 0 }]
+    ]
+  },
+  Y: {
+    label: 'Y',
+    axis: { x: 0, y: 1, z: 0 },
+    outcomes: ['|+i⟩', '|-i⟩'],
+    eigenstates: [
+      [{ re: Math.SQRT1_2, im: 0 }, { re: 0, im: Math.SQRT1_2 }],
+      [{ re: Math.SQRT1_2, im: 0 }, { re: 0, im: -Math.SQRT1_2 }]
+    ]
+  }
+};
+
+// Projective measurement along the unit Bloch vector n̂(θ, φ), in the shape of
+// MEASUREMENT_BASES: |+n⟩ is the state on the axis, |−n⟩ its antipode
+const axisBasis = (theta, phi) => {
+  const c = Math.cos(theta / 2);
+  const s = Math.sin(theta / 2);
+  const degrees = (angle) => formatInputNumber(angle * 180 / Math.PI, 1);
+  return {
+    label: `n̂(${degrees(theta)}°, ${degrees(phi)}°)`,
+    axis: { x: Math.sin(theta) * Math.cos(phi), y: Math.sin(theta) * Math.sin(phi), z: Math.cos(theta) },
+    outcomes: ['|+n⟩', '|−n⟩'],
+    eigenstates: [
+      [{ re: c, im: 0 }, cScale(cExp(phi), s)],
+      [{ re: s, im: 0 }, cScale(cExp(phi), -c)]
+    ]
+  };
+};
+
+// A basis given by name (a key of MEASUREMENT_BASES) or as a basis object
+const measurementBasis = (basis) => {
+  const resolved = typeof basis === 'string' ? MEASUREMENT_BASES[basis] : basis;
+  if (!resolved) throw new Error(`Unknown measurement basis: ${basis}`);
+  return resolved;
+};
+
+// Exact arithmetic over ℤ[1/√2, i], the ring Clifford+T circuits never leave.
+// An element is (a + bω + cω² + dω³)/√2^k with ω = e^{iπ/4}, BigInt
+// coefficients and k ≥ 0 as small as possible. Instances are immutable.
+class ExactNumber {
+  constructor(coefficients = [0n, 0n, 0n, 0n], k = 0) {
+    this.coefficients = coefficients;
+    this.k = k;
+    this.reduce();
+  }
+
+  static fromInteger(n) {
+    return new ExactNumber([BigInt(n), 0n, 0n, 0n]);
+  }
+
+  // The element equal to a float complex number, with denominator at most
+  // √2^maxK, or null. Solves re·√2^k = a + (b − d)/√2 and
+  // im·√2^k = c + (b + d)/√2 for integers.
+  static fromComplex({ re, im }, maxK = 8) {
+    const split = (value, bound) => {
+      for (let u = -bound; u <= bound; u++) {
+        const a = value - u * Math.SQRT1_2;
+        if (Math.abs(a - Math.round(a)) < 1e-9) return [Math.round(a), u];
+      }
+      return null;
+    };
+    for (let k = 0; k <= maxK; k++) {
+      const scale = Math.SQRT2 ** k;
+      const bound = Math.ceil(2 * scale) + 1;
+      const real = split(re * scale, bound);
+      const imag = split(im * scale, bound);
+      if (!real || !imag) continue;
+      const [a, u] = real;
+      const [c, v] = imag;
+      if ((u + v) % 2 !== 0) continue;
+      return new ExactNumber([a, (u + v) / 2, c, (v - u) / 2].map(BigInt), k);
+    }
+    return null;
+  }
+
+  // Divide out √2 while the coefficients allow it: x/√2 = x(ω − ω³)/2 is in
+  // ℤ[ω] exactly when a ≡ c and b ≡ d (mod 2)
+  reduce() {
+    while (this.k > 0) {
+      const [a, b, c, d] = this.coefficients;
+      if ((a - c) % 2n !== 0n || (b - d) % 2n !== 0n) break;
+      this.coefficients = [(b - d) / 2n, (a + c) / 2n, (b + d) / 2n, (c - a) / 2n];
+      this.k -= 1;
+    }
+    return this;
+  }
+
+  // Coefficients over the larger denominator √2^(k + shift)
+  scaledCoefficients(shift) {
+    let [a, b, c, d] = this.coefficients;
+    for (let s = 0; s < shift; s++) {
+      [a, b, c, d] = [b - d, a + c, b + d, c - a];
+    }
+    return [a, b, c, d];
+  }
+
+  add(other) {
+    const k = Math.max(this.k, other.k);
+    const x = this.scaledCoefficients(k - this.k);
+    const y = other.scaledCoefficients(k - other.k);
+    return new ExactNumber(x.map((value, i) => value + y[i]), k);
+  }
+
+  negate() {
+    return new ExactNumber(this.coefficients.map((value) => -value), this.k);
+  }
+
+  // Polynomial product in ω, folded with ω⁴ = −1
+  multiply(other) {
+    const product = [0n, 0n, 0n, 0n];
+    this.coefficients.forEach((x, i) => {
+      other.coefficients.forEach((y, j) => {
+        if (i + j < 4) {
+          product[i + j] += x * y;
+        } else {
+          product[i + j - 4] -= x * y;
+        }
+      });
+    });
+    return new ExactNumber(product, this.k + other.k);
+  }
+
+  // Times ω^n
+  multiplyOmega(n) {
+    let coefficients = this.coefficients;
+    for (let s = 0; s < ((n % 8) + 8) % 8; s++) {
+      const [a, b, c, d] = coefficients;
+      coefficients = [-d, a, b, c];
+    }
+    return new ExactNumber(coefficients, this.k);
+  }
+
+  divideSqrt2() {
+    return new ExactNumber([...this.coefficients], this.k + 1);
+  }
+
+  // conj(ω) = ω⁻¹ = −ω³
+  conjugate() {
+    const [a, b, c, d] = this.coefficients;
+    return new ExactNumber([a, -d, -c, -b], this.k);
+  }
+
+  isZero() {
+    return this.coefficients.every((value) => value === 0n);
+  }
+
+  equals(other) {
+    return this.add(other.negate()).isZero();
+  }
+
+  // Float value, for rendering: ω = (1 + i)/√2 and ω³ = (−1 + i)/√2
+  toComplex() {
+    const [a, b, c, d] = this.coefficients.map(Number);
+    const scale = 2 ** -Math.floor(this.k / 2) * (this.k % 2 === 1 ? Math.SQRT1_2 : 1);
+    return {
+      re: (a + (b - d) * Math.SQRT1_2) * scale,
+      im: (c + (b + d) * Math.SQRT1_2) * scale
+    };
+  }
+
+  // e.g. "(1 + ω)/2", "-ω³", "(3 - 2ω²)/(4√2)"
+  toString() {
+    const terms = [];
+    this.coefficients.forEach((value, power) => {
+      if (value === 0n) return;
+      const magnitude = value < 0n ? -value : value;
+      const unit = ['', 'ω', 'ω²', 'ω³'][power];
+      const text = power > 0 && magnitude === 1n ? unit : `${magnitude}${unit}`;
+      terms.push(terms.length === 0 ? `${value < 0n ? '-' : ''}${text}` : `${value < 0n ? ' - ' : ' + '}${text}`);
+    });
+    if (terms.length === 0) return '0';
+    const numerator = terms.join('');
+    if (this.k === 0) return numerator;
+    const half = 2 ** Math.floor(this.k / 2);
+    const denominator = this.k % 2 === 0 ? `${half}` : half === 1 ? '√2' : `(${half}√2)`;
+    return `${terms.length > 1 ? `(${numerator})` : numerator}/${denominator}`;
+  }
+}
+
+// Clifford+T gates on exact amplitudes { alpha, beta }, following gateMatrix
+const EXACT_GATES = {
+  H: ({ alpha, beta }) => ({ alpha: alpha.add(beta).divideSqrt2(), beta: alpha.add(beta.negate()).divideSqrt2() }),
+  X: ({ alpha, beta }) => ({ alpha: beta, beta: alpha }),
+  Y: ({ alpha, beta }) => ({ alpha: beta.multiplyOmega(6), beta: alpha.multiplyOmega(2) }),
+  Z: ({ alpha, beta }) => ({ alpha, beta: beta.multiplyOmega(4) }),
+  S: ({ alpha, beta }) => ({ alpha, beta: beta.multiplyOmega(2) }),
+  Sdg: ({ alpha, beta }) => ({ alpha, beta: beta.multiplyOmega(6) }),
+  T: ({ alpha, beta }) => ({ alpha, beta: beta.multiplyOmega(1) }),
+  Tdg: ({ alpha, beta }) => ({ alpha, beta: beta.multiplyOmega(7) })
+};
 
 // Quantum state class for calculations
+// exact holds the amplitudes as ExactNumbers ({ alpha, beta }) while the
+// state is known to lie in ℤ[1/√2, i]; alpha and beta are then their float
+// values. Gates outside Clifford+T, and any float operation, clear it.
 class QubitState {
   constructor(alpha = { re: 1, im: 0 }, beta = { re: 0, im: 0 }) {
     this.alpha = alpha;
     this.beta = beta;
+    this.exact = null;
     this.normalize();
   }
 
+  static fromExact(alpha, beta) {
+    const state = new QubitState(alpha.toComplex(), beta.toComplex());
+    state.exact = { alpha, beta };
+    return state;
+  }
+
+  // Switch to exact amplitudes when the float ones are recognizable ring
+  // elements of norm exactly 1; otherwise leave the state as it is
+  recognizeExact() {
+    if (this.exact) return this;
+    const alpha = ExactNumber.fromComplex(this.alpha);
+    const beta = ExactNumber.fromComplex(this.beta);
+    if (!alpha || !beta) return this;
+    const norm = alpha.multiply(alpha.conjugate()).add(beta.multiply(beta.conjugate()));
+    if (!norm.equals(ExactNumber.fromInteger(1))) return this;
+    this.exact = { alpha, beta };
+    this.alpha = alpha.toComplex();
+    this.beta = beta.toComplex();
+    return this;
+  }
+
   normalize() {
     const norm = Math.sqrt(
       this.alpha.re ** 2 + this.alpha.im ** 2 +
@@ -25,9 +1000,10 @@ class QubitState {
   toBlochCoordinates() {
     // θ (theta) from |alpha|^2
     const alphaMag2 = this.alpha.re ** 2 + this.alpha.im ** 2;
-    const theta = 2 * Math.acos(Math.sqrt(alphaMag2));
+    const theta = 2 * Math.acos(Math.min(1, Math.sqrt(alphaMag2)));
 
-    // φ (phi) from arg(beta/alpha)
+    // φ (phi) from arg(beta/alpha); undefined at the poles, where α or β is
+    // zero and the phase of the zero amplitude comes out as 0
     const betaPhase = Math.atan2(this.beta.im, this.beta.re);
     const alphaPhase = Math.atan2(this.alpha.im, this.alpha.re);
     const phi = betaPhase - alphaPhase;
@@ -43,6 +1019,7 @@ class QubitState {
 
   // Apply Hadamard gate
   applyHadamard() {
+    this.exact = null;
     const sqrt2 = Math.sqrt(2);
     const newAlpha = {
       re: (this.alpha.re + this.beta.re) / sqrt2,
@@ -59,6 +1036,7 @@ class QubitState {
 
   // Apply Pauli X gate (bit flip)
   applyPauliX() {
+    this.exact = null;
     const temp = { ...this.alpha };
     this.alpha = { ...this.beta };
     this.beta = temp;
@@ -67,6 +1045,7 @@ class QubitState {
 
   // Apply Pauli Y gate
   applyPauliY() {
+    this.exact = null;
     const temp = { re: this.alpha.re, im: this.alpha.im };
     this.alpha = { re: -this.beta.im, im: this.beta.re };
     this.beta = { re: temp.im, im: -temp.re };
@@ -75,11 +1054,106 @@ class QubitState {
 
   // Apply Pauli Z gate (phase flip)
   applyPauliZ() {
+    this.exact = null;
     this.beta.re = -this.beta.re;
     this.beta.im = -this.beta.im;
     return this;
   }
 
+  // Apply an arbitrary 2x2 unitary [[u00, u01], [u10, u11]]
+  applyUnitary(matrix) {
+    this.exact = null;
+    const [[u00, u01], [u10, u11]] = matrix;
+    const newAlpha = cAdd(cMul(u00, this.alpha), cMul(u01, this.beta));
+    const newBeta = cAdd(cMul(u10, this.alpha), cMul(u11, this.beta));
+    this.alpha = newAlpha;
+    this.beta = newBeta;
+    return this;
+  }
+
+  // Rotations about the Bloch axes: R_n(θ) = e^{-iθ(n·σ)/2}
+  applyRx(theta) {
+    return this.applyUnitary(gateMatrix('Rx', { theta }));
+  }
+
+  applyRy(theta) {
+    return this.applyUnitary(gateMatrix('Ry', { theta }));
+  }
+
+  applyRz(theta) {
+    return this.applyUnitary(gateMatrix('Rz', { theta }));
+  }
+
+  // Apply phase gate P(λ) = diag(1, e^{iλ})
+  applyPhase(lambda) {
+    return this.applyUnitary(gateMatrix('P', { lambda }));
+  }
+
+  // Apply general single-qubit gate U3(θ, φ, λ)
+  applyU3(theta, phi, lambda) {
+    return this.applyUnitary(gateMatrix('U3', { theta, phi, lambda }));
+  }
+
+  // Clifford+T phase gates: S = P(π/2), T = P(π/4) and their adjoints
+  applyS() {
+    return this.applyPhase(Math.PI / 2);
+  }
+
+  applySdg() {
+    return this.applyPhase(-Math.PI / 2);
+  }
+
+  applyT() {
+    return this.applyPhase(Math.PI / 4);
+  }
+
+  applyTdg() {
+    return this.applyPhase(-Math.PI / 4);
+  }
+
+  // Apply a gate by name; params holds the angles of parametric gates.
+  // Clifford+T gates keep an exact state exact.
+  applyGate(name, params = {}) {
+    if (this.exact && EXACT_GATES[name]) {
+      this.exact = EXACT_GATES[name](this.exact);
+      this.alpha = this.exact.alpha.toComplex();
+      this.beta = this.exact.beta.toComplex();
+      return this;
+    }
+    switch (name) {
+      case 'H':
+        return this.applyHadamard();
+      case 'X':
+        return this.applyPauliX();
+      case 'Y':
+        return this.applyPauliY();
+      case 'Z':
+        return this.applyPauliZ();
+      case 'S':
+        return this.applyS();
+      case 'Sdg':
+        return this.applySdg();
+      case 'T':
+        return this.applyT();
+      case 'Tdg':
+        return this.applyTdg();
+      case 'Rx':
+        return this.applyRx(params.theta);
+      case 'Ry':
+        return this.applyRy(params.theta);
+      case 'Rz':
+        return this.applyRz(params.theta);
+      case 'P':
+        return this.applyPhase(params.lambda);
+      case 'U3':
+        return this.applyU3(params.theta, params.phi, params.lambda);
+      case 'Custom':
+        return this.applyUnitary(params.matrix);
+      default:
+        throw new Error(`Unknown gate: ${name}`);
+    }
+  }
+
   // Measurement probabilities
   measureZ() {
     const prob0 = this.alpha.re ** 2 + this.alpha.im ** 2;
@@ -104,10 +1178,11 @@ class QubitState {
   measureY() {
     // Transform to Y basis: |+i⟩ = (|0⟩ + i|1⟩)/√2, |-i⟩ = (|0⟩ - i|1⟩)/√2
     const sqrt2 = Math.sqrt(2);
-    const plusIRe = (this.alpha.re - this.beta.im) / sqrt2;
-    const plusIIm = (this.alpha.im + this.beta.re) / sqrt2;
-    const minusIRe = (this.alpha.re + this.beta.im) / sqrt2;
-    const minusIIm = (this.alpha.im - this.beta.re) / sqrt2;
+    // ⟨±i|ψ⟩ = (α ∓ iβ)/√2
+    const plusIRe = (this.alpha.re + this.beta.im) / sqrt2;
+    const plusIIm = (this.alpha.im - this.beta.re) / sqrt2;
+    const minusIRe = (this.alpha.re - this.beta.im) / sqrt2;
+    const minusIIm = (this.alpha.im + this.beta.re) / sqrt2;
 
     return {
       probPlusI: plusIRe ** 2 + plusIIm ** 2,
@@ -115,423 +1190,5088 @@ class QubitState {
     };
   }
 
-  clone() {
-    return new QubitState(
-      { ...this.alpha },
-      { ...this.beta }
-    );
+  // Outcome probabilities |⟨e|ψ⟩|² over the eigenstates e of a basis (see
+  // measurementBasis), in the order of its outcomes
+  measurementProbabilities(basis) {
+    return measurementBasis(basis).eigenstates.map(([a, b]) => {
+      const overlap = cAdd(cMul(cConj(a), this.alpha), cMul(cConj(b), this.beta));
+      return overlap.re ** 2 + overlap.im ** 2;
+    });
   }
-}
 
-const BlochSphere = ({ qubitState }) => {
-  const canvasRef = useRef(null);
-  const animationRef = useRef(null);
-  const rotationRef = useRef(0);
+  povmProbabilities(elements) {
+    return effectProbabilities(elements, this.toBlochCoordinates());
+  }
 
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
+  // Collapse onto the eigenstate of the given basis outcome
+  collapse(basis, outcome) {
+    const [alpha, beta] = measurementBasis(basis).eigenstates[outcome];
+    this.alpha = { ...alpha };
+    this.beta = { ...beta };
+    this.exact = null;
+    return this;
+  }
 
-    const ctx = canvas.getContext('2d');
-    const width = canvas.width;
-    const height = canvas.height;
-    const centerX = width / 2;
-    const centerY = height / 2;
-    const radius = Math.min(width, height) * 0.35;
-
-    const coords = qubitState.toBlochCoordinates();
-
-    const draw = () => {
-      ctx.clearRect(0, 0, width, height);
-
-      // Background gradient
-      const bgGradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, radius * 2);
-      bgGradient.addColorStop(0, 'rgba(10, 14, 39, 0.8)');
-      bgGradient.addColorStop(1, 'rgba(10, 14, 39, 1)');
-      ctx.fillStyle = bgGradient;
-      ctx.fillRect(0, 0, width, height);
-
-      const rotation = rotationRef.current;
-      rotationRef.current += 0.005;
-
-      // 3D rotation matrices
-      const rotateY = (x, y, z, angle) => {
-        const cos = Math.cos(angle);
-        const sin = Math.sin(angle);
-        return {
-          x: x * cos + z * sin,
-          y: y,
-          z: -x * sin + z * cos
-        };
-      };
-
-      const project = (x, y, z) => {
-        const scale = 200 / (200 + z * 50);
-        return {
-          x: centerX + x * radius * scale,
-          y: centerY - y * radius * scale,
-          z: z
+  // Lüders update for the POVM outcome with effect element: ψ → √E ψ,
+  // renormalized
+  collapsePovm(element) {
+    const [[k00, k01], [k10, k11]] = povmKraus(element);
+    const alpha = cAdd(cMul(k00, this.alpha), cMul(k01, this.beta));
+    const beta = cAdd(cMul(k10, this.alpha), cMul(k11, this.beta));
+    this.alpha = alpha;
+    this.beta = beta;
+    this.exact = null;
+    this.normalize();
+    return this;
+  }
+
+  // Projective measurement: sample an outcome from the basis probabilities
+  // (random() must return a number in [0, 1)), collapse onto it and return
+  // the outcome index
+  measure(basis, random = Math.random) {
+    const outcome = sampleOutcome(this.measurementProbabilities(basis), random);
+    this.collapse(basis, outcome);
+    return outcome;
+  }
+
+  clone() {
+    const copy = new QubitState(
+      { ...this.alpha },
+      { ...this.beta }
+    );
+    copy.exact = this.exact;
+    return copy;
+  }
+}
+
+// Pure state with Bloch angles θ, φ: cos(θ/2)|0⟩ + e^{iφ}sin(θ/2)|1⟩
+const stateFromBloch = (theta, phi) => new QubitState(
+  { re: Math.cos(theta / 2), im: 0 },
+  cScale(cExp(phi), Math.sin(theta / 2))
+);
+
+// Binary entropy in bits of a qubit whose reduced Bloch vector has length r
+const blochEntropy = (r) => {
+  const lambdas = [(1 + r) / 2, (1 - r) / 2];
+  return lambdas.reduce((sum, l) => (l > 1e-12 ? sum - l * Math.log2(l) : sum), 0);
+};
+
+// Mixed single-qubit state as a 2x2 density matrix ρ
+class DensityMatrix {
+  constructor(rho = [[{ re: 1, im: 0 }, { re: 0, im: 0 }], [{ re: 0, im: 0 }, { re: 0, im: 0 }]]) {
+    this.rho = rho;
+  }
+
+  static fromQubitState(state) {
+    const ket = [state.alpha, state.beta];
+    return new DensityMatrix([0, 1].map((r) => [0, 1].map((c) => cMul(ket[r], cConj(ket[c])))));
+  }
+
+  // ρ = (I + xX + yY + zZ) / 2
+  static fromBlochVector({ x, y, z }) {
+    return new DensityMatrix([
+      [{ re: (1 + z) / 2, im: 0 }, { re: x / 2, im: -y / 2 }],
+      [{ re: x / 2, im: y / 2 }, { re: (1 - z) / 2, im: 0 }]
+    ]);
+  }
+
+  // ρ → UρU†
+  applyUnitary(matrix) {
+    this.rho = matMul(matMul(matrix, this.rho), matAdjoint(matrix));
+    return this;
+  }
+
+  applyGate(name, params = {}) {
+    return this.applyUnitary(gateMatrix(name, params));
+  }
+
+  // ρ → Σ KρK† for a channel given by its Kraus operators
+  applyKraus(operators) {
+    this.rho = operators
+      .map((k) => matMul(matMul(k, this.rho), matAdjoint(k)))
+      .reduce(matAdd);
+    return this;
+  }
+
+  // Bloch vector r with ρ = (I + r·σ)/2; |r| < 1 for mixed states
+  blochVector() {
+    const x = 2 * this.rho[0][1].re;
+    const y = -2 * this.rho[0][1].im;
+    const z = this.rho[0][0].re - this.rho[1][1].re;
+    return { x, y, z, length: Math.sqrt(x ** 2 + y ** 2 + z ** 2) };
+  }
+
+  // Tr(ρ²) = (1 + |r|²)/2
+  purity() {
+    return (1 + this.blochVector().length ** 2) / 2;
+  }
+
+  // Von Neumann entropy S(ρ) in bits
+  entropy() {
+    return blochEntropy(Math.min(this.blochVector().length, 1));
+  }
+
+  // Outcome probabilities (1 ± r·n)/2 along the basis axis n
+  measurementProbabilities(basis) {
+    const r = this.blochVector();
+    const { axis } = measurementBasis(basis);
+    const component = r.x * axis.x + r.y * axis.y + r.z * axis.z;
+    return [(1 + component) / 2, (1 - component) / 2];
+  }
+
+  povmProbabilities(elements) {
+    return effectProbabilities(elements, this.blochVector());
+  }
+
+  // Lüders update for a POVM outcome: ρ → √E ρ √E / Tr(Eρ)
+  collapsePovm(element) {
+    this.applyKraus([povmKraus(element)]);
+    const trace = this.rho[0][0].re + this.rho[1][1].re;
+    this.rho = matScale(this.rho, 1 / trace);
+    return this;
+  }
+
+  // Pure state along the Bloch vector (the eigenvector of ρ with the larger
+  // eigenvalue); |0⟩ for the maximally mixed state
+  principalState() {
+    const { x, y, z, length } = this.blochVector();
+    if (length < 1e-9) return new QubitState();
+    return stateFromBloch(Math.acos(Math.max(-1, Math.min(1, z / length))), Math.atan2(y, x));
+  }
+
+  clone() {
+    return new DensityMatrix(this.rho.map((row) => row.map((a) => ({ ...a }))));
+  }
+}
+
+// Single-qubit noise channels as Kraus operators, named by a catalog key.
+// bitFlip, phaseFlip and depolarizing take an error probability p;
+// amplitudeDamping a decay probability γ = 1 − e^{−t/T1}; phaseDamping a
+// dephasing strength λ = 1 − e^{−2t/T2}, so that coherences decay as
+// e^{−t/T2}.
+const NOISE_CHANNELS = {
+  bitFlip: {
+    labelKey: 'noise.bitFlip',
+    kraus: (p) => [matScale(IDENTITY, Math.sqrt(1 - p)), matScale(gateMatrix('X'), Math.sqrt(p))]
+  },
+  phaseFlip: {
+    labelKey: 'noise.phaseFlip',
+    kraus: (p) => [matScale(IDENTITY, Math.sqrt(1 - p)), matScale(gateMatrix('Z'), Math.sqrt(p))]
+  },
+  depolarizing: {
+    labelKey: 'noise.depolarizing',
+    // ρ → (1 − p)ρ + p·I/2
+    kraus: (p) => [
+      matScale(IDENTITY, Math.sqrt(1 - 3 * p / 4)),
+      matScale(gateMatrix('X'), Math.sqrt(p / 4)),
+      matScale(gateMatrix('Y'), Math.sqrt(p / 4)),
+      matScale(gateMatrix('Z'), Math.sqrt(p / 4))
+    ]
+  },
+  amplitudeDamping: {
+    labelKey: 'noise.amplitudeDamping',
+    kraus: (gamma) => [
+      [[{ re: 1, im: 0 }, { re: 0, im: 0 }], [{ re: 0, im: 0 }, { re: Math.sqrt(1 - gamma), im: 0 }]],
+      [[{ re: 0, im: 0 }, { re: Math.sqrt(gamma), im: 0 }], [{ re: 0, im: 0 }, { re: 0, im: 0 }]]
+    ]
+  },
+  phaseDamping: {
+    labelKey: 'noise.phaseDamping',
+    kraus: (lambda) => [
+      [[{ re: 1, im: 0 }, { re: 0, im: 0 }], [{ re: 0, im: 0 }, { re: Math.sqrt(1 - lambda), im: 0 }]],
+      [[{ re: 0, im: 0 }, { re: 0, im: 0 }], [{ re: 0, im: 0 }, { re: Math.sqrt(lambda), im: 0 }]]
+    ]
+  }
+};
+
+// POVMs, named by a catalog key, as lists of effects E = w(I + n·σ)/2, each
+// with a weight w ≥ 0 and a Bloch vector |n| ≤ 1 (rank one when |n| = 1).
+// They add up to I when Σ w = 2 and Σ w·n = 0.
+const POVMS = {
+  trine: {
+    labelKey: 'povm.trine',
+    // Three directions 120° apart in the XZ plane
+    elements: [0, 1, 2].map((k) => ({
+      weight: 2 / 3,
+      vector: { x: Math.sin(2 * Math.PI * k / 3), y: 0, z: Math.cos(2 * Math.PI * k / 3) }
+    }))
+  },
+  sic: {
+    labelKey: 'povm.sic',
+    // Vertices of a regular tetrahedron inscribed in the sphere
+    elements: [
+      { x: 0, y: 0, z: 1 },
+      { x: 2 * Math.SQRT2 / 3, y: 0, z: -1 / 3 },
+      { x: -Math.SQRT2 / 3, y: Math.sqrt(2 / 3), z: -1 / 3 },
+      { x: -Math.SQRT2 / 3, y: -Math.sqrt(2 / 3), z: -1 / 3 }
+    ].map((vector) => ({ weight: 1 / 2, vector }))
+  }
+};
+
+const POVM_TOLERANCE = 1e-6;
+
+// Tr(ρE) = w(1 + r·n)/2 for each effect, r being the state's Bloch vector
+const effectProbabilities = (elements, r) => elements.map(({ weight, vector }) =>
+  weight * (1 + r.x * vector.x + r.y * vector.y + r.z * vector.z) / 2
+);
+
+// Measurement operator √E of an effect: E has eigenvalues w(1 ± |n|)/2 along
+// ±n̂, so √E = aI + b·n̂·σ with a, b the half sum and half difference of their
+// square roots
+const povmKraus = ({ weight, vector }) => {
+  const length = Math.hypot(vector.x, vector.y, vector.z);
+  const upper = Math.sqrt(weight * (1 + Math.min(length, 1)) / 2);
+  const lower = Math.sqrt(weight * Math.max(0, 1 - length) / 2);
+  const a = (upper + lower) / 2;
+  const b = length > 1e-12 ? (upper - lower) / (2 * length) : 0;
+  return [
+    [{ re: a + b * vector.z, im: 0 }, { re: b * vector.x, im: -b * vector.y }],
+    [{ re: b * vector.x, im: b * vector.y }, { re: a - b * vector.z, im: 0 }]
+  ];
+};
+
+// Check that effects form a POVM; throws an Error saying what fails
+const validatePovm = (elements) => {
+  if (elements.length < 2) {
+    throw localizedError(localized('povm.tooFew'));
+  }
+  elements.forEach(({ weight, vector }, k) => {
+    if (weight < 0) {
+      throw localizedError(localized('povm.negativeWeight', { effect: k + 1, weight }));
+    }
+    const length = Math.hypot(vector.x, vector.y, vector.z);
+    if (length > 1 + POVM_TOLERANCE) {
+      throw localizedError(localized('povm.notPositive', { effect: k + 1, length: decimal(length, 4) }));
+    }
+  });
+  const total = elements.reduce((sum, { weight }) => sum + weight, 0);
+  if (Math.abs(total - 2) > POVM_TOLERANCE) {
+    throw localizedError(localized('povm.weightSum', { total: decimal(total, 4) }));
+  }
+  const drift = ['x', 'y', 'z'].map((c) => elements.reduce((sum, { weight, vector }) => sum + weight * vector[c], 0));
+  if (Math.hypot(...drift) > POVM_TOLERANCE) {
+    throw localizedError(localized('povm.vectorSum', {
+      sum: (locale) => formatVector(drift, 4, locale)
+    }));
+  }
+};
+
+// A POVM measurement in the shape the measurement panel uses; label is a
+// message
+const povmMeasurement = (label, elements) => ({
+  label: (locale) => `POVM ${textIn(locale, label)}`,
+  outcomes: elements.map((_, k) => `E${k + 1}`),
+  elements
+});
+
+// Outcome probabilities and post-measurement states of a measurement (a
+// basis object or a POVM measurement) on a pure or mixed state. Outcomes
+// that cannot occur have no post-measurement state.
+const measurementResults = (state, measurement) => {
+  if (measurement.elements) {
+    const probabilities = state.povmProbabilities(measurement.elements);
+    return {
+      probabilities,
+      postStates: measurement.elements.map((element, k) =>
+        (probabilities[k] > 1e-12 ? state.clone().collapsePovm(element) : null))
+    };
+  }
+  const probabilities = state.measurementProbabilities(measurement);
+  return {
+    probabilities,
+    postStates: probabilities.map((p, k) => (p > 1e-12 ? new QubitState().collapse(measurement, k) : null))
+  };
+};
+
+// Directions a measurement singles out on the sphere: the ±n̂ axis of a
+// basis, the Bloch vectors of a POVM's effects. The Z, X and Y bases are
+// already drawn as the sphere's axes.
+const measurementDirections = (measurement) => {
+  if (measurement.elements) {
+    return measurement.elements
+      .map(({ vector }, k) => ({ ...vector, label: measurement.outcomes[k] }))
+      .filter(({ x, y, z }) => Math.hypot(x, y, z) > 1e-9);
+  }
+  if (Object.values(MEASUREMENT_BASES).includes(measurement)) return [];
+  const { x, y, z } = measurement.axis;
+  return [{ x, y, z, label: '+n' }, { x: -x, y: -y, z: -z, label: '−n' }];
+};
+
+// Bloch vector of a pure or mixed state
+const blochVectorOf = (state) => (state instanceof DensityMatrix ? state.blochVector() : state.toBlochCoordinates());
+
+// State vector of an n-qubit register: 2^n complex amplitudes. Qubit 0 is the
+// leftmost in the ket, so basis index i = (q0 q1 … q(n-1)) read as binary.
+class QubitRegister {
+  constructor(numQubits = 2, amplitudes = null) {
+    this.numQubits = numQubits;
+    this.amplitudes = amplitudes || Array.from({ length: 2 ** numQubits }, (_, i) => ({ re: i === 0 ? 1 : 0, im: 0 }));
+    this.normalize();
+  }
+
+  normalize() {
+    const norm = Math.sqrt(this.amplitudes.reduce((sum, a) => sum + a.re ** 2 + a.im ** 2, 0));
+    if (norm > 0) {
+      this.amplitudes = this.amplitudes.map((a) => ({ re: a.re / norm, im: a.im / norm }));
+    }
+  }
+
+  // Bit mask of a qubit within a basis index
+  mask(qubit) {
+    return 1 << (this.numQubits - 1 - qubit);
+  }
+
+  // Apply a 2x2 unitary to the target qubit, only on basis states where all
+  // control qubits are |1⟩
+  applyControlled(matrix, controls, target) {
+    const [[u00, u01], [u10, u11]] = matrix;
+    const targetMask = this.mask(target);
+    const controlMask = controls.reduce((m, q) => m | this.mask(q), 0);
+    const amplitudes = [...this.amplitudes];
+    for (let i = 0; i < amplitudes.length; i++) {
+      if (i & targetMask || (i & controlMask) !== controlMask) continue;
+      const a0 = this.amplitudes[i];
+      const a1 = this.amplitudes[i | targetMask];
+      amplitudes[i] = cAdd(cMul(u00, a0), cMul(u01, a1));
+      amplitudes[i | targetMask] = cAdd(cMul(u10, a0), cMul(u11, a1));
+    }
+    this.amplitudes = amplitudes;
+    return this;
+  }
+
+  applySingle(matrix, target) {
+    return this.applyControlled(matrix, [], target);
+  }
+
+  applySwap(a, b) {
+    const maskA = this.mask(a);
+    const maskB = this.mask(b);
+    this.amplitudes = this.amplitudes.map((_, i) => {
+      const bitA = (i & maskA) !== 0;
+      const bitB = (i & maskB) !== 0;
+      if (bitA === bitB) return this.amplitudes[i];
+      return this.amplitudes[i ^ maskA ^ maskB];
+    });
+    return this;
+  }
+
+  // Apply a gate by name. qubits lists the wires: [target] for single-qubit
+  // gates, [control, target] for CNOT/CZ, [a, b] for SWAP and
+  // [control1, control2, target] for Toffoli.
+  applyGate(name, qubits, params = {}) {
+    switch (name) {
+      case 'CNOT':
+        return this.applyControlled(gateMatrix('X'), [qubits[0]], qubits[1]);
+      case 'CZ':
+        return this.applyControlled(gateMatrix('Z'), [qubits[0]], qubits[1]);
+      case 'SWAP':
+        return this.applySwap(qubits[0], qubits[1]);
+      case 'CCX':
+        return this.applyControlled(gateMatrix('X'), [qubits[0], qubits[1]], qubits[2]);
+      default:
+        return this.applySingle(gateMatrix(name, params), qubits[0]);
+    }
+  }
+
+  // Reduced density matrix of one qubit, tracing out the others
+  reducedDensityMatrix(qubit) {
+    const m = this.mask(qubit);
+    const rho = [[{ re: 0, im: 0 }, { re: 0, im: 0 }], [{ re: 0, im: 0 }, { re: 0, im: 0 }]];
+    for (let i = 0; i < this.amplitudes.length; i++) {
+      if (i & m) continue;
+      const pair = [this.amplitudes[i], this.amplitudes[i | m]];
+      for (let r = 0; r < 2; r++) {
+        for (let c = 0; c < 2; c++) {
+          // ρ_rc += a_r · conj(a_c)
+          rho[r][c] = cAdd(rho[r][c], cMul(pair[r], { re: pair[c].re, im: -pair[c].im }));
+        }
+      }
+    }
+    return rho;
+  }
+
+  // Bloch vector of a qubit's reduced state: ρ = (I + xX + yY + zZ)/2.
+  // Its length drops below 1 when the qubit is entangled with the rest.
+  blochVector(qubit) {
+    const rho = this.reducedDensityMatrix(qubit);
+    const x = 2 * rho[0][1].re;
+    const y = -2 * rho[0][1].im;
+    const z = rho[0][0].re - rho[1][1].re;
+    return { x, y, z, length: Math.sqrt(x ** 2 + y ** 2 + z ** 2) };
+  }
+
+  // Von Neumann entropy (bits) of a qubit's reduced state; 1 = maximally entangled
+  entanglementEntropy(qubit) {
+    return blochEntropy(Math.min(this.blochVector(qubit).length, 1));
+  }
+
+  // Concurrence of a two-qubit pure state, C = 2|a00·a11 − a01·a10|
+  concurrence() {
+    if (this.numQubits !== 2) return null;
+    const [a00, a01, a10, a11] = this.amplitudes;
+    const d = cAdd(cMul(a00, a11), cMul({ re: -a01.re, im: -a01.im }, a10));
+    return 2 * Math.sqrt(d.re ** 2 + d.im ** 2);
+  }
+
+  probabilities() {
+    return this.amplitudes.map((a) => a.re ** 2 + a.im ** 2);
+  }
+
+  basisLabel(index) {
+    return `|${index.toString(2).padStart(this.numQubits, '0')}⟩`;
+  }
+
+  clone() {
+    return new QubitRegister(this.numQubits, this.amplitudes.map((a) => ({ ...a })));
+  }
+}
+
+// Duration of the measurement-collapse jump on the Bloch sphere (ms)
+const COLLAPSE_DURATION = 600;
+
+// Default duration of one gate rotation on the Bloch sphere (ms)
+const DEFAULT_GATE_DURATION = 700;
+
+// Transition for a gate: the rotation its unitary performs on the sphere
+const gateTransition = (name, params) => ({
+  type: 'rotation',
+  label: (locale) => gateLabel({ name, params }, locale),
+  color: GATE_STYLES[name].color,
+  ...rotationOfUnitary(gateMatrix(name, params))
+});
+
+const NO_TRANSITIONS = [];
+const NO_DIRECTIONS = [];
+
+// Number of past Bloch points kept in the sphere's trail
+const TRAIL_LENGTH = 400;
+
+// Trail colors for segments not produced by a gate
+const TRAIL_COLORS = {
+  collapse: '#ffffff',
+  edit: '#94a3b8'
+};
+
+// Named reference states pinned on the sphere
+const REFERENCE_STATES = [
+  { label: '|0⟩', x: 0, y: 0, z: 1 },
+  { label: '|1⟩', x: 0, y: 0, z: -1 },
+  { label: '|+⟩', x: 1, y: 0, z: 0 },
+  { label: '|−⟩', x: -1, y: 0, z: 0 },
+  { label: '|+i⟩', x: 0, y: 1, z: 0 },
+  { label: '|−i⟩', x: 0, y: -1, z: 0 }
+];
+
+// Perspective of the sphere view: points at camera depth z are scaled by
+// 1 / (1 + z / PERSPECTIVE_DEPTH); positive z is away from the viewer
+const PERSPECTIVE_DEPTH = 4;
+
+// Camera presets looking straight at each coordinate plane
+const CAMERA_VIEWS = {
+  XY: { yaw: 0, pitch: 0 },
+  XZ: { yaw: 0, pitch: -Math.PI / 2 },
+  YZ: { yaw: Math.PI / 2, pitch: 0 }
+};
+
+// Bloch coordinates → camera space: yaw about the Bloch Y axis (screen
+// vertical), then pitch about the screen horizontal
+const toCameraSpace = ({ x, y, z }, { yaw, pitch }) => {
+  const x1 = x * Math.cos(yaw) + z * Math.sin(yaw);
+  const z1 = -x * Math.sin(yaw) + z * Math.cos(yaw);
+  return {
+    x: x1,
+    y: y * Math.cos(pitch) - z1 * Math.sin(pitch),
+    z: y * Math.sin(pitch) + z1 * Math.cos(pitch)
+  };
+};
+
+const fromCameraSpace = ({ x, y, z }, { yaw, pitch }) => {
+  const y0 = y * Math.cos(pitch) + z * Math.sin(pitch);
+  const z1 = -y * Math.sin(pitch) + z * Math.cos(pitch);
+  return {
+    x: x * Math.cos(yaw) - z1 * Math.sin(yaw),
+    y: y0,
+    z: x * Math.sin(yaw) + z1 * Math.cos(yaw)
+  };
+};
+
+// Point on the front of the unit sphere under a screen position given in
+// sphere radii from the center (u right, v up). Positions off the sphere
+// clamp to its silhouette. Solved by fixed-point iteration on the
+// perspective scale.
+const screenToSphere = (u, v, camera) => {
+  let point = { x: u, y: v, z: 0 };
+  for (let i = 0; i < 8; i++) {
+    const scale = 1 + point.z / PERSPECTIVE_DEPTH;
+    const x = u * scale;
+    const y = v * scale;
+    const r2 = x * x + y * y;
+    point = r2 >= 1
+      ? { x: x / Math.sqrt(r2), y: y / Math.sqrt(r2), z: 0 }
+      : { x, y, z: -Math.sqrt(1 - r2) };
+  }
+  return fromCameraSpace(point, camera);
+};
+
+// Wireframe of the unit sphere: latitude circles every 30° sampled every
+// 10° of longitude, and meridians every 30° sampled every 10° of latitude.
+// Built once; frames only rotate and project it.
+const SPHERE_WIREFRAME = (() => {
+  const point = (lat, lon) => {
+    const theta = (90 - lat) * Math.PI / 180;
+    const phi = lon * Math.PI / 180;
+    return { x: Math.sin(theta) * Math.cos(phi), y: Math.sin(theta) * Math.sin(phi), z: Math.cos(theta) };
+  };
+  const lines = [];
+  for (let lat = -90; lat <= 90; lat += 30) {
+    lines.push(Array.from({ length: 37 }, (_, k) => point(lat, k * 10)));
+  }
+  for (let lon = 0; lon < 360; lon += 30) {
+    lines.push(Array.from({ length: 19 }, (_, k) => point(-90 + k * 10, lon)));
+  }
+  return lines;
+})();
+
+// Auto-rotation of the sphere view, in radians per second
+const AUTO_ROTATE_SPEED = 0.3;
+
+// Longest time step the auto-rotation and the waves advance by in one frame,
+// so that they do not leap ahead after the renderer has been paused. Gate
+// transitions follow the clock instead and have ended by then.
+const MAX_FRAME_STEP = 50;
+
+// Shared renderer for the animated canvases. The backing store follows the
+// canvas's CSS size times devicePixelRatio, and frames are drawn on demand:
+// the returned requestRedraw schedules one, and render(ctx, width, height,
+// now) returns true to ask for the next while it animates. render draws in
+// CSS pixels. Nothing is drawn while the tab is hidden or the canvas is
+// off-screen; a frame is scheduled when it shows again.
+const useCanvasRenderer = (canvasRef, render) => {
+  const renderRef = useRef(render);
+  const requestRef = useRef(() => {});
+
+  useEffect(() => {
+    renderRef.current = render;
+  });
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    let size = { width: 0, height: 0, ratio: 1 };
+    let frameId = null;
+    let onScreen = true;
+
+    const frame = (now) => {
+      frameId = null;
+      if (!onScreen || document.hidden || size.width === 0 || size.height === 0) return;
+      ctx.setTransform(size.ratio, 0, 0, size.ratio, 0, 0);
+      if (renderRef.current(ctx, size.width, size.height, now)) request();
+    };
+    const request = () => {
+      if (frameId === null) frameId = requestAnimationFrame(frame);
+    };
+    requestRef.current = request;
+
+    const resize = () => {
+      const ratio = window.devicePixelRatio || 1;
+      size = { width: canvas.clientWidth, height: canvas.clientHeight, ratio };
+      canvas.width = Math.round(size.width * ratio);
+      canvas.height = Math.round(size.height * ratio);
+      request();
+    };
+    resize();
+
+    const resizeObserver = new ResizeObserver(resize);
+    resizeObserver.observe(canvas);
+    const intersectionObserver = new IntersectionObserver(([entry]) => {
+      onScreen = entry.isIntersecting;
+      if (onScreen) request();
+    });
+    intersectionObserver.observe(canvas);
+    const onVisibilityChange = () => {
+      if (!document.hidden) request();
+    };
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    // devicePixelRatio changes (browser zoom, another screen) don't always
+    // resize the canvas; a media query on the current ratio catches them
+    let ratioQuery = null;
+    const onRatioChange = () => {
+      resize();
+      watchRatio();
+    };
+    const watchRatio = () => {
+      ratioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+      ratioQuery.addEventListener('change', onRatioChange, { once: true });
+    };
+    watchRatio();
+
+    return () => {
+      if (frameId !== null) cancelAnimationFrame(frameId);
+      requestRef.current = () => {};
+      resizeObserver.disconnect();
+      intersectionObserver.disconnect();
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      ratioQuery.removeEventListener('change', onRatioChange);
+    };
+  }, [canvasRef]);
+
+  return useCallback(() => requestRef.current(), []);
+};
+
+// Colors of the sphere and wave figures: the dark screen theme, and a light
+// one for print
+const SCENE_THEMES = {
+  dark: {
+    background: ['rgba(10, 14, 39, 0.8)', 'rgba(10, 14, 39, 1)'],
+    wireframe: 'rgba(26, 77, 122, 0.4)',
+    axes: { x: '#ff4444', y: '#44ff44', z: '#4488ff' },
+    text: '#e2e8f0',
+    guide: 'rgba(255, 255, 255, 0.1)'
+  },
+  light: {
+    background: ['#ffffff', '#ffffff'],
+    wireframe: 'rgba(71, 85, 105, 0.35)',
+    axes: { x: '#dc2626', y: '#16a34a', z: '#2563eb' },
+    text: '#1e293b',
+    guide: 'rgba(15, 23, 42, 0.2)'
+  }
+};
+
+// Axis labels of the sphere, and the label of the state vector (none on
+// screen)
+const SPHERE_LABELS = { x: 'X', y: 'Y', z: 'Z', state: '' };
+
+// Draws a Bloch sphere scene, in CSS pixels, on a canvas context or on an
+// SvgContext. scene holds the displayed vector and camera, and optionally
+// theme, labels, trail, the rotation being shown, the collapse flash (flash,
+// flashAt), directions, estimates, reference and hideState as described for
+// BlochSphere, and the locale of the numbers drawn. cache, an object kept
+// between canvas frames, holds the projected wireframe.
+const drawBlochScene = (ctx, width, height, scene) => {
+  const {
+    vector,
+    camera,
+    theme = SCENE_THEMES.dark,
+    labels = SPHERE_LABELS,
+    trail = [],
+    rotationShown = null,
+    flash = 0,
+    flashAt = null,
+    directions = NO_DIRECTIONS,
+    estimates = NO_DIRECTIONS,
+    reference = null,
+    hideState = false,
+    locale = DEFAULT_LOCALE,
+    cache = null
+  } = scene;
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const radius = Math.min(width, height) * 0.35 * camera.zoom;
+  ctx.clearRect(0, 0, width, height);
+
+  // Background gradient
+  const bgGradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, radius * 2);
+  bgGradient.addColorStop(0, theme.background[0]);
+  bgGradient.addColorStop(1, theme.background[1]);
+  ctx.fillStyle = bgGradient;
+  ctx.fillRect(0, 0, width, height);
+
+  // Bloch coordinates → camera space
+  const view = (x, y, z) => toCameraSpace({ x, y, z }, camera);
+
+  const project = (x, y, z) => {
+    const scale = 1 / (1 + z / PERSPECTIVE_DEPTH);
+    return {
+      x: centerX + x * radius * scale,
+      y: centerY - y * radius * scale,
+      z: z
+    };
+  };
+
+  // Wireframe sphere. On a canvas, the projected path is cached until the
+  // camera or the size changes.
+  const traceWireframe = (path) => SPHERE_WIREFRAME.forEach((line) => line.forEach(({ x, y, z }, k) => {
+    const rotated = view(x, y, z);
+    const projected = project(rotated.x, rotated.y, rotated.z);
+    if (k === 0) {
+      path.moveTo(projected.x, projected.y);
+    } else {
+      path.lineTo(projected.x, projected.y);
+    }
+  }));
+  ctx.strokeStyle = theme.wireframe;
+  ctx.lineWidth = 1;
+  if (cache) {
+    const key = `${camera.yaw},${camera.pitch},${camera.zoom},${width},${height}`;
+    if (cache.key !== key) {
+      cache.key = key;
+      cache.path = new Path2D();
+      traceWireframe(cache.path);
+    }
+    ctx.stroke(cache.path);
+  } else {
+    ctx.beginPath();
+    traceWireframe(ctx);
+    ctx.stroke();
+  }
+
+  // Draw axes
+  const drawAxis = (x, y, z, color, label) => {
+    const rotated = view(x * 1.3, y * 1.3, z * 1.3);
+    const projected = project(rotated.x, rotated.y, rotated.z);
+    const origin = project(0, 0, 0);
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(origin.x, origin.y);
+    ctx.lineTo(projected.x, projected.y);
+    ctx.stroke();
+
+    // Arrow head
+    const angle = Math.atan2(projected.y - origin.y, projected.x - origin.x);
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(projected.x, projected.y);
+    ctx.lineTo(
+      projected.x - 10 * Math.cos(angle - Math.PI / 6),
+      projected.y - 10 * Math.sin(angle - Math.PI / 6)
+    );
+    ctx.lineTo(
+      projected.x - 10 * Math.cos(angle + Math.PI / 6),
+      projected.y - 10 * Math.sin(angle + Math.PI / 6)
+    );
+    ctx.closePath();
+    ctx.fill();
+
+    // Label
+    ctx.fillStyle = color;
+    ctx.font = 'bold 16px Space Mono, monospace';
+    ctx.fillText(label, projected.x + 10, projected.y - 10);
+  };
+
+  drawAxis(1, 0, 0, theme.axes.x, labels.x);
+  drawAxis(0, 1, 0, theme.axes.y, labels.y);
+  drawAxis(0, 0, 1, theme.axes.z, labels.z);
+
+  // Rotation axis of the gate being animated and the circle it sweeps
+  if (rotationShown) {
+    const { axis, from, label } = rotationShown;
+    const tip = view(axis.x * 1.25, axis.y * 1.25, axis.z * 1.25);
+    const tail = view(-axis.x * 1.25, -axis.y * 1.25, -axis.z * 1.25);
+    const tipProjected = project(tip.x, tip.y, tip.z);
+    const tailProjected = project(tail.x, tail.y, tail.z);
+    ctx.strokeStyle = 'rgba(250, 204, 21, 0.9)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(tailProjected.x, tailProjected.y);
+    ctx.lineTo(tipProjected.x, tipProjected.y);
+    ctx.stroke();
+
+    ctx.strokeStyle = 'rgba(250, 204, 21, 0.35)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let k = 0; k <= 64; k++) {
+      const point = rotateAbout(from, axis, (k / 64) * Math.PI * 2);
+      const rotated = view(point.x, point.y, point.z);
+      const projected = project(rotated.x, rotated.y, rotated.z);
+      if (k === 0) {
+        ctx.moveTo(projected.x, projected.y);
+      } else {
+        ctx.lineTo(projected.x, projected.y);
+      }
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = '#facc15';
+    ctx.font = 'bold 14px Space Mono, monospace';
+    ctx.fillText(textIn(locale, label), tipProjected.x + 8, tipProjected.y + 16);
+  }
+
+  // Reference states; those behind the sphere are dimmed
+  ctx.font = '12px Space Mono, monospace';
+  REFERENCE_STATES.forEach(({ label, x, y, z }) => {
+    const rotated = view(x, y, z);
+    const projected = project(rotated.x, rotated.y, rotated.z);
+    ctx.globalAlpha = rotated.z > 0 ? 0.35 : 0.9;
+    ctx.fillStyle = theme.text;
+    ctx.beginPath();
+    ctx.arc(projected.x, projected.y, 3, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillText(label, projected.x + 6, projected.y + 14);
+  });
+  ctx.globalAlpha = 1;
+
+  // Directions, orange unless they bring their own color
+  ctx.lineWidth = 2;
+  ctx.font = 'bold 13px Space Mono, monospace';
+  directions.forEach(({ x, y, z, label, color = '#fb923c' }) => {
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    const rotated = view(x * 1.15, y * 1.15, z * 1.15);
+    const projected = project(rotated.x, rotated.y, rotated.z);
+    const origin = project(0, 0, 0);
+    ctx.globalAlpha = rotated.z > 0 ? 0.45 : 1;
+    ctx.setLineDash([5, 4]);
+    ctx.beginPath();
+    ctx.moveTo(origin.x, origin.y);
+    ctx.lineTo(projected.x, projected.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.arc(projected.x, projected.y, 3.5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillText(label, projected.x + 6, projected.y - 6);
+  });
+  ctx.globalAlpha = 1;
+
+  // Estimates: thin arrows with a dot at the tip
+  ctx.lineWidth = 2;
+  ctx.font = 'bold 13px Space Mono, monospace';
+  estimates.forEach(({ x, y, z, label, color }) => {
+    const rotated = view(x, y, z);
+    const projected = project(rotated.x, rotated.y, rotated.z);
+    const origin = project(0, 0, 0);
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(origin.x, origin.y);
+    ctx.lineTo(projected.x, projected.y);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(projected.x, projected.y, 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillText(label, projected.x + 7, projected.y + 14);
+  });
+
+  // Reference state: an arrow in its own color
+  if (reference) {
+    const rotated = view(reference.x, reference.y, reference.z);
+    const projected = project(rotated.x, rotated.y, rotated.z);
+    const origin = project(0, 0, 0);
+    ctx.strokeStyle = reference.color;
+    ctx.fillStyle = reference.color;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(origin.x, origin.y);
+    ctx.lineTo(projected.x, projected.y);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(projected.x, projected.y, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.font = 'bold 13px Space Mono, monospace';
+    ctx.fillText(reference.label, projected.x + 8, projected.y - 8);
+  }
+
+  // Trail: older segments fade out, segments behind the sphere are dimmed
+  ctx.lineCap = 'round';
+  for (let i = 1; i < trail.length; i++) {
+    const a = view(trail[i - 1].x, trail[i - 1].y, trail[i - 1].z);
+    const b = view(trail[i].x, trail[i].y, trail[i].z);
+    const pa = project(a.x, a.y, a.z);
+    const pb = project(b.x, b.y, b.z);
+    const behind = a.z + b.z > 0;
+    ctx.globalAlpha = (0.1 + 0.9 * i / trail.length) * (behind ? 0.35 : 1);
+    ctx.strokeStyle = trail[i].color;
+    ctx.lineWidth = behind ? 1.5 : 2.5;
+    ctx.beginPath();
+    ctx.moveTo(pa.x, pa.y);
+    ctx.lineTo(pb.x, pb.y);
+    ctx.stroke();
+  }
+  ctx.globalAlpha = 1;
+  ctx.lineCap = 'butt';
+
+  // Draw state vector, unless it is hidden (e.g. the secret state of a
+  // tomography exercise)
+  if (!hideState) {
+    const stateRotated = view(vector.x, vector.y, vector.z);
+    const stateProjected = project(stateRotated.x, stateRotated.y, stateRotated.z);
+    const origin = project(0, 0, 0);
+
+    // State vector line
+    ctx.strokeStyle = '#ff00ff';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(origin.x, origin.y);
+    ctx.lineTo(stateProjected.x, stateProjected.y);
+    ctx.stroke();
+
+    // State vector arrow
+    const stateAngle = Math.atan2(stateProjected.y - origin.y, stateProjected.x - origin.x);
+    ctx.fillStyle = '#ff00ff';
+    ctx.beginPath();
+    ctx.moveTo(stateProjected.x, stateProjected.y);
+    ctx.lineTo(
+      stateProjected.x - 15 * Math.cos(stateAngle - Math.PI / 6),
+      stateProjected.y - 15 * Math.sin(stateAngle - Math.PI / 6)
+    );
+    ctx.lineTo(
+      stateProjected.x - 15 * Math.cos(stateAngle + Math.PI / 6),
+      stateProjected.y - 15 * Math.sin(stateAngle + Math.PI / 6)
+    );
+    ctx.closePath();
+    ctx.fill();
+
+    // State vector endpoint (glowing sphere)
+    const gradient = ctx.createRadialGradient(
+      stateProjected.x, stateProjected.y, 0,
+      stateProjected.x, stateProjected.y, 15
+    );
+    gradient.addColorStop(0, 'rgba(255, 0, 255, 1)');
+    gradient.addColorStop(0.5, 'rgba(255, 0, 255, 0.6)');
+    gradient.addColorStop(1, 'rgba(255, 0, 255, 0)');
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(stateProjected.x, stateProjected.y, 15, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = '#ff00ff';
+    ctx.beginPath();
+    ctx.arc(stateProjected.x, stateProjected.y, 6, 0, Math.PI * 2);
+    ctx.fill();
+
+    if (labels.state) {
+      ctx.font = 'bold 16px Space Mono, monospace';
+      ctx.fillText(labels.state, stateProjected.x + 12, stateProjected.y - 12);
+    }
+
+    // Angle to the reference: an arc of radius 0.35 along the great
+    // circle through both directions (none when they are (anti)parallel
+    // or either is the center)
+    if (reference) {
+      const stateLength = Math.hypot(vector.x, vector.y, vector.z);
+      const referenceLength = Math.hypot(reference.x, reference.y, reference.z);
+      if (stateLength > 1e-6 && referenceLength > 1e-6) {
+        const u = { x: vector.x / stateLength, y: vector.y / stateLength, z: vector.z / stateLength };
+        const w = { x: reference.x / referenceLength, y: reference.y / referenceLength, z: reference.z / referenceLength };
+        const angle = Math.acos(Math.min(1, Math.max(-1, u.x * w.x + u.y * w.y + u.z * w.z)));
+        if (angle > 1e-3 && angle < Math.PI - 1e-3) {
+          const arcPoint = (t) => {
+            const a = Math.sin((1 - t) * angle) / Math.sin(angle) * 0.35;
+            const b = Math.sin(t * angle) / Math.sin(angle) * 0.35;
+            const rotated = view(a * u.x + b * w.x, a * u.y + b * w.y, a * u.z + b * w.z);
+            return project(rotated.x, rotated.y, rotated.z);
+          };
+          ctx.strokeStyle = reference.color;
+          ctx.lineWidth = 1.5;
+          ctx.beginPath();
+          for (let i = 0; i <= 24; i++) {
+            const point = arcPoint(i / 24);
+            if (i === 0) ctx.moveTo(point.x, point.y);
+            else ctx.lineTo(point.x, point.y);
+          }
+          ctx.stroke();
+          const middle = arcPoint(0.5);
+          ctx.fillStyle = reference.color;
+          ctx.font = '12px Space Mono, monospace';
+          ctx.fillText(`${formatDecimalIn(locale, angle * 180 / Math.PI, 1)}°`, middle.x + 6, middle.y - 4);
+        }
+      }
+    }
+  }
+
+  // Collapse flash: expanding ring around the post-measurement state
+  if (flash > 0) {
+    const targetRotated = view(flashAt.x, flashAt.y, flashAt.z);
+    const targetProjected = project(targetRotated.x, targetRotated.y, targetRotated.z);
+    ctx.strokeStyle = `rgba(255, 255, 255, ${flash})`;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(targetProjected.x, targetProjected.y, 10 + (1 - flash) * 30, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+};
+
+// Draws qubitState, or an explicit Bloch vector (e.g. a reduced state inside
+// the ball) when vector is given.
+//
+// transitions is a list of { id, type, … } with increasing ids describing how
+// the latest state was reached: 'rotation' (axis, angle, label) plays the
+// gate's rotation, 'collapse' (to) a measurement jump and 'reset' (to) a jump
+// to a freshly prepared state. New ones are queued and played in order; a
+// state change without new transitions snaps.
+//
+// The path of the displayed vector is kept as a fading trail, each segment
+// colored by the gate (or measurement, or edit) that produced it.
+//
+// directions ({ x, y, z, label, color? }) are drawn as dashed rays from the
+// center, e.g. the axis or the POVM effects of a measurement, and estimates
+// ({ x, y, z, label, color }) as thin arrows, e.g. tomographic
+// reconstructions. reference ({ x, y, z, label, color } or null) is a second
+// state to compare with, drawn as an arrow joined to the state vector by an
+// arc marked with the angle between them. hideState leaves out the state
+// vector and its trail.
+//
+// Dragging orbits the camera and the wheel zooms. When onStateDrag is given,
+// an edit mode lets the user drag the state point instead; it is called with
+// (θ, φ, dragId), dragId being the same for all calls of one drag. While
+// onAxisPick is given, a click on the sphere calls it with (θ, φ) instead.
+const BlochSphere = ({
+  qubitState,
+  vector: blochVector,
+  transitions = NO_TRANSITIONS,
+  duration = DEFAULT_GATE_DURATION,
+  directions = NO_DIRECTIONS,
+  estimates = NO_DIRECTIONS,
+  reference = null,
+  hideState = false,
+  onStateDrag,
+  onAxisPick
+}) => {
+  const canvasRef = useRef(null);
+  const cameraRef = useRef({ yaw: 0, pitch: 0, zoom: 1 });
+  const lastFrameRef = useRef(null);
+  const wireframeRef = useRef({});
+  const dragRef = useRef(null);
+  const { locale, t } = useLocale();
+  const [autoRotate, setAutoRotate] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const displayedRef = useRef(null);
+  const lastTransitionIdRef = useRef(0);
+  const queueRef = useRef([]);
+  const activeRef = useRef(null);
+  const trailRef = useRef([]);
+
+  // Draws one frame; returns whether an animation (a transition, the
+  // collapse flash or the auto-rotation) is under way
+  const render = (ctx, width, height, now) => {
+    const coords = blochVector || qubitState.toBlochCoordinates();
+
+    // Advance the transition queue; each one starts where the last ended
+    if (!activeRef.current && queueRef.current.length > 0) {
+      activeRef.current = { transition: queueRef.current.shift(), from: displayedRef.current, start: now };
+    }
+    let vector = coords;
+    let flash = 0;
+    let flashAt = null;
+    let rotationShown = null;
+    const active = activeRef.current;
+    if (active) {
+      const { transition, from } = active;
+      const jump = transition.type === 'collapse' || transition.type === 'reset';
+      const length = jump ? COLLAPSE_DURATION : duration;
+      const progress = Math.min((now - active.start) / length, 1);
+      if (jump) {
+        const eased = 1 - (1 - progress) ** 3;
+        vector = {
+          x: from.x + (transition.to.x - from.x) * eased,
+          y: from.y + (transition.to.y - from.y) * eased,
+          z: from.z + (transition.to.z - from.z) * eased
         };
-      };
+        if (transition.type === 'collapse') {
+          flash = 1 - progress;
+          flashAt = transition.to;
+        }
+      } else {
+        const eased = progress < 0.5 ? 2 * progress * progress : 1 - (-2 * progress + 2) ** 2 / 2;
+        vector = rotateAbout(from, transition.axis, transition.angle * eased);
+        rotationShown = { ...transition, from };
+      }
+      if (progress >= 1) activeRef.current = null;
+    }
+    displayedRef.current = { x: vector.x, y: vector.y, z: vector.z };
+
+    const trail = trailRef.current;
+    const last = trail[trail.length - 1];
+    if (!hideState && (!last || Math.hypot(vector.x - last.x, vector.y - last.y, vector.z - last.z) > 0.01)) {
+      const producer = active ? active.transition : null;
+      const color = !producer ? TRAIL_COLORS.edit
+        : producer.type === 'collapse' ? TRAIL_COLORS.collapse
+          : producer.color || TRAIL_COLORS.edit;
+      trail.push({ x: vector.x, y: vector.y, z: vector.z, color });
+      if (trail.length > TRAIL_LENGTH) trail.shift();
+    }
+
+    const camera = cameraRef.current;
+    const step = lastFrameRef.current === null ? 0 : Math.min(now - lastFrameRef.current, MAX_FRAME_STEP);
+    lastFrameRef.current = now;
+    if (autoRotate && !dragRef.current) {
+      camera.yaw += AUTO_ROTATE_SPEED * step / 1000;
+    }
+    drawBlochScene(ctx, width, height, {
+      vector,
+      camera,
+      trail,
+      rotationShown,
+      flash,
+      flashAt,
+      directions,
+      estimates,
+      reference,
+      hideState,
+      locale,
+      cache: wireframeRef.current
+    });
+
+    return Boolean(activeRef.current || queueRef.current.length > 0 || (autoRotate && !dragRef.current));
+  };
+  const requestRedraw = useCanvasRenderer(canvasRef, render);
+
+  // Queue the transitions that came with a new state, when there is a
+  // displayed vector to start them from, and redraw. A new state without
+  // them cancels the queue; a change of anything else leaves it playing.
+  const shownStateRef = useRef(null);
+  useEffect(() => {
+    if (hideState) trailRef.current = [];
+    const stateChanged = !shownStateRef.current ||
+      shownStateRef.current.qubitState !== qubitState || shownStateRef.current.blochVector !== blochVector;
+    shownStateRef.current = { qubitState, blochVector };
+
+    const fresh = transitions.filter((transition) => transition.id > lastTransitionIdRef.current);
+    if (transitions.length > 0) {
+      lastTransitionIdRef.current = Math.max(lastTransitionIdRef.current, transitions[transitions.length - 1].id);
+    }
+    const playable = fresh.filter((transition) => transition.type === 'collapse' || duration > 0);
+    if (playable.length > 0 && displayedRef.current) {
+      queueRef.current.push(...playable);
+    } else if (stateChanged) {
+      queueRef.current = [];
+      activeRef.current = null;
+    }
+    requestRedraw();
+  }, [qubitState, blochVector, transitions, duration, directions, estimates, reference, hideState, autoRotate, locale, requestRedraw]);
+
+  // Wheel zoom needs a non-passive listener to keep the page from scrolling
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const camera = cameraRef.current;
+      camera.zoom = Math.min(2.5, Math.max(0.5, camera.zoom * Math.exp(-e.deltaY * 0.001)));
+      requestRedraw();
+    };
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', onWheel);
+  }, [requestRedraw]);
+
+  // Pointer position in sphere radii from the center (u right, v up); x and
+  // y in CSS pixels, as the frames are drawn
+  const pointerToView = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    const radius = Math.min(rect.width, rect.height) * 0.35 * cameraRef.current.zoom;
+    return { u: (x - rect.width / 2) / radius, v: -(y - rect.height / 2) / radius, x, y };
+  };
+
+  // Bloch angles of the sphere point under the pointer
+  const pointerToAngles = (e) => {
+    const { u, v } = pointerToView(e);
+    const point = screenToSphere(u, v, cameraRef.current);
+    return { theta: Math.acos(Math.max(-1, Math.min(1, point.z))), phi: Math.atan2(point.y, point.x) };
+  };
+
+  const dragStateTo = (e) => {
+    const { theta, phi } = pointerToAngles(e);
+    onStateDrag(theta, phi, dragRef.current.id);
+  };
+
+  const handlePointerDown = (e) => {
+    if (onAxisPick) {
+      const { theta, phi } = pointerToAngles(e);
+      onAxisPick(theta, phi);
+      return;
+    }
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const { x, y } = pointerToView(e);
+    dragRef.current = { x, y, id: e.timeStamp };
+    if (editing && onStateDrag) dragStateTo(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current) return;
+    if (editing && onStateDrag) {
+      dragStateTo(e);
+      return;
+    }
+    const { x, y } = pointerToView(e);
+    const camera = cameraRef.current;
+    camera.yaw += (x - dragRef.current.x) * 0.01;
+    camera.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, camera.pitch + (y - dragRef.current.y) * 0.01));
+    dragRef.current = { ...dragRef.current, x, y };
+    requestRedraw();
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+    requestRedraw();
+  };
+
+  const snapTo = (view) => {
+    Object.assign(cameraRef.current, CAMERA_VIEWS[view]);
+    setAutoRotate(false);
+    requestRedraw();
+  };
+
+  const clearTrail = () => {
+    trailRef.current = [];
+    requestRedraw();
+  };
+
+  const controlClass = 'px-2 py-1 rounded bg-slate-900/80 border border-purple-500/30 hover:border-purple-400 transition';
+
+  return (
+    <div className="relative w-full h-full">
+      <canvas
+        ref={canvasRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        className="w-full h-full"
+        style={{ touchAction: 'none', cursor: editing || onAxisPick ? 'crosshair' : 'grab' }}
+      />
+      <div className="absolute top-2 left-2 flex flex-wrap gap-1 text-xs text-gray-300">
+        <button
+          onClick={() => setAutoRotate(!autoRotate)}
+          className={controlClass}
+          title={autoRotate ? t('sphere.pauseRotation') : t('sphere.resumeRotation')}
+        >
+          {autoRotate ? '⏸' : '⟳'}
+        </button>
+        {Object.keys(CAMERA_VIEWS).map((view) => (
+          <button key={view} onClick={() => snapTo(view)} className={controlClass} title={t('sphere.planeView', { plane: view })}>
+            {view}
+          </button>
+        ))}
+        <button onClick={clearTrail} className={controlClass}>
+          {t('sphere.clearTrail')}
+        </button>
+        {onStateDrag && (
+          <button
+            onClick={() => setEditing(!editing)}
+            className={`${controlClass} ${editing ? 'bg-purple-600/60 text-white' : ''}`}
+            title={editing ? t('sphere.dragCamera') : t('sphere.dragState')}
+          >
+            {editing ? `✎ ${t('sphere.stateMode')}` : `✋ ${t('sphere.cameraMode')}`}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Labels of the superposition waves, in the language of t
+const waveLabels = (t) => ({ zero: '|0⟩', one: '|1⟩', superposition: t('waves.superposition') });
+
+// Draws the amplitudes of qubitState as waves at phase time, in CSS
+// pixels, on a canvas context or on an SvgContext
+const drawWaves = (ctx, width, height, qubitState, time, { theme = SCENE_THEMES.dark, labels }) => {
+  ctx.clearRect(0, 0, width, height);
+
+  // Background
+  ctx.fillStyle = theme.background[1];
+  ctx.fillRect(0, 0, width, height);
+
+  const centerY = height / 2;
+  const waveHeight = height * 0.3;
+
+  // Probabilities
+  const prob0 = qubitState.alpha.re ** 2 + qubitState.alpha.im ** 2;
+  const prob1 = qubitState.beta.re ** 2 + qubitState.beta.im ** 2;
+
+  // Phase
+  const phase0 = Math.atan2(qubitState.alpha.im, qubitState.alpha.re);
+  const phase1 = Math.atan2(qubitState.beta.im, qubitState.beta.re);
+
+  // Draw |0⟩ wave
+  ctx.strokeStyle = '#a855f7';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  for (let x = 0; x < width; x++) {
+    const y = centerY - waveHeight * Math.sqrt(prob0) * Math.sin((x * 0.02) + time + phase0);
+    if (x === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  }
+  ctx.stroke();
+
+  // Draw |1⟩ wave
+  ctx.strokeStyle = '#06b6d4';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  for (let x = 0; x < width; x++) {
+    const y = centerY - waveHeight * Math.sqrt(prob1) * Math.sin((x * 0.02) + time + phase1);
+    if (x === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  }
+  ctx.stroke();
+
+  // Draw superposition (combined wave)
+  ctx.strokeStyle = '#ff00ff';
+  ctx.lineWidth = 2;
+  ctx.setLineDash([5, 5]);
+  ctx.beginPath();
+  for (let x = 0; x < width; x++) {
+    const y0 = waveHeight * Math.sqrt(prob0) * Math.sin((x * 0.02) + time + phase0);
+    const y1 = waveHeight * Math.sqrt(prob1) * Math.sin((x * 0.02) + time + phase1);
+    const y = centerY - (y0 + y1) / 2;
+    if (x === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  }
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // Labels
+  ctx.font = 'bold 14px Space Mono, monospace';
+  ctx.fillStyle = '#a855f7';
+  ctx.fillText(labels.zero, 10, 30);
+  ctx.fillStyle = '#06b6d4';
+  ctx.fillText(labels.one, 10, 50);
+  ctx.fillStyle = '#ff00ff';
+  ctx.fillText(labels.superposition, 10, 70);
+
+  // Center line
+  ctx.strokeStyle = theme.guide;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(0, centerY);
+  ctx.lineTo(width, centerY);
+  ctx.stroke();
+};
+
+// Phase speed of the superposition waves, in radians per second
+const WAVE_SPEED = 1.2;
+
+// The amplitudes of qubitState as travelling waves; they keep moving while
+// on screen
+const SuperpositionWaves = ({ qubitState }) => {
+  const { t } = useLocale();
+  const canvasRef = useRef(null);
+  const timeRef = useRef(0);
+  const lastFrameRef = useRef(null);
+
+  const render = (ctx, width, height, now) => {
+    const step = lastFrameRef.current === null ? 0 : Math.min(now - lastFrameRef.current, MAX_FRAME_STEP);
+    lastFrameRef.current = now;
+    timeRef.current += WAVE_SPEED * step / 1000;
+    drawWaves(ctx, width, height, qubitState, timeRef.current, { labels: waveLabels(t) });
+    return true;
+  };
+  const requestRedraw = useCanvasRenderer(canvasRef, render);
+
+  useEffect(() => {
+    requestRedraw();
+  }, [qubitState, t, requestRedraw]);
+
+  return <canvas ref={canvasRef} className="w-full h-full" />;
+};
+
+// Records the drawing calls of drawBlochScene and drawWaves as SVG elements,
+// so that figures export as vectors. Implements the part of the 2D context
+// API they use: paths of lines and arcs, strokes, fills, dashes, text,
+// global alpha and radial gradients.
+class SvgContext {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.elements = [];
+    this.gradients = [];
+    this.path = '';
+    this.dash = [];
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.lineCap = 'butt';
+    this.font = '10px sans-serif';
+    this.globalAlpha = 1;
+  }
+
+  static number(value) {
+    return String(Number(value.toFixed(2)));
+  }
+
+  static escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  // SVG paint and opacity of a canvas style: a color (rgba() split into
+  // rgb() and its alpha) or a gradient from createRadialGradient
+  paint(style) {
+    if (typeof style !== 'string') return { color: `url(#${style.id})`, opacity: this.globalAlpha };
+    const match = style.match(/^rgba\(\s*([\d.]+),\s*([\d.]+),\s*([\d.]+),\s*([\d.]+)\s*\)$/);
+    if (!match) return { color: style, opacity: this.globalAlpha };
+    return { color: `rgb(${match[1]}, ${match[2]}, ${match[3]})`, opacity: Number(match[4]) * this.globalAlpha };
+  }
+
+  setLineDash(dash) {
+    this.dash = dash;
+  }
+
+  clearRect() {}
+
+  beginPath() {
+    this.path = '';
+  }
+
+  moveTo(x, y) {
+    this.path += `M${SvgContext.number(x)} ${SvgContext.number(y)}`;
+  }
+
+  lineTo(x, y) {
+    this.path += `L${SvgContext.number(x)} ${SvgContext.number(y)}`;
+  }
+
+  closePath() {
+    this.path += 'Z';
+  }
+
+  // Clockwise arc, joined to the current point by a line as on a canvas
+  arc(x, y, radius, start, end) {
+    const point = (angle) => `${SvgContext.number(x + radius * Math.cos(angle))} ${SvgContext.number(y + radius * Math.sin(angle))}`;
+    const r = SvgContext.number(radius);
+    this.path += `${this.path ? 'L' : 'M'}${point(start)}`;
+    const sweep = end - start;
+    if (sweep >= Math.PI * 2 - 1e-9) {
+      this.path += `A${r} ${r} 0 1 1 ${point(start + Math.PI)}A${r} ${r} 0 1 1 ${point(start)}`;
+    } else {
+      this.path += `A${r} ${r} 0 ${sweep > Math.PI ? 1 : 0} 1 ${point(end)}`;
+    }
+  }
+
+  stroke() {
+    const { color, opacity } = this.paint(this.strokeStyle);
+    const dash = this.dash.length > 0 ? ` stroke-dasharray="${this.dash.join(' ')}"` : '';
+    const cap = this.lineCap !== 'butt' ? ` stroke-linecap="${this.lineCap}"` : '';
+    this.elements.push(
+      `<path d="${this.path}" fill="none" stroke="${color}" stroke-opacity="${SvgContext.number(opacity)}" stroke-width="${this.lineWidth}"${dash}${cap}/>`
+    );
+  }
+
+  fill() {
+    const { color, opacity } = this.paint(this.fillStyle);
+    this.elements.push(`<path d="${this.path}" fill="${color}" fill-opacity="${SvgContext.number(opacity)}"/>`);
+  }
+
+  fillRect(x, y, width, height) {
+    const { color, opacity } = this.paint(this.fillStyle);
+    this.elements.push(
+      `<rect x="${SvgContext.number(x)}" y="${SvgContext.number(y)}" width="${SvgContext.number(width)}" height="${SvgContext.number(height)}" fill="${color}" fill-opacity="${SvgContext.number(opacity)}"/>`
+    );
+  }
+
+  fillText(text, x, y) {
+    const { color, opacity } = this.paint(this.fillStyle);
+    const [, bold, size, family] = this.font.match(/^(bold\s+)?([\d.]+)px\s+(.*)$/);
+    this.elements.push(
+      `<text x="${SvgContext.number(x)}" y="${SvgContext.number(y)}" font-family="${SvgContext.escape(family)}" font-size="${size}"${bold ? ' font-weight="bold"' : ''} fill="${color}" fill-opacity="${SvgContext.number(opacity)}">${SvgContext.escape(text)}</text>`
+    );
+  }
+
+  // Only concentric gradients (same center) are drawn, as the scenes use
+  createRadialGradient(x0, y0, r0, x1, y1, r1) {
+    const gradient = { id: `gradient-${this.gradients.length}`, x: x1, y: y1, radius: r1, stops: [] };
+    gradient.addColorStop = (offset, color) => gradient.stops.push({ offset, ...this.paint(color) });
+    this.gradients.push(gradient);
+    return gradient;
+  }
+
+  toString() {
+    const definitions = this.gradients.map(({ id, x, y, radius, stops }) => [
+      `<radialGradient id="${id}" cx="${SvgContext.number(x)}" cy="${SvgContext.number(y)}" r="${SvgContext.number(radius)}" gradientUnits="userSpaceOnUse">`,
+      ...stops.map(({ offset, color, opacity }) => `<stop offset="${offset}" stop-color="${color}" stop-opacity="${SvgContext.number(opacity)}"/>`),
+      '</radialGradient>'
+    ].join(''));
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+      definitions.length > 0 ? `<defs>${definitions.join('')}</defs>` : '',
+      ...this.elements,
+      '</svg>'
+    ].filter(Boolean).join('\n');
+  }
+}
+
+// Largest figure side and PNG pixel count accepted for export
+const MAX_FIGURE_SIDE = 4000;
+const MAX_FIGURE_PIXELS = 40000000;
+const FIGURE_SCALES = [1, 2, 3, 4];
+
+// Draws a figure (options: { figure: 'sphere' | 'waves', width, height,
+// camera, light, labels, locale }) on a canvas context or an SvgContext. The
+// waves are drawn at phase time 0.
+const drawFigure = (ctx, { figure, width, height, camera, light, labels, locale }, { qubitState, vector, directions, reference }) => {
+  const theme = light ? SCENE_THEMES.light : SCENE_THEMES.dark;
+  if (figure === 'sphere') {
+    drawBlochScene(ctx, width, height, { vector, camera, theme, labels, directions, reference, locale });
+  } else {
+    drawWaves(ctx, width, height, qubitState, 0, { theme, labels });
+  }
+};
+
+// Saves blob as a file called name, through a temporary link
+const downloadBlob = (blob, name) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  // Revoked later: some browsers have not started reading the URL on click
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Export of the sphere (the view's vector, directions and reference) or the
+// waves of qubitState as an SVG or PNG figure, with a fixed camera, optional
+// light background and custom labels. A preview shows the SVG.
+const FigureExportPanel = ({ qubitState, vector, directions, reference }) => {
+  const { locale, t, textOf } = useLocale();
+  const [figure, setFigure] = useState('sphere');
+  const [format, setFormat] = useState('svg');
+  const [sizes, setSizes] = useState({ sphere: { width: '800', height: '640' }, waves: { width: '800', height: '260' } });
+  const [scale, setScale] = useState(3);
+  const [cameraInputs, setCameraInputs] = useState({ yaw: '30', pitch: '-20' });
+  const [light, setLight] = useState(true);
+  // Labels edited by the user; the others follow the language
+  const [labelEdits, setLabelEdits] = useState({ sphere: {}, waves: {} });
+  const [error, setError] = useState(null);
+
+  const size = sizes[figure];
+  const labels = useMemo(() => ({
+    ...(figure === 'sphere' ? { ...SPHERE_LABELS, state: '|ψ⟩' } : waveLabels(t)),
+    ...labelEdits[figure]
+  }), [figure, labelEdits, t]);
+
+  // Validated options, or { error }
+  const options = useMemo(() => {
+    const width = Number(size.width);
+    const height = Number(size.height);
+    const yaw = Number(cameraInputs.yaw);
+    const pitch = Number(cameraInputs.pitch);
+    if (![width, height].every((side) => Number.isInteger(side) && side >= 50 && side <= MAX_FIGURE_SIDE)) {
+      return { error: t('export.invalidSize', { max: MAX_FIGURE_SIDE }) };
+    }
+    if (!Number.isFinite(yaw) || !Number.isFinite(pitch) || Math.abs(pitch) > 90) {
+      return { error: t('export.invalidCamera') };
+    }
+    return {
+      figure,
+      width,
+      height,
+      camera: { yaw: degreesToRadians(yaw), pitch: degreesToRadians(pitch), zoom: 1 },
+      light,
+      labels,
+      locale
+    };
+  }, [figure, size, cameraInputs, light, labels, locale, t]);
+
+  const svg = useMemo(() => {
+    if (options.error) return null;
+    const ctx = new SvgContext(options.width, options.height);
+    drawFigure(ctx, options, { qubitState, vector, directions, reference });
+    return ctx.toString();
+  }, [options, qubitState, vector, directions, reference]);
+
+  const download = () => {
+    if (options.error) return;
+    const name = figure === 'sphere' ? t('export.sphereFile') : t('export.wavesFile');
+    if (format === 'svg') {
+      downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${name}.svg`);
+      setError(null);
+      return;
+    }
+    if (options.width * options.height * scale * scale > MAX_FIGURE_PIXELS) {
+      setError(localized('export.tooLarge'));
+      return;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = options.width * scale;
+    canvas.height = options.height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    drawFigure(ctx, options, { qubitState, vector, directions, reference });
+    canvas.toBlob((blob) => {
+      if (blob) {
+        downloadBlob(blob, `${name}.png`);
+        setError(null);
+      } else {
+        setError(localized('export.pngFailed'));
+      }
+    }, 'image/png');
+  };
+
+  const inputClass = 'w-full bg-slate-800/80 border border-purple-500/40 rounded px-2 py-1 text-white text-sm focus:outline-none focus:border-purple-400';
+  const labelFields = figure === 'sphere'
+    ? [['x', t('export.axisLabel', { axis: 'X' })], ['y', t('export.axisLabel', { axis: 'Y' })], ['z', t('export.axisLabel', { axis: 'Z' })], ['state', t('export.stateLabel')]]
+    : [['zero', t('export.waveLabel', { state: '|0⟩' })], ['one', t('export.waveLabel', { state: '|1⟩' })], ['superposition', t('waves.superposition')]];
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="grid grid-cols-2 gap-3">
+        <select value={figure} onChange={(e) => setFigure(e.target.value)} className={inputClass}>
+          <option value="sphere">{t('export.sphere')}</option>
+          <option value="waves">{t('export.waves')}</option>
+        </select>
+        <select value={format} onChange={(e) => setFormat(e.target.value)} className={inputClass}>
+          <option value="svg">{t('export.svg')}</option>
+          <option value="png">PNG</option>
+        </select>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3">
+        {['width', 'height'].map((side) => (
+          <div key={side}>
+            <input
+              type="number"
+              min="50"
+              max={MAX_FIGURE_SIDE}
+              value={size[side]}
+              onChange={(e) => setSizes({ ...sizes, [figure]: { ...size, [side]: e.target.value } })}
+              className={inputClass}
+            />
+            <span className="text-xs text-gray-500 mt-1 block">{side === 'width' ? t('export.width') : t('export.height')}</span>
+          </div>
+        ))}
+        <div>
+          <select value={scale} onChange={(e) => setScale(Number(e.target.value))} disabled={format !== 'png'} className={`${inputClass} disabled:opacity-40`}>
+            {FIGURE_SCALES.map((factor) => (
+              <option key={factor} value={factor}>×{factor}</option>
+            ))}
+          </select>
+          <span className="text-xs text-gray-500 mt-1 block">{t('export.resolution')}</span>
+        </div>
+      </div>
+
+      {figure === 'sphere' && (
+        <div className="grid grid-cols-[1fr_1fr_auto] gap-3 items-start">
+          {[['yaw', t('export.yaw')], ['pitch', t('export.pitch')]].map(([field, label]) => (
+            <div key={field}>
+              <input
+                type="text"
+                value={cameraInputs[field]}
+                onChange={(e) => setCameraInputs({ ...cameraInputs, [field]: e.target.value })}
+                className={inputClass}
+              />
+              <span className="text-xs text-gray-500 mt-1 block">{label}</span>
+            </div>
+          ))}
+          <div className="flex gap-1">
+            {Object.entries(CAMERA_VIEWS).map(([view, { yaw, pitch }]) => (
+              <button
+                key={view}
+                onClick={() => setCameraInputs({ yaw: String(yaw * 180 / Math.PI), pitch: String(pitch * 180 / Math.PI) })}
+                className="px-2 py-1 rounded border border-slate-600 text-xs text-gray-400 hover:border-purple-400 hover:text-white transition"
+                title={t('sphere.planeView', { plane: view })}
+              >
+                {view}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-4 gap-2">
+        {labelFields.map(([field, label]) => (
+          <div key={field}>
+            <input
+              type="text"
+              value={labels[field]}
+              onChange={(e) => setLabelEdits({ ...labelEdits, [figure]: { ...labelEdits[figure], [field]: e.target.value } })}
+              className={inputClass}
+            />
+            <span className="text-xs text-gray-500 mt-1 block">{label}</span>
+          </div>
+        ))}
+      </div>
+
+      <label className="flex items-center gap-2 text-xs text-gray-300">
+        <input type="checkbox" checked={light} onChange={(e) => setLight(e.target.checked)} className="accent-purple-500" />
+        {t('export.lightBackground')}
+      </label>
+
+      {svg && (
+        <img
+          src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`}
+          alt={t('export.preview')}
+          className="w-full rounded border border-purple-500/20"
+        />
+      )}
+
+      <button
+        onClick={download}
+        disabled={Boolean(options.error)}
+        className="w-full bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-500 hover:to-pink-500 disabled:opacity-40 py-2 px-4 rounded-lg font-bold transition-all shadow-lg"
+      >
+        {t('export.download', { format: format.toUpperCase() })}
+      </button>
+      {(options.error || error) && <div className="text-xs text-red-400">{options.error || textOf(error)}</div>}
+    </div>
+  );
+};
+
+// Number of animation frames a shot experiment is spread over, so the
+// histogram can be watched converging
+const SHOT_FRAMES = 90;
+const MAX_SHOTS = 100000;
+
+// Repeated measurements of the current state in one basis, drawn from a
+// seeded RNG and compared against the theoretical probabilities
+const ShotExperiment = ({ qubitState }) => {
+  const { t, textOf, formatNumber } = useLocale();
+  const [basis, setBasis] = useState('Z');
+  const [shotsText, setShotsText] = useState('1000');
+  const [seedText, setSeedText] = useState('42');
+  const [run, setRun] = useState(null);
+  const [error, setError] = useState(null);
+  const rngRef = useRef(null);
+
+  const startRun = () => {
+    const shots = Number(shotsText);
+    if (!Number.isInteger(shots) || shots < 1 || shots > MAX_SHOTS) {
+      setError(localized('shots.invalidShots', { max: MAX_SHOTS }));
+      return;
+    }
+    setError(null);
+    rngRef.current = createRng(hashSeed(seedText));
+    setRun({
+      basis,
+      shots,
+      seed: seedText,
+      probabilities: qubitState.measurementProbabilities(basis),
+      counts: [0, 0],
+      done: 0
+    });
+  };
+
+  const running = run !== null && run.done < run.shots;
+
+  useEffect(() => {
+    if (!running) return;
+    // Sample outside the state updater so the RNG advances exactly once per shot
+    const frame = requestAnimationFrame(() => {
+      const batch = Math.min(Math.ceil(run.shots / SHOT_FRAMES), run.shots - run.done);
+      const counts = [...run.counts];
+      for (let i = 0; i < batch; i++) {
+        counts[sampleOutcome(run.probabilities, rngRef.current)]++;
+      }
+      setRun({ ...run, counts, done: run.done + batch });
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [running, run]);
+
+  const outcomes = MEASUREMENT_BASES[run ? run.basis : basis].outcomes;
+  const probabilities = run ? run.probabilities : qubitState.measurementProbabilities(basis);
+  const frequencies = run && run.done > 0
+    ? run.counts.map((n) => n / run.done)
+    : null;
+  const fit = run && run.done > 0 ? chiSquareTest(run.counts, run.probabilities) : null;
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-3 mb-3">
+        <div>
+          <select
+            value={basis}
+            onChange={(e) => setBasis(e.target.value)}
+            className="w-full bg-slate-800/80 border border-cyan-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-cyan-400"
+          >
+            {['Z', 'X', 'Y'].map((option) => (
+              <option key={option} value={option}>{t('shots.basisOption', { basis: option })}</option>
+            ))}
+          </select>
+          <span className="text-xs text-gray-500 mt-1 block">{t('shots.basis')}</span>
+        </div>
+        <div>
+          <input
+            type="number"
+            min="1"
+            max={MAX_SHOTS}
+            value={shotsText}
+            onChange={(e) => setShotsText(e.target.value)}
+            className="w-full bg-slate-800/80 border border-cyan-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-cyan-400 transition"
+          />
+          <span className="text-xs text-gray-500 mt-1 block">{t('shots.shots')}</span>
+        </div>
+        <div>
+          <input
+            type="text"
+            value={seedText}
+            onChange={(e) => setSeedText(e.target.value)}
+            className="w-full bg-slate-800/80 border border-cyan-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-cyan-400 transition"
+          />
+          <span className="text-xs text-gray-500 mt-1 block">{t('shots.seed')}</span>
+        </div>
+      </div>
+
+      <button
+        onClick={startRun}
+        disabled={running}
+        className="w-full bg-gradient-to-r from-cyan-600 to-purple-600 hover:from-cyan-500 hover:to-purple-500 disabled:opacity-50 py-2 px-4 rounded-lg font-bold transition-all shadow-lg"
+      >
+        {running ? t('shots.running', { done: run.done, shots: run.shots }) : t('shots.run')}
+      </button>
+      {error && <div className="mt-2 text-xs text-red-400">{textOf(error)}</div>}
+
+      {/* Histogram: empirical frequency with ±1 standard error, theory as a line */}
+      <div className="mt-4 grid grid-cols-2 gap-6 h-40 px-6 border-b border-slate-600">
+        {outcomes.map((outcome, idx) => {
+          const frequency = frequencies ? frequencies[idx] : 0;
+          const standardError = frequencies ? Math.sqrt(frequency * (1 - frequency) / run.done) : 0;
+          return (
+            <div key={outcome} className="relative h-full">
+              <div
+                className="absolute bottom-0 inset-x-2 bg-gradient-to-t from-purple-600 to-pink-500 rounded-t transition-all duration-100"
+                style={{ height: `${frequency * 100}%` }}
+              />
+              {frequencies && (
+                <div
+                  className="absolute left-1/2 w-0.5 -ml-px bg-white/80"
+                  style={{
+                    bottom: `${Math.max(frequency - standardError, 0) * 100}%`,
+                    height: `${(Math.min(frequency + standardError, 1) - Math.max(frequency - standardError, 0)) * 100}%`
+                  }}
+                />
+              )}
+              <div
+                className="absolute inset-x-0 h-0.5 bg-cyan-300"
+                style={{ bottom: `${probabilities[idx] * 100}%` }}
+              />
+            </div>
+          );
+        })}
+      </div>
+      <div className="grid grid-cols-2 gap-6 px-6 mt-1 text-xs text-center">
+        {outcomes.map((outcome, idx) => (
+          <div key={outcome}>
+            <div className="text-white">{outcome}</div>
+            <div className="text-cyan-300">{t('shots.theory', { value: formatNumber(probabilities[idx] * 100, 2) })}</div>
+            {frequencies && (
+              <div className="text-pink-300">
+                {run.counts[idx]} · {formatNumber(frequencies[idx] * 100, 2)}%
+                ± {formatNumber(Math.sqrt(frequencies[idx] * (1 - frequencies[idx]) / run.done) * 100, 2)}%
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {fit && (
+        <div className="mt-3 bg-slate-800/60 rounded-lg p-3 text-xs font-mono text-gray-300">
+          <div>{t('shots.summary', { shots: run.done, basis: run.basis, seed: run.seed })}</div>
+          <div className="mt-1">
+            χ² = {Number.isFinite(fit.chi2) ? formatNumber(fit.chi2, 3) : '∞'} ({t('shots.degrees', { df: fit.df })}) · p = {formatNumber(fit.pValue, 3)}
+          </div>
+          <div className={fit.pValue < 0.05 ? 'text-red-400' : 'text-green-400'}>
+            {fit.pValue < 0.05 ? t('shots.rejected') : t('shots.compatible')}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Shot counts of the tomography convergence study, and trials averaged at
+// each of them
+const TOMOGRAPHY_SHOT_COUNTS = [10, 30, 100, 300, 1000, 3000, 10000];
+const TOMOGRAPHY_TRIALS = 20;
+const MAX_TOMOGRAPHY_SHOTS = 100000;
+
+// Measure shots copies of state in each of the X, Y and Z bases; returns the
+// counts [n₊, n₋] per axis
+const simulateTomography = (state, shots, random) => ['X', 'Y', 'Z'].map((basis) => {
+  const probabilities = state.measurementProbabilities(basis);
+  const counts = [0, 0];
+  for (let i = 0; i < shots; i++) {
+    counts[sampleOutcome(probabilities, random)]++;
+  }
+  return counts;
+});
+
+// Linear inversion r_i = (n₊ − n₋)/N. With finite shots it may fall outside
+// the Bloch ball, i.e. not be a state.
+const linearInversion = (counts) => {
+  const [x, y, z] = counts.map(([plus, minus]) => (plus - minus) / (plus + minus));
+  return { x, y, z };
+};
+
+// Maximum-likelihood estimate: the r in the Bloch ball maximizing
+// Σ n₊ log(1 + r_i) + n₋ log(1 − r_i). Inside the ball that is the linear
+// inversion. Otherwise the maximum lies on the sphere, where the Lagrange
+// condition n₊/(1 + r_i) − n₋/(1 − r_i) = 2λr_i gives each r_i for a given
+// λ ≥ 0 (the left side decreases in r_i), and λ is bisected until |r| = 1.
+const maximumLikelihood = (counts) => {
+  const inversion = linearInversion(counts);
+  if (Math.hypot(inversion.x, inversion.y, inversion.z) <= 1) return inversion;
+  const component = ([plus, minus], lambda) => {
+    let low = -1;
+    let high = 1;
+    for (let i = 0; i < 50; i++) {
+      const r = (low + high) / 2;
+      if (plus / (1 + r) - minus / (1 - r) - 2 * lambda * r > 0) {
+        low = r;
+      } else {
+        high = r;
+      }
+    }
+    return (low + high) / 2;
+  };
+  const at = (lambda) => counts.map((c) => component(c, lambda));
+  let low = 0;
+  let high = 1;
+  while (Math.hypot(...at(high)) > 1) high *= 2;
+  for (let i = 0; i < 50; i++) {
+    const lambda = (low + high) / 2;
+    if (Math.hypot(...at(lambda)) > 1) {
+      low = lambda;
+    } else {
+      high = lambda;
+    }
+  }
+  const [x, y, z] = at(high);
+  return { x, y, z };
+};
+
+// Fidelity between the qubit states with Bloch vectors r and s:
+// F = [1 + r·s + √((1 − |r|²)(1 − |s|²))]/2
+const blochFidelity = (r, s) => {
+  const dot = r.x * s.x + r.y * s.y + r.z * s.z;
+  const purityTerm = Math.max(0, 1 - (r.x ** 2 + r.y ** 2 + r.z ** 2)) * Math.max(0, 1 - (s.x ** 2 + s.y ** 2 + s.z ** 2));
+  return (1 + dot + Math.sqrt(purityTerm)) / 2;
+};
+
+const blochDistance = (r, s) => Math.hypot(r.x - s.x, r.y - s.y, r.z - s.z);
+
+// Comparison of two qubit states with Bloch vectors r and s: fidelity,
+// trace distance ½‖ρ − σ‖₁ = |r − s|/2, Bures angle arccos √F and the angle
+// between the vectors on the sphere (null when either is the center)
+const compareStates = (r, s) => {
+  const fidelity = Math.min(1, Math.max(0, blochFidelity(r, s)));
+  const lengths = Math.hypot(r.x, r.y, r.z) * Math.hypot(s.x, s.y, s.z);
+  const cosine = (r.x * s.x + r.y * s.y + r.z * s.z) / lengths;
+  return {
+    fidelity,
+    traceDistance: blochDistance(r, s) / 2,
+    buresAngle: Math.acos(Math.sqrt(fidelity)),
+    angle: lengths > 1e-9 ? Math.acos(Math.min(1, Math.max(-1, cosine))) : null
+  };
+};
+
+// Mean estimation errors over TOMOGRAPHY_TRIALS simulated tomographies at
+// each shot count
+const tomographyConvergence = (state, random) => {
+  const truth = blochVectorOf(state);
+  return TOMOGRAPHY_SHOT_COUNTS.map((shots) => {
+    let inversionError = 0;
+    let likelihoodError = 0;
+    let infidelity = 0;
+    for (let trial = 0; trial < TOMOGRAPHY_TRIALS; trial++) {
+      const counts = simulateTomography(state, shots, random);
+      const estimate = maximumLikelihood(counts);
+      inversionError += blochDistance(linearInversion(counts), truth);
+      likelihoodError += blochDistance(estimate, truth);
+      infidelity += 1 - blochFidelity(estimate, truth);
+    }
+    return {
+      shots,
+      inversionError: inversionError / TOMOGRAPHY_TRIALS,
+      likelihoodError: likelihoodError / TOMOGRAPHY_TRIALS,
+      infidelity: infidelity / TOMOGRAPHY_TRIALS
+    };
+  });
+};
+
+const TOMOGRAPHY_COLORS = {
+  inversion: '#facc15',
+  likelihood: '#34d399'
+};
+
+// Log-log plot of the mean error |r̂ − r| against the shot count, with a
+// 1/√N guide through the first likelihood point
+const ConvergencePlot = ({ study }) => {
+  const canvasRef = useRef(null);
+
+  const render = (ctx, width, height) => {
+    const margin = { left: 48, right: 12, top: 12, bottom: 30 };
+    const errors = study.flatMap((row) => [row.inversionError, row.likelihoodError]).filter((e) => e > 0);
+    const logX = [Math.log10(study[0].shots), Math.log10(study[study.length - 1].shots)];
+    const logY = [Math.floor(Math.log10(Math.min(...errors))), Math.ceil(Math.log10(Math.max(...errors)))];
+    const px = (shots) => margin.left + (Math.log10(shots) - logX[0]) / (logX[1] - logX[0]) * (width - margin.left - margin.right);
+    const py = (error) => margin.top + (logY[1] - Math.log10(error)) / (logY[1] - logY[0]) * (height - margin.top - margin.bottom);
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '11px Space Mono, monospace';
+    ctx.strokeStyle = 'rgba(148, 163, 184, 0.25)';
+    ctx.fillStyle = '#94a3b8';
+    ctx.lineWidth = 1;
+    for (let p = logY[0]; p <= logY[1]; p++) {
+      ctx.beginPath();
+      ctx.moveTo(margin.left, py(10 ** p));
+      ctx.lineTo(width - margin.right, py(10 ** p));
+      ctx.stroke();
+      ctx.fillText(`1e${p}`, 6, py(10 ** p) + 4);
+    }
+    study.forEach(({ shots }) => {
+      ctx.fillText(String(shots), px(shots) - 12, height - 10);
+    });
+
+    // 1/√N guide
+    const { shots: firstShots, likelihoodError: firstError } = study[0];
+    ctx.strokeStyle = 'rgba(226, 232, 240, 0.5)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    study.forEach(({ shots }, i) => {
+      const guide = firstError * Math.sqrt(firstShots / shots);
+      if (i === 0) ctx.moveTo(px(shots), py(guide));
+      else ctx.lineTo(px(shots), py(guide));
+    });
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    [['inversionError', TOMOGRAPHY_COLORS.inversion], ['likelihoodError', TOMOGRAPHY_COLORS.likelihood]].forEach(([key, color]) => {
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      study.forEach((row, i) => {
+        if (i === 0) ctx.moveTo(px(row.shots), py(row[key]));
+        else ctx.lineTo(px(row.shots), py(row[key]));
+      });
+      ctx.stroke();
+      study.forEach((row) => {
+        ctx.beginPath();
+        ctx.arc(px(row.shots), py(row[key]), 3, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    });
+  };
+  const requestRedraw = useCanvasRenderer(canvasRef, render);
+
+  useEffect(() => {
+    requestRedraw();
+  }, [study, requestRedraw]);
+
+  return <canvas ref={canvasRef} className="w-full h-[200px]" />;
+};
+
+// Simulated state tomography: shots in the X, Y and Z bases, reconstruction
+// by linear inversion and by maximum likelihood, compared with the true
+// state. The true state is the current one or a random pure state drawn from
+// the seed, kept hidden until revealed.
+const TomographyPanel = ({ qubitState }) => {
+  const { locale, t, textOf, formatNumber } = useLocale();
+  const [source, setSource] = useState('current');
+  const [shotsText, setShotsText] = useState('100');
+  const [seedText, setSeedText] = useState('7');
+  const [revealed, setRevealed] = useState(false);
+  const [result, setResult] = useState(null);
+  const [study, setStudy] = useState(null);
+  const [error, setError] = useState(null);
+
+  // The hidden state depends on the seed only, so a run can be repeated
+  const secretState = useMemo(() => {
+    const random = createRng(hashSeed(`${seedText}:secret`));
+    return stateFromBloch(Math.acos(2 * random() - 1), 2 * Math.PI * random());
+  }, [seedText]);
+  const truthState = source === 'current' ? qubitState : secretState;
+  const hidden = source === 'secret' && !revealed;
+
+  const reconstruct = () => {
+    const shots = Number(shotsText);
+    if (!Number.isInteger(shots) || shots < 1 || shots > MAX_TOMOGRAPHY_SHOTS) {
+      setError(localized('tomography.invalidShots', { max: MAX_TOMOGRAPHY_SHOTS }));
+      return;
+    }
+    setError(null);
+    const counts = simulateTomography(truthState, shots, createRng(hashSeed(seedText)));
+    setResult({ shots, counts, truth: blochVectorOf(truthState), inversion: linearInversion(counts), likelihood: maximumLikelihood(counts) });
+  };
+
+  const runStudy = () => {
+    setStudy(tomographyConvergence(truthState, createRng(hashSeed(seedText))));
+  };
+
+  const changeSource = (value) => {
+    setSource(value);
+    setRevealed(false);
+    setResult(null);
+    setStudy(null);
+  };
+
+  const estimates = useMemo(() => (result ? [
+    { ...result.inversion, label: t('tomography.inversionShort'), color: TOMOGRAPHY_COLORS.inversion },
+    { ...result.likelihood, label: t('tomography.likelihoodShort'), color: TOMOGRAPHY_COLORS.likelihood }
+  ] : NO_DIRECTIONS), [result, t]);
+  const li = t('tomography.inversionShort');
+  const ml = t('tomography.likelihoodShort');
+  const truthVector = useMemo(() => blochVectorOf(truthState), [truthState]);
+
+  const inversionLength = result ? Math.hypot(result.inversion.x, result.inversion.y, result.inversion.z) : 0;
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-3 mb-3">
+        <div>
+          <select
+            value={source}
+            onChange={(e) => changeSource(e.target.value)}
+            className="w-full bg-slate-800/80 border border-cyan-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-cyan-400"
+          >
+            <option value="current">{t('tomography.current')}</option>
+            <option value="secret">{t('tomography.secret')}</option>
+          </select>
+          <span className="text-xs text-gray-500 mt-1 block">{t('tomography.truth')}</span>
+        </div>
+        <div>
+          <input
+            type="number"
+            min="1"
+            max={MAX_TOMOGRAPHY_SHOTS}
+            value={shotsText}
+            onChange={(e) => setShotsText(e.target.value)}
+            className="w-full bg-slate-800/80 border border-cyan-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-cyan-400 transition"
+          />
+          <span className="text-xs text-gray-500 mt-1 block">{t('tomography.shots')}</span>
+        </div>
+        <div>
+          <input
+            type="text"
+            value={seedText}
+            onChange={(e) => setSeedText(e.target.value)}
+            className="w-full bg-slate-800/80 border border-cyan-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-cyan-400 transition"
+          />
+          <span className="text-xs text-gray-500 mt-1 block">{t('shots.seed')}</span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          onClick={reconstruct}
+          className="bg-gradient-to-r from-cyan-600 to-purple-600 hover:from-cyan-500 hover:to-purple-500 py-2 px-4 rounded-lg font-bold transition-all shadow-lg"
+        >
+          {t('tomography.reconstruct')}
+        </button>
+        <button
+          onClick={runStudy}
+          className="bg-slate-800/80 border border-cyan-500/40 hover:border-cyan-400 py-2 px-4 rounded-lg text-sm transition"
+          title={t('tomography.studyHint', { trials: TOMOGRAPHY_TRIALS, counts: TOMOGRAPHY_SHOT_COUNTS.join(', ') })}
+        >
+          {t('tomography.study')}
+        </button>
+      </div>
+      {error && <div className="mt-2 text-xs text-red-400">{textOf(error)}</div>}
+
+      <div className="mt-4 h-[260px] rounded-lg overflow-hidden border border-purple-500/20">
+        <BlochSphere qubitState={truthState} vector={truthVector} estimates={estimates} hideState={hidden} />
+      </div>
+      <div className="flex flex-wrap items-center gap-3 mt-2 text-xs">
+        <span className="text-pink-300">■ {hidden ? t('tomography.truthHidden') : t('tomography.truthLegend')}</span>
+        <span className="text-yellow-300">■ {t('tomography.inversion', { short: li })}</span>
+        <span className="text-emerald-300">■ {t('tomography.likelihood', { short: ml })}</span>
+        {source === 'secret' && (
+          <button
+            onClick={() => setRevealed(!revealed)}
+            className="ml-auto px-2 py-1 rounded border border-pink-500/40 text-pink-300 hover:border-pink-400 transition"
+          >
+            {revealed ? t('tomography.hide') : t('tomography.reveal')}
+          </button>
+        )}
+      </div>
+
+      {result && (
+        <div className="mt-3 bg-slate-800/60 rounded-lg p-3 text-xs font-mono text-gray-300 space-y-1">
+          {['X', 'Y', 'Z'].map((basis, i) => (
+            <div key={basis}>
+              {t('tomography.counts', { basis, plus: result.counts[i][0], minus: result.counts[i][1] })}
+              {' '}→ ⟨{basis}⟩ ≈ {formatNumber((result.counts[i][0] - result.counts[i][1]) / result.shots, 3)}
+            </div>
+          ))}
+          <div className="pt-2 text-yellow-300">
+            r̂ {li} = {formatBlochVector(result.inversion, locale)} · |r̂| = {formatNumber(inversionLength, 3)}
+            {inversionLength > 1 && <span className="text-red-400"> {t('tomography.outsideBall')}</span>}
+          </div>
+          <div className="text-emerald-300">r̂ {ml} = {formatBlochVector(result.likelihood, locale)}</div>
+          {hidden ? (
+            <div className="text-gray-500">{t('tomography.revealHint')}</div>
+          ) : (
+            <>
+              <div className="text-pink-300">r = {formatBlochVector(result.truth, locale)}</div>
+              <div>
+                F(ρ, ρ̂ {ml}) = {formatNumber(blochFidelity(result.truth, result.likelihood), 4)}
+                {inversionLength <= 1 && ` · F(ρ, ρ̂ ${li}) = ${formatNumber(blochFidelity(result.truth, result.inversion), 4)}`}
+              </div>
+              <div>
+                |r̂ − r|: {li} {formatNumber(blochDistance(result.inversion, result.truth), 4)}
+                {' · '}{ml} {formatNumber(blochDistance(result.likelihood, result.truth), 4)}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {study && (
+        <div className="mt-3 bg-slate-800/60 rounded-lg p-3">
+          <div className="text-xs text-gray-400 mb-2">
+            {t('tomography.studyCaption', { trials: TOMOGRAPHY_TRIALS })}
+          </div>
+          <ConvergencePlot study={study} />
+          <table className="w-full mt-2 text-xs font-mono text-gray-300">
+            <thead>
+              <tr className="text-gray-500">
+                <th className="text-left font-normal">N</th>
+                <th className="text-right font-normal">|r̂ − r| {li}</th>
+                <th className="text-right font-normal">|r̂ − r| {ml}</th>
+                <th className="text-right font-normal">1 − F {ml}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {study.map((row) => (
+                <tr key={row.shots}>
+                  <td>{row.shots}</td>
+                  <td className="text-right text-yellow-300">{formatNumber(row.inversionError, 4)}</td>
+                  <td className="text-right text-emerald-300">{formatNumber(row.likelihoodError, 4)}</td>
+                  <td className="text-right">{row.infidelity.toExponential(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Delay between steps while the circuit composer plays (ms)
+const COMPOSER_STEP_INTERVAL = 800;
+
+const COMPOSER_PALETTE = ['H', 'X', 'Y', 'Z', 'S', 'Sdg', 'T', 'Tdg'];
+
+// Timeline of gate steps on a single wire. Gates are dragged from the palette
+// onto the wire, dragged along it to reorder and dropped on the bin (or
+// clicked ×) to delete. step is the number of gates applied in the view.
+const CircuitComposer = ({ circuit, step, onStepChange, onInsert, onMove, onRemove, onClear, onCommit }) => {
+  const { locale, t } = useLocale();
+  const [playing, setPlaying] = useState(false);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const atEnd = step >= circuit.length;
+  const isPlaying = playing && !atEnd;
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    const timer = setTimeout(() => {
+      onStepChange(step + 1);
+      if (step + 1 >= circuit.length) setPlaying(false);
+    }, COMPOSER_STEP_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [isPlaying, step, circuit.length, onStepChange]);
+
+  const togglePlay = () => {
+    if (isPlaying) {
+      setPlaying(false);
+      return;
+    }
+    if (atEnd) onStepChange(0);
+    setPlaying(true);
+  };
+
+  const startDrag = (e, payload) => {
+    e.dataTransfer.setData('application/json', JSON.stringify(payload));
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const readDrag = (e) => {
+    try {
+      return JSON.parse(e.dataTransfer.getData('application/json'));
+    } catch {
+      return null;
+    }
+  };
+
+  // Drop before the gate at index (circuit.length appends)
+  const dropAt = (e, index) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDropIndex(null);
+    const payload = readDrag(e);
+    if (!payload) return;
+    if (payload.source === 'palette') {
+      onInsert({ name: payload.name }, index);
+    } else if (payload.source === 'circuit') {
+      onMove(payload.index, index > payload.index ? index - 1 : index);
+    }
+  };
+
+  const dropOnBin = (e) => {
+    e.preventDefault();
+    const payload = readDrag(e);
+    if (payload && payload.source === 'circuit') onRemove(payload.index);
+  };
+
+  const allowDrop = (index) => (e) => {
+    e.preventDefault();
+    setDropIndex(index);
+  };
+
+  return (
+    <div>
+      {/* Palette */}
+      <div className="flex flex-wrap gap-2 mb-3">
+        {COMPOSER_PALETTE.map((name) => (
+          <div
+            key={name}
+            draggable
+            onDragStart={(e) => startDrag(e, { source: 'palette', name })}
+            className="w-10 h-10 flex items-center justify-center rounded font-bold cursor-grab select-none shadow"
+            style={{ backgroundColor: GATE_STYLES[name].color }}
+            title={t('composer.dragToCircuit')}
+          >
+            {GATE_STYLES[name].symbol}
+          </div>
+        ))}
+      </div>
+
+      {/* Wire */}
+      <div
+        onDragOver={allowDrop(circuit.length)}
+        onDragLeave={() => setDropIndex(null)}
+        onDrop={(e) => dropAt(e, circuit.length)}
+        className="relative bg-slate-800/60 rounded-lg px-3 py-4 overflow-x-auto border border-cyan-400/20"
+      >
+        <div className="absolute left-0 right-0 top-1/2 h-0.5 bg-cyan-400/40" />
+        <div className="relative flex items-center gap-2 min-h-[48px]">
+          <span className="text-xs text-gray-400 pr-1">|ψ₀⟩</span>
+          {circuit.map((gate, index) => (
+            <div
+              key={gate.id}
+              draggable
+              onDragStart={(e) => startDrag(e, { source: 'circuit', index })}
+              onDragOver={allowDrop(index)}
+              onDrop={(e) => dropAt(e, index)}
+              onClick={() => onStepChange(index + 1)}
+              className={`relative shrink-0 px-2 h-12 min-w-[48px] flex items-center justify-center rounded font-bold text-sm cursor-grab select-none transition ${
+                index < step ? 'opacity-100 ring-2 ring-white/60' : 'opacity-50'
+              } ${dropIndex === index ? 'ml-4' : ''}`}
+              style={{ backgroundColor: GATE_STYLES[gate.name].color }}
+              title={t('composer.stepHint', { step: index + 1 })}
+            >
+              {gateLabel(gate, locale)}
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onRemove(index);
+                }}
+                className="absolute -top-2 -right-2 w-5 h-5 rounded-full bg-slate-900 border border-slate-500 text-xs leading-none hover:bg-red-600"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          {circuit.length === 0 && (
+            <span className="text-xs text-gray-500">{t('composer.empty')}</span>
+          )}
+        </div>
+      </div>
+
+      {/* Playback */}
+      <div className="flex items-center gap-2 mt-3">
+        <button
+          onClick={() => onStepChange(Math.max(step - 1, 0))}
+          disabled={step === 0}
+          className="bg-slate-800 hover:bg-slate-700 disabled:opacity-40 rounded px-3 py-1"
+          title={t('composer.stepBack')}
+        >
+          ⏮
+        </button>
+        <button
+          onClick={togglePlay}
+          disabled={circuit.length === 0}
+          className="bg-slate-800 hover:bg-slate-700 disabled:opacity-40 rounded px-3 py-1"
+          title={isPlaying ? t('composer.pause') : t('composer.play')}
+        >
+          {isPlaying ? '⏸' : '▶'}
+        </button>
+        <button
+          onClick={() => onStepChange(Math.min(step + 1, circuit.length))}
+          disabled={atEnd}
+          className="bg-slate-800 hover:bg-slate-700 disabled:opacity-40 rounded px-3 py-1"
+          title={t('composer.stepForward')}
+        >
+          ⏭
+        </button>
+        <input
+          type="range"
+          min="0"
+          max={circuit.length}
+          value={step}
+          onChange={(e) => onStepChange(Number(e.target.value))}
+          className="flex-1 accent-cyan-400"
+        />
+        <span className="text-xs text-gray-400 w-14 text-right">{step}/{circuit.length}</span>
+      </div>
+
+      <div className="flex gap-2 mt-3 text-xs">
+        <div
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={dropOnBin}
+          className="flex-1 border border-dashed border-red-500/40 text-red-300/80 rounded px-3 py-2 text-center"
+        >
+          🗑 {t('composer.bin')}
+        </div>
+        <button
+          onClick={onClear}
+          disabled={circuit.length === 0}
+          className="bg-slate-800 hover:bg-slate-700 disabled:opacity-40 rounded px-3 py-2"
+        >
+          {t('composer.clear')}
+        </button>
+        <button
+          onClick={onCommit}
+          disabled={circuit.length === 0}
+          className="bg-cyan-700 hover:bg-cyan-600 disabled:opacity-40 rounded px-3 py-2"
+          title={t('composer.commitHint')}
+        >
+          {t('composer.commit')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Named register states, as unnormalized amplitudes on basis indices
+const REGISTER_PRESETS = {
+  2: [
+    { label: '|00⟩', terms: { 0: 1 } },
+    { label: '|Φ+⟩', terms: { 0: 1, 3: 1 } },
+    { label: '|Φ-⟩', terms: { 0: 1, 3: -1 } },
+    { label: '|Ψ+⟩', terms: { 1: 1, 2: 1 } },
+    { label: '|Ψ-⟩', terms: { 1: 1, 2: -1 } }
+  ],
+  3: [
+    { label: '|000⟩', terms: { 0: 1 } },
+    { label: '|GHZ⟩', terms: { 0: 1, 7: 1 } },
+    { label: '|W⟩', terms: { 1: 1, 2: 1, 4: 1 } }
+  ]
+};
+
+const presetRegister = (numQubits, terms) => new QubitRegister(
+  numQubits,
+  Array.from({ length: 2 ** numQubits }, (_, i) => ({ re: terms[i] || 0, im: 0 }))
+);
+
+const REGISTER_SINGLE_GATES = [
+  { name: 'H', label: 'H' },
+  { name: 'X', label: 'X' },
+  { name: 'Y', label: 'Y' },
+  { name: 'Z', label: 'Z' },
+  { name: 'S', label: 'S' },
+  { name: 'Sdg', label: 'S†' },
+  { name: 'T', label: 'T' },
+  { name: 'Tdg', label: 'T†' }
+];
+
+// Two- and three-qubit state-vector mode: gates on any wire, one Bloch
+// sphere per qubit from its reduced state, and entanglement measures
+const MultiQubitLab = () => {
+  const { locale, t, textOf, formatNumber } = useLocale();
+  const [register, setRegister] = useState(() => new QubitRegister(2));
+  const [operations, setOperations] = useState([]);
+  const [target, setTarget] = useState(1);
+  const [control, setControl] = useState(0);
+  const [error, setError] = useState(null);
+
+  const numQubits = register.numQubits;
+  const wires = Array.from({ length: numQubits }, (_, q) => q);
+
+  const blochVectors = useMemo(
+    () => Array.from({ length: register.numQubits }, (_, q) => register.blochVector(q)),
+    [register]
+  );
+
+  const resetRegister = (n, terms = { 0: 1 }) => {
+    setRegister(presetRegister(n, terms));
+    setOperations([]);
+    setError(null);
+    setTarget(Math.min(target, n - 1));
+    setControl(Math.min(control, n - 1));
+  };
+
+  const apply = (name, qubits, label) => {
+    if (new Set(qubits).size !== qubits.length) {
+      setError(localized('register.sameQubit'));
+      return;
+    }
+    setError(null);
+    setRegister(register.clone().applyGate(name, qubits));
+    setOperations([...operations, label]);
+  };
+
+  const applyToffoli = () => {
+    const controls = wires.filter((q) => q !== target);
+    apply('CCX', [...controls, target], `CCX(q${controls[0]},q${controls[1]}→q${target})`);
+  };
+
+  const concurrence = register.concurrence();
+  const probabilities = register.probabilities();
+  const selectClass = 'w-full bg-slate-800/80 border border-cyan-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-cyan-400';
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+      <div className="space-y-6">
+        {/* Register setup */}
+        <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
+          <h2 className="text-xl font-bold mb-4 text-cyan-400">{t('panel.register')}</h2>
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            {[2, 3].map((n) => (
+              <button
+                key={n}
+                onClick={() => resetRegister(n)}
+                className={`py-2 px-3 rounded-lg border transition-all ${
+                  numQubits === n
+                    ? 'bg-cyan-600/40 border-cyan-400 text-white'
+                    : 'bg-slate-800/60 border-slate-600 text-gray-400 hover:border-cyan-500/50'
+                }`}
+              >
+                {t('register.qubits', { count: n })}
+              </button>
+            ))}
+          </div>
+          <div className="text-sm mb-2 text-gray-400">{t('register.presets')}</div>
+          <div className="flex flex-wrap gap-2">
+            {REGISTER_PRESETS[numQubits].map((preset) => (
+              <button
+                key={preset.label}
+                onClick={() => resetRegister(numQubits, preset.terms)}
+                className="bg-slate-800/80 hover:bg-slate-700 border border-purple-500/40 py-1 px-3 rounded text-sm transition"
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Register gates */}
+        <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
+          <h2 className="text-xl font-bold mb-4 text-cyan-400">{t('panel.gates')}</h2>
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            <div>
+              <select value={control} onChange={(e) => setControl(Number(e.target.value))} className={selectClass}>
+                {wires.map((q) => <option key={q} value={q}>q{q}</option>)}
+              </select>
+              <span className="text-xs text-gray-500 mt-1 block">{t('register.control')}</span>
+            </div>
+            <div>
+              <select value={target} onChange={(e) => setTarget(Number(e.target.value))} className={selectClass}>
+                {wires.map((q) => <option key={q} value={q}>q{q}</option>)}
+              </select>
+              <span className="text-xs text-gray-500 mt-1 block">{t('register.target')}</span>
+            </div>
+          </div>
+
+          <div className="text-sm mb-2 text-gray-400">{t('register.singleQubit')}</div>
+          <div className="grid grid-cols-4 gap-2 mb-4">
+            {REGISTER_SINGLE_GATES.map(({ name, label }) => (
+              <button
+                key={name}
+                onClick={() => apply(name, [target], `${label}(q${target})`)}
+                className="bg-gradient-to-r from-purple-600 to-purple-700 hover:from-purple-500 hover:to-purple-600 py-2 px-3 rounded-lg font-bold transition-all shadow-lg shadow-purple-500/30"
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="text-sm mb-2 text-gray-400">{t('register.multiQubit')}</div>
+          <div className="grid grid-cols-4 gap-2">
+            <button
+              onClick={() => apply('CNOT', [control, target], `CNOT(q${control}→q${target})`)}
+              className="bg-gradient-to-r from-cyan-600 to-cyan-700 hover:from-cyan-500 hover:to-cyan-600 py-2 px-2 rounded-lg text-sm font-bold transition-all shadow-lg shadow-cyan-500/30"
+            >
+              CNOT
+            </button>
+            <button
+              onClick={() => apply('CZ', [control, target], `CZ(q${control},q${target})`)}
+              className="bg-gradient-to-r from-cyan-600 to-cyan-700 hover:from-cyan-500 hover:to-cyan-600 py-2 px-2 rounded-lg text-sm font-bold transition-all shadow-lg shadow-cyan-500/30"
+            >
+              CZ
+            </button>
+            <button
+              onClick={() => apply('SWAP', [control, target], `SWAP(q${control},q${target})`)}
+              className="bg-gradient-to-r from-cyan-600 to-cyan-700 hover:from-cyan-500 hover:to-cyan-600 py-2 px-2 rounded-lg text-sm font-bold transition-all shadow-lg shadow-cyan-500/30"
+            >
+              SWAP
+            </button>
+            <button
+              onClick={applyToffoli}
+              disabled={numQubits < 3}
+              title={numQubits < 3 ? t('register.toffoliUnavailable') : t('register.toffoliControls')}
+              className="bg-gradient-to-r from-cyan-600 to-cyan-700 hover:from-cyan-500 hover:to-cyan-600 disabled:opacity-40 py-2 px-2 rounded-lg text-sm font-bold transition-all shadow-lg shadow-cyan-500/30"
+            >
+              Toffoli
+            </button>
+          </div>
+          {error && <div className="mt-2 text-xs text-red-400">{textOf(error)}</div>}
+          {operations.length > 0 && (
+            <div className="mt-4 text-xs font-mono text-gray-400 break-words">
+              {operations.join(' · ')}
+            </div>
+          )}
+        </div>
+
+        {/* Amplitude table */}
+        <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
+          <h2 className="text-xl font-bold mb-4 text-cyan-400">{t('panel.amplitudes')}</h2>
+          <table className="w-full text-sm font-mono">
+            <thead>
+              <tr className="text-xs text-gray-500 text-left">
+                <th className="pb-2">{t('register.basisColumn')}</th>
+                <th className="pb-2">{t('register.amplitudeColumn')}</th>
+                <th className="pb-2">{t('register.phaseColumn')}</th>
+                <th className="pb-2 w-1/3">P</th>
+              </tr>
+            </thead>
+            <tbody>
+              {register.amplitudes.map((amplitude, i) => (
+                <tr key={i} className={probabilities[i] > 1e-6 ? 'text-white' : 'text-gray-600'}>
+                  <td className="py-1 text-purple-300">{register.basisLabel(i)}</td>
+                  <td className="py-1">{formatComplex(amplitude, locale)}</td>
+                  <td className="py-1">
+                    {probabilities[i] > 1e-6 ? `${formatNumber(Math.atan2(amplitude.im, amplitude.re) * 180 / Math.PI, 0)}°` : '—'}
+                  </td>
+                  <td className="py-1">
+                    <div className="flex items-center gap-2">
+                      <div className="flex-1 bg-slate-700 rounded-full h-2">
+                        <div
+                          className="bg-gradient-to-r from-purple-500 to-pink-500 h-2 rounded-full transition-all duration-300"
+                          style={{ width: `${probabilities[i] * 100}%` }}
+                        />
+                      </div>
+                      <span className="text-xs w-12 text-right">{formatNumber(probabilities[i] * 100, 1)}%</span>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="space-y-6">
+        {/* One Bloch sphere per qubit */}
+        <div className="bg-slate-900/50 backdrop-blur-sm border border-purple-500/30 rounded-lg p-6 shadow-lg shadow-purple-500/10">
+          <h2 className="text-xl font-bold mb-4 text-purple-400">{t('panel.reducedSpheres')}</h2>
+          <div className="grid grid-cols-2 gap-4">
+            {wires.map((q) => (
+              <div key={q}>
+                <div className="h-[240px] rounded-lg overflow-hidden border border-purple-500/20">
+                  <BlochSphere vector={blochVectors[q]} />
+                </div>
+                <div className="mt-2 text-xs font-mono text-gray-400 space-y-0.5">
+                  <div className="text-purple-300 font-bold">q{q}</div>
+                  <div>|r| = {formatNumber(blochVectors[q].length, 3)}</div>
+                  <div>S = {t('register.bits', { value: formatNumber(register.entanglementEntropy(q), 3) })}</div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Entanglement readout */}
+        <div className="bg-slate-900/50 backdrop-blur-sm border border-purple-500/30 rounded-lg p-6 shadow-lg shadow-purple-500/10">
+          <h2 className="text-xl font-bold mb-4 text-purple-400">{t('panel.entanglement')}</h2>
+          <div className="space-y-2 text-sm font-mono">
+            {concurrence !== null && (
+              <div className="flex justify-between">
+                <span className="text-gray-400">{t('register.concurrence')}</span>
+                <span className="text-pink-300">{formatNumber(concurrence, 3)}</span>
+              </div>
+            )}
+            {wires.map((q) => (
+              <div key={q} className="flex justify-between">
+                <span className="text-gray-400">{t('register.entropy', { qubit: q })}</span>
+                <span className="text-pink-300">{formatNumber(register.entanglementEntropy(q), 3)}</span>
+              </div>
+            ))}
+            <div className="text-xs text-gray-500 pt-3 border-t border-slate-700">
+              {t('register.shortVectorHint')}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Sessions: the state, any composer circuit and its step, serialized to the
+// URL hash, to JSON files and to localStorage. Files of another format
+// version are rejected rather than guessed at.
+const SESSION_FORMAT = 'quantum-calculator-session';
+const SESSION_VERSION = 1;
+const AUTOSAVE_KEY = 'quantum-calculator:autosave';
+const SAVED_SESSIONS_KEY = 'quantum-calculator:sessions';
+
+// Session of the current view. The ket is kept even when the qubit is mixed,
+// as it is what the amplitude inputs show.
+const createSession = ({ state, mixed, circuit, step, composer }) => {
+  const bloch = mixed ? mixed.blochVector() : null;
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    state: {
+      alpha: [state.alpha.re, state.alpha.im],
+      beta: [state.beta.re, state.beta.im]
+    },
+    mixed: bloch ? [bloch.x, bloch.y, bloch.z] : null,
+    circuit: circuit.map(({ name, params }) => ({
+      name,
+      params: name === 'Custom'
+        ? { matrix: flattenMatrix(params.matrix), ...(params.label ? { label: params.label } : {}) }
+        : Object.fromEntries((GATE_PARAMS[name] || []).map((angle) => [angle, params[angle]]))
+    })),
+    step,
+    composer
+  };
+};
+
+const isNumberList = (value, length) =>
+  Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+
+// A custom gate's matrix as sessions store it: the entries row by row, each
+// as its real and imaginary parts
+const flattenMatrix = (matrix) => matrix.flat().flatMap(({ re, im }) => [re, im]);
+
+const unflattenMatrix = (values) => [0, 1].map((row) => [0, 1].map((col) => ({
+  re: values[4 * row + 2 * col],
+  im: values[4 * row + 2 * col + 1]
+})));
+
+// Check a parsed session and return it in canonical form; throws an Error
+// with a user-facing message when it cannot be loaded as is
+const validateSession = (data) => {
+  if (!data || typeof data !== 'object' || data.format !== SESSION_FORMAT) {
+    throw localizedError(localized('session.notSession'));
+  }
+  if (!Number.isInteger(data.version)) {
+    throw localizedError(localized('session.invalidVersion'));
+  }
+  if (data.version < SESSION_VERSION) {
+    throw localizedError(localized('session.oldVersion', { version: data.version }));
+  }
+  if (data.version > SESSION_VERSION) {
+    throw localizedError(localized('session.newVersion', { version: data.version, supported: SESSION_VERSION }));
+  }
+
+  const { state, mixed = null, circuit = [], composer = false } = data;
+  if (!state || !isNumberList(state.alpha, 2) || !isNumberList(state.beta, 2)) {
+    throw localizedError(localized('session.missingAmplitudes'));
+  }
+  if (Math.hypot(...state.alpha, ...state.beta) < 1e-12) {
+    throw localizedError(localized('session.zeroNorm'));
+  }
+  if (mixed !== null && !(isNumberList(mixed, 3) && Math.hypot(...mixed) <= 1 + 1e-9)) {
+    throw localizedError(localized('session.invalidMixed'));
+  }
+  if (!Array.isArray(circuit)) {
+    throw localizedError(localized('session.circuitNotList'));
+  }
+  const gates = circuit.map((gate, i) => {
+    if (!gate || typeof gate.name !== 'string' || !Object.hasOwn(GATE_STYLES, gate.name)) {
+      throw localizedError(localized('session.unknownGate', { index: i + 1, name: JSON.stringify(gate && gate.name) }));
+    }
+    if (gate.name === 'Custom') {
+      const matrix = gate.params ? gate.params.matrix : undefined;
+      if (!isNumberList(matrix, 8) || !(unitarityError(unflattenMatrix(matrix)) < UNITARITY_TOLERANCE)) {
+        throw localizedError(localized('session.invalidCustomGate', { index: i + 1 }));
+      }
+      const { label } = gate.params;
+      return { name: gate.name, params: { matrix: [...matrix], ...(typeof label === 'string' && label ? { label } : {}) } };
+    }
+    const params = {};
+    for (const angle of GATE_PARAMS[gate.name] || []) {
+      const value = gate.params ? gate.params[angle] : undefined;
+      if (!Number.isFinite(value)) {
+        throw localizedError(localized('session.missingAngle', { index: i + 1, name: gate.name, angle }));
+      }
+      params[angle] = value;
+    }
+    return { name: gate.name, params };
+  });
+  const step = data.step === undefined ? gates.length : data.step;
+  if (!Number.isInteger(step) || step < 0 || step > gates.length) {
+    throw localizedError(localized('session.stepOutOfRange'));
+  }
+
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    state: { alpha: [...state.alpha], beta: [...state.beta] },
+    mixed: mixed && [...mixed],
+    circuit: gates,
+    step,
+    composer: Boolean(composer)
+  };
+};
+
+const parseSessionFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw localizedError(localized('session.invalidJson'));
+  }
+  return validateSession(data);
+};
+
+const formatHashNumber = (x) => String(Number(x.toPrecision(10)));
+
+// URL hash of a session, e.g. "v=1&a=0.7071,0&b=0.7071,0&c=H;Rx(1.571)&k=2&e=1":
+// a/b amplitudes, m mixed-state Bloch vector, c circuit, k step, e composer on.
+// A custom gate is written Custom(…) with the 8 numbers of its matrix and
+// without its label.
+const sessionToHash = (session) => {
+  const parts = [
+    `v=${session.version}`,
+    `a=${session.state.alpha.map(formatHashNumber).join(',')}`,
+    `b=${session.state.beta.map(formatHashNumber).join(',')}`
+  ];
+  if (session.mixed) {
+    parts.push(`m=${session.mixed.map(formatHashNumber).join(',')}`);
+  }
+  if (session.circuit.length > 0) {
+    const gates = session.circuit.map(({ name, params }) => {
+      const angles = name === 'Custom'
+        ? params.matrix.map(formatHashNumber)
+        : (GATE_PARAMS[name] || []).map((angle) => formatHashNumber(params[angle]));
+      return angles.length > 0 ? `${name}(${angles.join(',')})` : name;
+    });
+    parts.push(`c=${gates.join(';')}`, `k=${session.step}`);
+  }
+  if (session.composer) {
+    parts.push('e=1');
+  }
+  return parts.join('&');
+};
+
+const sessionFromHash = (hash) => {
+  const fields = {};
+  for (const part of hash.split('&')) {
+    const eq = part.indexOf('=');
+    if (eq > 0) fields[part.slice(0, eq)] = decodeURIComponent(part.slice(eq + 1));
+  }
+  const numbers = (text) => text.split(',').map((item) => (item.trim() === '' ? NaN : Number(item)));
+
+  const circuit = fields.c ? fields.c.split(';').map((token) => {
+    const match = /^(\w+)(?:\(([^)]*)\))?$/.exec(token);
+    if (!match) {
+      throw localizedError(localized('session.invalidLinkGate', { token }));
+    }
+    const [, name, args] = match;
+    const angles = GATE_PARAMS[name] || [];
+    const values = args === undefined ? [] : numbers(args);
+    if (name === 'Custom') {
+      return { name, params: { matrix: values } };
+    }
+    if (values.length !== angles.length) {
+      throw localizedError(localized('session.linkAngles', { name, count: angles.length }));
+    }
+    return { name, params: Object.fromEntries(angles.map((angle, i) => [angle, values[i]])) };
+  }) : [];
+
+  return validateSession({
+    format: SESSION_FORMAT,
+    version: Number(fields.v),
+    state: { alpha: fields.a && numbers(fields.a), beta: fields.b && numbers(fields.b) },
+    mixed: fields.m ? numbers(fields.m) : null,
+    circuit,
+    step: fields.k === undefined ? undefined : Number(fields.k),
+    composer: fields.e === '1'
+  });
+};
+
+// localStorage may be unavailable (private browsing, quota); sessions are
+// then simply not persisted
+const readStorage = (key) => {
+  try {
+    const text = window.localStorage.getItem(key);
+    return text === null ? null : JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Not persisted
+  }
+};
+
+// Amplitude as an expression with 4 decimals, e.g. "0.7071 - 0.7071i"
+const formatAmplitude = ({ re, im }) => {
+  const real = Number(re.toFixed(4));
+  const imag = Number(im.toFixed(4));
+  if (imag === 0) return String(real);
+  const imagPart = `${Math.abs(imag) === 1 ? '' : Math.abs(imag)}i`;
+  if (real === 0) return `${imag < 0 ? '-' : ''}${imagPart}`;
+  return `${real} ${imag < 0 ? '-' : '+'} ${imagPart}`;
+};
+
+const formatInputNumber = (x, digits) => String(Number(x.toFixed(digits)));
+
+// At the poles (θ = 0 or 180°) φ does not affect the state
+const isPole = (state) => cAbs(state.alpha) < 1e-9 || cAbs(state.beta) < 1e-9;
+
+// Text of every state input for a state: amplitudes, Bloch angles in degrees
+// and Bloch vector, as written after gates and measurements. At the poles
+// the previous φ input is kept, so that passing through one does not lose it.
+const stateInputs = (state, previous = null) => {
+  const { x, y, z, theta, phi } = state.toBlochCoordinates();
+  const phiText = formatInputNumber((((phi * 180 / Math.PI) % 360) + 360) % 360, 2);
+  return {
+    alpha: formatAmplitude(state.alpha),
+    beta: formatAmplitude(state.beta),
+    theta: formatInputNumber(theta * 180 / Math.PI, 2),
+    phi: isPole(state) && previous ? previous.phi : phiText === '360' ? '0' : phiText,
+    x: formatInputNumber(x, 4),
+    y: formatInputNumber(y, 4),
+    z: formatInputNumber(z, 4)
+  };
+};
+
+// What the calculator holds for a session; circuit gates get ids from nextId
+const sessionSnapshot = (session, nextId) => {
+  const [alphaRe, alphaIm] = session.state.alpha;
+  const [betaRe, betaIm] = session.state.beta;
+  const state = new QubitState({ re: alphaRe, im: alphaIm }, { re: betaRe, im: betaIm });
+  const [x, y, z] = session.mixed || [];
+  return {
+    state,
+    inputs: stateInputs(state),
+    mixed: session.mixed ? DensityMatrix.fromBlochVector({ x, y, z }) : null,
+    circuit: session.circuit.map((gate) => ({
+      id: nextId(),
+      ...gate,
+      ...(gate.name === 'Custom' ? { params: { ...gate.params, matrix: unflattenMatrix(gate.params.matrix) } } : {})
+    })),
+    step: session.step,
+    composer: session.composer
+  };
+};
+
+// Initial calculator contents: the session in the URL hash, else the
+// autosaved one, else |0⟩. error explains why a hash or autosave was ignored.
+// Restored circuit gates are numbered from 1.
+const restoreInitialSession = () => {
+  let ids = 0;
+  const nextId = () => ++ids;
+  let error = null;
+  const hash = window.location.hash.slice(1);
+  if (hash) {
+    try {
+      return { ...sessionSnapshot(sessionFromHash(hash), nextId), error };
+    } catch (e) {
+      error = localized('session.invalidLink', { message: errorMessage(e) });
+    }
+  }
+  const autosaved = readStorage(AUTOSAVE_KEY);
+  if (autosaved) {
+    try {
+      return { ...sessionSnapshot(validateSession(autosaved), nextId), error };
+    } catch (e) {
+      error = error || localized('session.restoreFailed', { message: errorMessage(e) });
+    }
+  }
+  const state = new QubitState();
+  return {
+    state,
+    inputs: stateInputs(state),
+    mixed: null,
+    circuit: [],
+    step: 0,
+    composer: false,
+    error
+  };
+};
+
+const readSavedSessions = () => {
+  const saved = readStorage(SAVED_SESSIONS_KEY);
+  return Array.isArray(saved) ? saved.filter((entry) => entry && typeof entry.name === 'string') : [];
+};
+
+// Share, export/import and named local saves of the current session. Loading
+// goes through onLoad(session, label); the session is validated beforehand.
+// The message under the buttons is held by the parent, which also reports on
+// links opened while the calculator is running.
+const SessionPanel = ({ session, onLoad, message, onMessage }) => {
+  const { locale, t, textOf } = useLocale();
+  const [name, setName] = useState('');
+  const [saved, setSaved] = useState(readSavedSessions);
+  const fileRef = useRef(null);
+
+  const updateSaved = (entries) => {
+    setSaved(entries);
+    writeStorage(SAVED_SESSIONS_KEY, entries);
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      onMessage({ error: false, text: localized('session.linkCopied') });
+    } catch {
+      onMessage({ error: true, text: localized('session.copyFailed') });
+    }
+  };
+
+  const exportFile = () => {
+    downloadBlob(new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' }), t('session.fileName'));
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onLoad(parseSessionFile(await file.text()), localized('session.importedLabel', { file: file.name }));
+      onMessage({ error: false, text: localized('session.imported', { file: file.name }) });
+    } catch (err) {
+      onMessage({ error: true, text: localized('session.importFailed', { file: file.name, message: errorMessage(err) }) });
+    }
+  };
+
+  const saveSession = () => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      onMessage({ error: true, text: localized('session.nameRequired') });
+      return;
+    }
+    updateSaved([
+      { name: trimmed, savedAt: new Date().toISOString(), session },
+      ...saved.filter((entry) => entry.name !== trimmed)
+    ]);
+    setName('');
+    onMessage({ error: false, text: localized('session.saved', { name: trimmed }) });
+  };
+
+  const loadSaved = (entry) => {
+    try {
+      onLoad(validateSession(entry.session), localized('session.savedLabel', { name: entry.name }));
+      onMessage({ error: false, text: localized('session.loaded', { name: entry.name }) });
+    } catch (err) {
+      onMessage({ error: true, text: localized('session.loadFailed', { name: entry.name, message: errorMessage(err) }) });
+    }
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="grid grid-cols-3 gap-2">
+        <button onClick={copyLink} className="bg-slate-800 hover:bg-slate-700 rounded px-3 py-2">
+          {t('session.copyLink')}
+        </button>
+        <button onClick={exportFile} className="bg-slate-800 hover:bg-slate-700 rounded px-3 py-2">
+          {t('session.export')}
+        </button>
+        <button onClick={() => fileRef.current.click()} className="bg-slate-800 hover:bg-slate-700 rounded px-3 py-2">
+          {t('session.import')}
+        </button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={importFile} className="hidden" />
+      </div>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && saveSession()}
+          className="flex-1 bg-slate-800/80 border border-purple-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-purple-400 transition"
+          placeholder={t('session.namePlaceholder')}
+        />
+        <button
+          onClick={saveSession}
+          className="bg-gradient-to-r from-purple-600 to-purple-700 hover:from-purple-500 hover:to-purple-600 rounded px-4 py-2 font-bold"
+        >
+          {t('session.save')}
+        </button>
+      </div>
+      {message && (
+        <div className={`text-xs ${message.error ? 'text-red-400' : 'text-green-400'}`}>{textOf(message.text)}</div>
+      )}
+      {saved.length > 0 && (
+        <div className="space-y-1 text-xs font-mono max-h-40 overflow-y-auto">
+          {saved.map((entry) => (
+            <div key={entry.name} className="flex items-center gap-2 px-2 py-1 rounded hover:bg-slate-800">
+              <button onClick={() => loadSaved(entry)} className="flex-1 flex justify-between text-left text-gray-300">
+                <span>{entry.name}</span>
+                <span className="text-gray-500">{new Date(entry.savedAt).toLocaleString(locale)}</span>
+              </button>
+              <button
+                onClick={() => updateSaved(saved.filter((other) => other.name !== entry.name))}
+                className="text-gray-500 hover:text-red-400"
+                title={t('session.delete')}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="text-xs text-gray-500">
+        {t('session.autosaveHint')}
+      </div>
+    </div>
+  );
+};
+
+// OpenQASM 2.0/3.0 for single-qubit programs. Import understands one qubit
+// register, classical declarations, barriers and the one-qubit gates of
+// qelib1.inc/stdgates.inc; anything else is reported with its position.
+
+// Gates of a QASM statement, by QASM gate name and argument count
+const QASM_GATES = {
+  id: { arity: 0, gates: () => [] },
+  h: { arity: 0, gates: () => [{ name: 'H', params: {} }] },
+  x: { arity: 0, gates: () => [{ name: 'X', params: {} }] },
+  y: { arity: 0, gates: () => [{ name: 'Y', params: {} }] },
+  z: { arity: 0, gates: () => [{ name: 'Z', params: {} }] },
+  s: { arity: 0, gates: () => [{ name: 'S', params: {} }] },
+  sdg: { arity: 0, gates: () => [{ name: 'Sdg', params: {} }] },
+  t: { arity: 0, gates: () => [{ name: 'T', params: {} }] },
+  tdg: { arity: 0, gates: () => [{ name: 'Tdg', params: {} }] },
+  // √X equals Rx(π/2) up to global phase
+  sx: { arity: 0, gates: () => [{ name: 'Rx', params: { theta: Math.PI / 2 } }] },
+  sxdg: { arity: 0, gates: () => [{ name: 'Rx', params: { theta: -Math.PI / 2 } }] },
+  rx: { arity: 1, gates: ([theta]) => [{ name: 'Rx', params: { theta } }] },
+  ry: { arity: 1, gates: ([theta]) => [{ name: 'Ry', params: { theta } }] },
+  rz: { arity: 1, gates: ([theta]) => [{ name: 'Rz', params: { theta } }] },
+  p: { arity: 1, gates: ([lambda]) => [{ name: 'P', params: { lambda } }] },
+  phase: { arity: 1, gates: ([lambda]) => [{ name: 'P', params: { lambda } }] },
+  u1: { arity: 1, gates: ([lambda]) => [{ name: 'P', params: { lambda } }] },
+  u2: { arity: 2, gates: ([phi, lambda]) => [{ name: 'U3', params: { theta: Math.PI / 2, phi, lambda } }] },
+  u3: { arity: 3, gates: ([theta, phi, lambda]) => [{ name: 'U3', params: { theta, phi, lambda } }] },
+  u: { arity: 3, gates: ([theta, phi, lambda]) => [{ name: 'U3', params: { theta, phi, lambda } }] },
+  U: { arity: 3, gates: ([theta, phi, lambda]) => [{ name: 'U3', params: { theta, phi, lambda } }] }
+};
+
+const QASM_INCLUDES = ['qelib1.inc', 'stdgates.inc'];
+
+const QASM_CONSTANTS = { pi: Math.PI, 'π': Math.PI, tau: 2 * Math.PI, 'τ': 2 * Math.PI, euler: Math.E };
+
+const QASM_FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  arcsin: Math.asin,
+  arccos: Math.acos,
+  arctan: Math.atan,
+  exp: Math.exp,
+  ln: Math.log,
+  sqrt: Math.sqrt
+};
+
+// Error at a 1-based line and column, which are also kept on the error
+// message is a message as described for localized
+const qasmError = (message, { line, column }) => {
+  const error = localizedError(localized('qasm.position', { line, column, message }));
+  error.line = line;
+  error.column = column;
+  return error;
+};
+
+const QASM_TOKEN = /(\s+|\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_πτ]\w*)|("[^"\n]*")|(->|\*\*|[;,()[\]+\-*/^@{}=<>!&|~%:])/y;
+
+// Tokens { type: 'number' | 'name' | 'string' | 'symbol' | 'end', value, line, column }
+const tokenizeQasm = (text) => {
+  const tokens = [];
+  let line = 1;
+  let column = 1;
+  QASM_TOKEN.lastIndex = 0;
+  while (QASM_TOKEN.lastIndex < text.length) {
+    const position = { line, column };
+    const index = QASM_TOKEN.lastIndex;
+    const match = QASM_TOKEN.exec(text);
+    if (!match) {
+      throw qasmError(localized('qasm.unexpectedCharacter', { character: text[index] }), position);
+    }
+    const [lexeme, skipped, number, name, string] = match;
+    if (skipped && skipped.startsWith('/*') && !skipped.endsWith('*/')) {
+      throw qasmError(localized('qasm.unclosedComment'), position);
+    }
+    if (!skipped) {
+      const type = number ? 'number' : name ? 'name' : string ? 'string' : 'symbol';
+      tokens.push({ type, value: string ? string.slice(1, -1) : lexeme, ...position });
+    }
+    const lines = lexeme.split('\n');
+    if (lines.length > 1) {
+      line += lines.length - 1;
+      column = lines[lines.length - 1].length + 1;
+    } else {
+      column += lexeme.length;
+    }
+  }
+  tokens.push({ type: 'end', value: localized('qasm.end'), line, column });
+  return tokens;
+};
+
+// Parse a single-qubit QASM program into { version, gates: [{ name, params }] }
+const parseQasm = (text) => {
+  const tokens = tokenizeQasm(text);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const accept = (value) => {
+    if (peek().type !== 'string' && peek().value === value) {
+      pos++;
+      return true;
+    }
+    return false;
+  };
+  const expect = (value) => {
+    const token = next();
+    if (token.type === 'string' || token.value !== value) {
+      throw qasmError(localized('qasm.expectedSymbol', { expected: value, found: token.value }), token);
+    }
+    return token;
+  };
+  // description is the catalog key of what was expected
+  const expectType = (type, description) => {
+    const token = next();
+    if (token.type !== type) {
+      throw qasmError(localized('qasm.expected', { expected: localized(description), found: token.value }), token);
+    }
+    return token;
+  };
+
+  // Gate arguments: arithmetic on numbers, constants and functions
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek().value === '+' || peek().value === '-') {
+      value = next().value === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (peek().value === '*' || peek().value === '/') {
+      value = next().value === '*' ? value * parseUnary() : value / parseUnary();
+    }
+    return value;
+  };
+  const parseUnary = () => {
+    if (accept('-')) return -parseUnary();
+    if (accept('+')) return parseUnary();
+    const base = parsePrimary();
+    return accept('^') || accept('**') ? base ** parseUnary() : base;
+  };
+  const parsePrimary = () => {
+    const token = next();
+    if (token.type === 'number') return Number(token.value);
+    if (token.type === 'name' && Object.hasOwn(QASM_CONSTANTS, token.value)) return QASM_CONSTANTS[token.value];
+    if (token.type === 'name' && Object.hasOwn(QASM_FUNCTIONS, token.value)) {
+      expect('(');
+      const argument = parseExpression();
+      expect(')');
+      return QASM_FUNCTIONS[token.value](argument);
+    }
+    if (token.value === '(' && token.type === 'symbol') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+    throw qasmError(localized('qasm.invalidExpression', { token: token.value }), token);
+  };
+
+  // Register size in a declaration; only single-qubit registers are allowed
+  const parseSize = (quantum) => {
+    const token = expectType('number', 'qasm.aSize');
+    const size = Number(token.value);
+    if (!Number.isInteger(size) || size < 1) {
+      throw qasmError(localized('qasm.invalidSize', { size: token.value }), token);
+    }
+    if (quantum && size !== 1) {
+      throw qasmError(localized('qasm.singleQubitOnly'), token);
+    }
+    expect(']');
+  };
+
+  let version = null;
+  const qubitRegisters = new Set();
+  const gates = [];
+
+  const parseOperand = () => {
+    const token = expectType('name', 'qasm.aQubit');
+    if (!qubitRegisters.has(token.value)) {
+      throw qasmError(localized('qasm.undeclaredRegister', { name: token.value }), token);
+    }
+    if (accept('[')) {
+      const index = expectType('number', 'qasm.anIndex');
+      if (index.value !== '0') {
+        throw qasmError(localized('qasm.indexOutOfRange', { index: index.value }), index);
+      }
+      expect(']');
+    }
+  };
+
+  while (peek().type !== 'end') {
+    const token = next();
+    const keyword = token.type === 'name' ? token.value : null;
+    if (keyword === 'OPENQASM') {
+      const number = expectType('number', 'qasm.aVersion');
+      if (pos !== 2) {
+        throw qasmError(localized('qasm.versionFirst'), token);
+      }
+      if (!['2.0', '3', '3.0'].includes(number.value)) {
+        throw qasmError(localized('qasm.unsupportedVersion', { version: number.value }), number);
+      }
+      version = number.value === '2.0' ? '2.0' : '3.0';
+    } else if (keyword === 'include') {
+      const file = expectType('string', 'qasm.aFileName');
+      if (!QASM_INCLUDES.includes(file.value)) {
+        throw qasmError(localized('qasm.unsupportedInclude', { file: file.value }), file);
+      }
+    } else if (keyword === 'qreg' || keyword === 'creg') {
+      const name = expectType('name', 'qasm.aRegisterName');
+      expect('[');
+      parseSize(keyword === 'qreg');
+      if (keyword === 'qreg') qubitRegisters.add(name.value);
+    } else if (keyword === 'qubit' || keyword === 'bit') {
+      if (accept('[')) parseSize(keyword === 'qubit');
+      const name = expectType('name', 'qasm.aRegisterName');
+      if (keyword === 'qubit') qubitRegisters.add(name.value);
+    } else if (keyword === 'barrier') {
+      do {
+        parseOperand();
+      } while (accept(','));
+    } else if (keyword && Object.hasOwn(QASM_GATES, keyword)) {
+      const { arity, gates: toGates } = QASM_GATES[keyword];
+      const args = [];
+      if (accept('(')) {
+        if (peek().value !== ')') {
+          do {
+            const start = peek();
+            const value = parseExpression();
+            if (!Number.isFinite(value)) {
+              throw qasmError(localized('qasm.angleNotFinite'), start);
+            }
+            args.push(value);
+          } while (accept(','));
+        }
+        expect(')');
+      }
+      if (args.length !== arity) {
+        throw qasmError(localized('qasm.arity', { gate: keyword, arity, count: args.length }), token);
+      }
+      parseOperand();
+      if (peek().value === ',') {
+        throw qasmError(localized('qasm.singleOperand', { gate: keyword }), peek());
+      }
+      gates.push(...toGates(args));
+    } else {
+      throw qasmError(localized('qasm.unsupportedStatement', { token: token.value }), token);
+    }
+    expect(';');
+  }
+
+  return { version, gates };
+};
+
+const QASM_GATE_NAMES = {
+  H: 'h', X: 'x', Y: 'y', Z: 'z', S: 's', Sdg: 'sdg', T: 't', Tdg: 'tdg', Rx: 'rx', Ry: 'ry', Rz: 'rz'
+};
+
+// Angle as QASM source: a multiple of pi where exact, else a decimal
+const qasmAngle = (radians) => {
+  const fraction = piFraction(radians);
+  if (!fraction) return String(Number(radians.toPrecision(12)));
+  const { numerator, denominator } = fraction;
+  if (numerator === 0) return '0';
+  const multiple = Math.abs(numerator) === 1 ? 'pi' : `${Math.abs(numerator)}*pi`;
+  return `${numerator < 0 ? '-' : ''}${multiple}${denominator === 1 ? '' : `/${denominator}`}`;
+};
+
+// QASM program applying gates to q[0], with comments in the language of
+// locale. When start is given and is not |0⟩, a U3 preparing it comes first.
+const toQasm = (gates, { version = '3.0', start = null, locale = DEFAULT_LOCALE } = {}) => {
+  const lines = version === '2.0'
+    ? ['OPENQASM 2.0;', 'include "qelib1.inc";', 'qreg q[1];']
+    : ['OPENQASM 3.0;', 'include "stdgates.inc";', 'qubit[1] q;'];
+  const names = { ...QASM_GATE_NAMES, P: version === '2.0' ? 'u1' : 'p', U3: version === '2.0' ? 'u3' : 'U' };
+  const statement = (name, params = {}) => {
+    const args = (GATE_PARAMS[name] || []).map((angle) => qasmAngle(params[angle]));
+    return `${names[name]}${args.length > 0 ? `(${args.join(', ')})` : ''} q[0];`;
+  };
+  if (start) {
+    const { x, y, z } = start.toBlochCoordinates();
+    if (z < 1 - 1e-12) {
+      lines.push(`// ${translateIn(locale, 'qasm.preparationComment')}`);
+      lines.push(statement('U3', { theta: Math.acos(Math.max(-1, z)), phi: Math.atan2(y, x), lambda: 0 }));
+    }
+  }
+  gates.forEach(({ name, params }) => {
+    if (name === 'Custom') {
+      lines.push(`// ${translateIn(locale, 'qasm.customComment')}`);
+      lines.push(statement('U3', eulerZYZ(params.matrix)));
+    } else {
+      lines.push(statement(name, params));
+    }
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+// Export of the applied gate sequence and import of programs to replay.
+// program is { start, gates } or null when it cannot be expressed (mixed
+// state); onImport receives the parsed gates.
+const QasmPanel = ({ program, onImport }) => {
+  const { locale, t, textOf } = useLocale();
+  const [version, setVersion] = useState('3.0');
+  const [text, setText] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const exportProgram = () => {
+    if (!program) {
+      setMessage({ error: true, text: localized('qasm.mixedState') });
+      return;
+    }
+    setText(toQasm(program.gates, { version, start: program.start, locale }));
+    setMessage(null);
+  };
+
+  const importProgram = () => {
+    try {
+      const { gates } = parseQasm(text);
+      onImport(gates);
+      setMessage({ error: false, text: localized('qasm.imported', { count: gates.length }) });
+    } catch (e) {
+      setMessage({ error: true, text: errorMessage(e) });
+    }
+  };
+
+  const downloadProgram = () => {
+    downloadBlob(new Blob([text], { type: 'text/plain' }), t('qasm.fileName'));
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex gap-2">
+        <select
+          value={version}
+          onChange={(e) => setVersion(e.target.value)}
+          className="bg-slate-800/80 border border-cyan-500/40 rounded px-2 py-2 text-white focus:outline-none"
+        >
+          <option value="2.0">OpenQASM 2.0</option>
+          <option value="3.0">OpenQASM 3.0</option>
+        </select>
+        <button onClick={exportProgram} className="flex-1 bg-slate-800 hover:bg-slate-700 rounded px-3 py-2">
+          {t('qasm.export')}
+        </button>
+        <button
+          onClick={downloadProgram}
+          disabled={!text}
+          className="bg-slate-800 hover:bg-slate-700 disabled:opacity-40 rounded px-3 py-2"
+        >
+          .qasm
+        </button>
+      </div>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={8}
+        spellCheck={false}
+        className="w-full bg-slate-800/80 border border-cyan-500/40 rounded px-3 py-2 text-xs font-mono text-white focus:outline-none focus:border-cyan-400 transition"
+        placeholder={'OPENQASM 3.0;\ninclude "stdgates.inc";\nqubit[1] q;\nh q[0];'}
+      />
+      <button
+        onClick={importProgram}
+        disabled={!text.trim()}
+        className="w-full bg-gradient-to-r from-cyan-600 to-cyan-700 hover:from-cyan-500 hover:to-cyan-600 disabled:opacity-40 py-2 rounded-lg font-bold"
+      >
+        {t('qasm.import')}
+      </button>
+      {message && (
+        <div className={`text-xs font-mono ${message.error ? 'text-red-400' : 'text-green-400'}`}>{textOf(message.text)}</div>
+      )}
+    </div>
+  );
+};
+
+// Largest |U†U − I| entry accepted for a typed matrix to count as unitary
+const UNITARITY_TOLERANCE = 1e-6;
+
+// Inspector of the product of the gates applied since the state was last
+// set by other means, and entry of custom gates. unitary is null when there
+// is no such product (mixed state); formatEntry and formatAngleValue follow
+// the exact/decimal display. onPlay replays the product as a single rotation.
+const UnitaryPanel = ({ gates, unitary, formatEntry, formatAngleValue, showAxis, onShowAxisChange, onPlay, onApply }) => {
+  const { locale, t, textOf, formatNumber } = useLocale();
+  const [matrixInputs, setMatrixInputs] = useState(['1', '0', '0', '1']);
+
+  const entries = matrixInputs.map((text) => {
+    try {
+      return { value: evaluateComplex(text) };
+    } catch (error) {
+      return { error: textOf(errorMessage(error)) };
+    }
+  });
+  const firstError = entries.findIndex((entry) => entry.error);
+  const matrix = firstError === -1
+    ? [[entries[0].value, entries[1].value], [entries[2].value, entries[3].value]]
+    : null;
+  const deviation = matrix ? unitarityError(matrix) : null;
+  const isUnitary = deviation !== null && deviation < UNITARITY_TOLERANCE;
+
+  const rotation = unitary && rotationOfUnitary(unitary);
+  const euler = unitary && eulerZYZ(unitary);
+  const phaseFactor = (angle) => (Math.abs(angle) < 1e-9 ? '' : `e^(i·${formatAngleValue(angle)})·`);
+
+  return (
+    <div className="space-y-4">
+      {unitary ? (
+        <div className="space-y-2 text-sm">
+          <div className="text-xs text-gray-400">
+            {gates.length === 0
+              ? t('unitary.noGates')
+              : t('unitary.gates', { count: gates.length, gates: gateSequenceLabel(gates) })}
+          </div>
+          <div className="font-mono text-purple-300">
+            {unitary.map((row, r) => (
+              <div key={r}>U{r === 0 ? ' = ' : '   '}[ {row.map(formatEntry).join(',  ')} ]</div>
+            ))}
+          </div>
+          <div className="font-mono text-xs text-gray-300 space-y-1 pt-2 border-t border-slate-700">
+            <div>
+              {t('unitary.rotation', { angle: formatAngleValue(rotation.angle), axis: formatBlochVector(rotation.axis, locale) })}
+            </div>
+            <div>
+              ZYZ: U = {phaseFactor(euler.phase)}Rz({formatAngleValue(euler.phi)})·Ry({formatAngleValue(euler.theta)})·Rz({formatAngleValue(euler.lambda)})
+            </div>
+            <div>
+              U = {phaseFactor(euler.u3Phase)}U3({formatAngleValue(euler.theta)}, {formatAngleValue(euler.phi)}, {formatAngleValue(euler.lambda)})
+            </div>
+          </div>
+          <div className="flex items-center gap-3 text-xs">
+            <label className="flex items-center gap-1 text-gray-400 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={showAxis}
+                onChange={(e) => onShowAxisChange(e.target.checked)}
+                className="accent-pink-500"
+              />
+              {t('unitary.showAxis')}
+            </label>
+            <button
+              onClick={onPlay}
+              disabled={gates.length === 0}
+              className="ml-auto px-3 py-1 rounded border border-pink-500/40 text-pink-300 hover:border-pink-400 disabled:opacity-40 transition"
+            >
+              ▶ {t('unitary.play')}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="text-sm text-gray-400">
+          {t('unitary.mixedState')}
+        </div>
+      )}
+
+      {/* Custom gate */}
+      <div className="pt-3 border-t border-slate-700">
+        <span className="text-sm text-pink-300 block mb-2">{t('unitary.customGate')}</span>
+        <div className="grid grid-cols-2 gap-2">
+          {matrixInputs.map((text, index) => (
+            <input
+              key={index}
+              type="text"
+              value={text}
+              onChange={(e) => setMatrixInputs(matrixInputs.map((entry, k) => (k === index ? e.target.value : entry)))}
+              placeholder={['u00', 'u01', 'u10', 'u11'][index]}
+              className={`w-full bg-slate-800/80 border rounded px-3 py-2 text-white text-sm font-mono focus:outline-none transition ${
+                entries[index].error ? 'border-red-500/60 focus:border-red-400' : 'border-pink-500/40 focus:border-pink-400'
+              }`}
+            />
+          ))}
+        </div>
+        <div className="mt-2 text-xs">
+          {firstError !== -1 ? (
+            <span className="text-red-400">
+              {['u00', 'u01', 'u10', 'u11'][firstError]}: {entries[firstError].error}
+            </span>
+          ) : isUnitary ? (
+            <span className="text-green-400">{t('unitary.unitary', { tolerance: UNITARITY_TOLERANCE })}</span>
+          ) : (
+            <span className="text-amber-300">{t('unitary.notUnitary', { deviation: formatNumber(deviation, 4) })}</span>
+          )}
+        </div>
+        <button
+          onClick={() => onApply(matrix)}
+          disabled={!isUnitary}
+          className="mt-2 w-full bg-gradient-to-r from-pink-600 to-purple-600 hover:from-pink-500 hover:to-purple-500 disabled:opacity-40 py-2 px-4 rounded-lg font-bold transition-all shadow-lg"
+        >
+          {t('unitary.apply')}
+        </button>
+      </div>
+    </div>
+  );
+};
 
-      // Draw wireframe sphere
-      ctx.strokeStyle = 'rgba(26, 77, 122, 0.4)';
-      ctx.lineWidth = 1;
+// Gate-sequence synthesis: breadth-first search over the states reachable
+// from a start state, so the first hit is a shortest sequence. States are
+// compared by Bloch vector, which ignores global phase.
+const SYNTHESIS_GATES = ['H', 'X', 'Y', 'Z', 'S', 'Sdg', 'T', 'Tdg'];
+const SYNTHESIS_PRESETS = [
+  { label: '{H, S, T}', gates: ['H', 'S', 'T'] },
+  { label: '{H, X, Y, Z}', gates: ['H', 'X', 'Y', 'Z'] },
+  { label: 'Clifford {H, S}', gates: ['H', 'S'] }
+];
+const SYNTHESIS_TARGETS = [
+  ...REFERENCE_STATES,
+  { label: '|T⟩', x: Math.SQRT1_2, y: Math.SQRT1_2, z: 0 }
+];
+const SYNTHESIS_MAX_DEPTH = 40;
+const SYNTHESIS_MAX_STATES = 100000;
 
-      // Latitude lines
-      for (let lat = -90; lat <= 90; lat += 30) {
-        ctx.beginPath();
-        for (let lon = 0; lon <= 360; lon += 10) {
-          const theta = (90 - lat) * Math.PI / 180;
-          const phi = lon * Math.PI / 180;
-          let x = Math.sin(theta) * Math.cos(phi);
-          let y = Math.sin(theta) * Math.sin(phi);
-          let z = Math.cos(theta);
-
-          const rotated = rotateY(x, y, z, rotation);
-          const projected = project(rotated.x, rotated.y, rotated.z);
-
-          if (lon === 0) {
-            ctx.moveTo(projected.x, projected.y);
-          } else {
-            ctx.lineTo(projected.x, projected.y);
-          }
+// Shortest sequence of gates (names) taking start to within tolerance of
+// target, i.e. 1 − |⟨target|ψ⟩|² ≤ tolerance, searching at most maxDepth
+// gates deep. Returns { sequence, fidelity, reached, exhausted, explored }:
+// when not reached, sequence is the best approximation found, and exhausted
+// tells whether every reachable state was visited (the gate set generates a
+// finite group), in which case the target is unreachable with these gates.
+const synthesizeSequence = (start, target, gates, { tolerance, maxDepth, maxStates = SYNTHESIS_MAX_STATES }) => {
+  const fidelityTo = (state) => {
+    const overlap = cAdd(cMul(cConj(target.alpha), state.alpha), cMul(cConj(target.beta), state.beta));
+    return overlap.re ** 2 + overlap.im ** 2;
+  };
+  const keyOf = (state) => {
+    const { x, y, z } = state.toBlochCoordinates();
+    return [x, y, z].map((v) => (Math.round(v * 1e8) / 1e8).toFixed(8)).join(',');
+  };
+  // The search runs on floats; exact amplitudes would only slow it down
+  const root = start.clone();
+  root.exact = null;
+  const seen = new Set([keyOf(root)]);
+  let best = { sequence: [], fidelity: fidelityTo(root) };
+  if (1 - best.fidelity <= tolerance) {
+    return { ...best, reached: true, exhausted: false, explored: 1 };
+  }
+  let frontier = [{ state: root, sequence: [] }];
+  for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+    const next = [];
+    for (const { state, sequence } of frontier) {
+      for (const name of gates) {
+        const candidate = state.clone().applyGate(name);
+        const key = keyOf(candidate);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const node = { state: candidate, sequence: [...sequence, name] };
+        const fidelity = fidelityTo(candidate);
+        if (fidelity > best.fidelity) best = { sequence: node.sequence, fidelity };
+        if (1 - fidelity <= tolerance) {
+          return { ...best, reached: true, exhausted: false, explored: seen.size };
+        }
+        if (seen.size >= maxStates) {
+          return { ...best, reached: false, exhausted: false, explored: seen.size };
         }
-        ctx.stroke();
+        next.push(node);
       }
+    }
+    frontier = next;
+  }
+  return { ...best, reached: false, exhausted: frontier.length === 0, explored: seen.size };
+};
 
-      // Longitude lines
-      for (let lon = 0; lon < 360; lon += 30) {
-        ctx.beginPath();
-        for (let lat = -90; lat <= 90; lat += 10) {
-          const theta = (90 - lat) * Math.PI / 180;
-          const phi = lon * Math.PI / 180;
-          let x = Math.sin(theta) * Math.cos(phi);
-          let y = Math.sin(theta) * Math.sin(phi);
-          let z = Math.cos(theta);
-
-          const rotated = rotateY(x, y, z, rotation);
-          const projected = project(rotated.x, rotated.y, rotated.z);
-
-          if (lat === -90) {
-            ctx.moveTo(projected.x, projected.y);
-          } else {
-            ctx.lineTo(projected.x, projected.y);
-          }
-        }
-        ctx.stroke();
+// Search for a gate sequence from start (null for a mixed state) to a
+// preset, typed or reference target; onPlay receives the gate names found.
+// targetChoice is a preset label, 'custom' or 'reference' (the pinned
+// reference, null when there is no pure one).
+const SynthesisPanel = ({ start, reference, targetChoice, onTargetChoiceChange, onPlay }) => {
+  const { t, textOf, formatNumber } = useLocale();
+  const [gates, setGates] = useState(SYNTHESIS_PRESETS[0].gates);
+  const [targetInputs, setTargetInputs] = useState({ alpha: '1/√2', beta: 'e^(iπ/8)/√2' });
+  const [toleranceText, setToleranceText] = useState('1e-6');
+  const [depthText, setDepthText] = useState('20');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const typedTarget = targetChoice === 'custom' ? stateFromInputs('amplitudes', targetInputs) : null;
+
+  const toggleGate = (name) => {
+    setGates(gates.includes(name) ? gates.filter((g) => g !== name) : SYNTHESIS_GATES.filter((g) => g === name || gates.includes(g)));
+  };
+
+  const search = () => {
+    const tolerance = Number(toleranceText);
+    const maxDepth = Number(depthText);
+    if (!start) {
+      setError(localized('synthesis.mixedStart'));
+      return;
+    }
+    if (gates.length === 0) {
+      setError(localized('synthesis.noGates'));
+      return;
+    }
+    if (!(tolerance >= 0 && tolerance < 1)) {
+      setError(localized('synthesis.invalidTolerance'));
+      return;
+    }
+    if (!Number.isInteger(maxDepth) || maxDepth < 1 || maxDepth > SYNTHESIS_MAX_DEPTH) {
+      setError(localized('synthesis.invalidDepth', { max: SYNTHESIS_MAX_DEPTH }));
+      return;
+    }
+    let target;
+    if (typedTarget) {
+      if (!typedTarget.state) {
+        setError(Object.values(typedTarget.errors)[0] || (typedTarget.notice && typedTarget.notice.text) || localized('synthesis.invalidTarget'));
+        return;
       }
+      target = typedTarget.state;
+    } else if (targetChoice === 'reference') {
+      if (!reference) {
+        setError(localized('synthesis.noReference'));
+        return;
+      }
+      target = reference;
+    } else {
+      const { x, y, z } = SYNTHESIS_TARGETS.find(({ label }) => label === targetChoice);
+      target = stateFromBloch(Math.acos(z), Math.atan2(y, x));
+    }
+    setError(null);
+    setResult({ start, gates, ...synthesizeSequence(start, target, gates, { tolerance, maxDepth }) });
+  };
 
-      // Draw axes
-      const drawAxis = (x, y, z, color, label) => {
-        const rotated = rotateY(x * 1.3, y * 1.3, z * 1.3, rotation);
-        const projected = project(rotated.x, rotated.y, rotated.z);
-        const origin = project(0, 0, 0);
+  const stale = result && result.start !== start;
+  const gateSetLabel = result && `{${result.gates.map((g) => GATE_STYLES[g].symbol).join(', ')}}`;
 
-        ctx.strokeStyle = color;
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(origin.x, origin.y);
-        ctx.lineTo(projected.x, projected.y);
-        ctx.stroke();
+  return (
+    <div className="space-y-3 text-sm">
+      <div>
+        <span className="text-xs text-gray-500 block mb-1">{t('synthesis.gateSet')}</span>
+        <div className="flex flex-wrap gap-1">
+          {SYNTHESIS_GATES.map((name) => (
+            <button
+              key={name}
+              onClick={() => toggleGate(name)}
+              className={`w-10 py-1 rounded border font-bold transition ${
+                gates.includes(name)
+                  ? 'bg-purple-600/50 border-purple-400 text-white'
+                  : 'bg-slate-800/60 border-slate-600 text-gray-500 hover:border-purple-500/50'
+              }`}
+            >
+              {GATE_STYLES[name].symbol}
+            </button>
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-2 mt-2 text-xs">
+          {SYNTHESIS_PRESETS.map((preset) => (
+            <button
+              key={preset.label}
+              onClick={() => setGates(preset.gates)}
+              className="px-2 py-1 rounded border border-slate-600 text-gray-400 hover:border-purple-400 hover:text-white transition"
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+      </div>
 
-        // Arrow head
-        const angle = Math.atan2(projected.y - origin.y, projected.x - origin.x);
-        ctx.fillStyle = color;
-        ctx.beginPath();
-        ctx.moveTo(projected.x, projected.y);
-        ctx.lineTo(
-          projected.x - 10 * Math.cos(angle - Math.PI / 6),
-          projected.y - 10 * Math.sin(angle - Math.PI / 6)
-        );
-        ctx.lineTo(
-          projected.x - 10 * Math.cos(angle + Math.PI / 6),
-          projected.y - 10 * Math.sin(angle + Math.PI / 6)
-        );
-        ctx.closePath();
-        ctx.fill();
+      <div className="grid grid-cols-3 gap-3">
+        <div>
+          <select
+            value={targetChoice}
+            onChange={(e) => onTargetChoiceChange(e.target.value)}
+            className="w-full bg-slate-800/80 border border-purple-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-purple-400"
+          >
+            {SYNTHESIS_TARGETS.map(({ label }) => (
+              <option key={label} value={label}>{label}</option>
+            ))}
+            <option value="custom">{t('synthesis.custom')}</option>
+            <option value="reference" disabled={!reference}>{t('synthesis.reference')}</option>
+          </select>
+          <span className="text-xs text-gray-500 mt-1 block">{t('synthesis.target')}</span>
+        </div>
+        <div>
+          <input
+            type="text"
+            value={toleranceText}
+            onChange={(e) => setToleranceText(e.target.value)}
+            className="w-full bg-slate-800/80 border border-purple-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-purple-400 transition"
+          />
+          <span className="text-xs text-gray-500 mt-1 block">{t('synthesis.tolerance')}</span>
+        </div>
+        <div>
+          <input
+            type="number"
+            min="1"
+            max={SYNTHESIS_MAX_DEPTH}
+            value={depthText}
+            onChange={(e) => setDepthText(e.target.value)}
+            className="w-full bg-slate-800/80 border border-purple-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-purple-400 transition"
+          />
+          <span className="text-xs text-gray-500 mt-1 block">{t('synthesis.maxDepth')}</span>
+        </div>
+      </div>
+
+      {typedTarget && (
+        <div className="grid grid-cols-2 gap-3">
+          {['alpha', 'beta'].map((field) => (
+            <div key={field}>
+              <input
+                type="text"
+                value={targetInputs[field]}
+                onChange={(e) => setTargetInputs({ ...targetInputs, [field]: e.target.value })}
+                className={`w-full bg-slate-800/80 border rounded px-3 py-2 text-white font-mono focus:outline-none transition ${
+                  typedTarget.errors[field] ? 'border-red-500/60 focus:border-red-400' : 'border-purple-500/40 focus:border-purple-400'
+                }`}
+              />
+              <span className="text-xs text-gray-500 mt-1 block">
+                {INPUT_FIELD_LABELS[field]} {typedTarget.errors[field] && <span className="text-red-400">· {textOf(typedTarget.errors[field])}</span>}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <button
+        onClick={search}
+        className="w-full bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-500 hover:to-pink-500 py-2 px-4 rounded-lg font-bold transition-all shadow-lg"
+      >
+        {t('synthesis.search')}
+      </button>
+      {error && <div className="text-xs text-red-400">{textOf(error)}</div>}
+
+      {result && (
+        <div className="bg-slate-800/60 rounded-lg p-3 text-xs space-y-1">
+          <div className={result.reached ? 'text-green-400' : 'text-amber-300'}>
+            {result.reached && (result.sequence.length === 0
+              ? t('synthesis.alreadyThere')
+              : t('synthesis.reached', { count: result.sequence.length, gates: gateSetLabel }))}
+            {!result.reached && result.exhausted &&
+              t('synthesis.unreachable', { gates: gateSetLabel, explored: result.explored })}
+            {!result.reached && !result.exhausted &&
+              t('synthesis.notReached', { explored: result.explored })}
+          </div>
+          {!result.reached && <div className="text-gray-400">{t('synthesis.best')}</div>}
+          <div className="font-mono text-purple-300">
+            {result.sequence.length > 0
+              ? result.sequence.map((name) => GATE_STYLES[name].symbol).join(' → ')
+              : t('synthesis.empty')}
+          </div>
+          <div className="font-mono text-gray-300">
+            F = {formatNumber(result.fidelity, 8)} · 1 − F = {(1 - result.fidelity).toExponential(2)}
+          </div>
+          <button
+            onClick={() => onPlay(result.sequence)}
+            disabled={stale || result.sequence.length === 0}
+            title={stale ? t('synthesis.stale') : undefined}
+            className="mt-2 w-full py-1.5 rounded border border-pink-500/40 text-pink-300 hover:border-pink-400 disabled:opacity-40 transition"
+          >
+            ▶ {t('synthesis.play')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Continuous time evolution under piecewise-constant Hamiltonians
+// H = ½·f·σ, f being the field vector ω·n̂ (rad per unit time). Over a time
+// t a segment rotates the Bloch vector by |f|·t about f:
+// U = exp(−iHt) = cos(|f|t/2)·I − i·sin(|f|t/2)·n̂·σ.
+const evolutionUnitary = ({ x, y, z }, t) => {
+  const omega = Math.hypot(x, y, z);
+  if (omega < 1e-12) return IDENTITY;
+  const c = Math.cos(omega * t / 2);
+  const s = Math.sin(omega * t / 2) / omega;
+  return [
+    [{ re: c, im: -s * z }, { re: -s * y, im: -s * x }],
+    [{ re: s * y, im: -s * x }, { re: c, im: s * z }]
+  ];
+};
+
+// Field of a drive with Rabi frequency Ω and phase φ, detuned by Δ, in the
+// frame rotating with the drive
+const rabiField = (rabi, detuning, phase) => ({
+  x: rabi * Math.cos(phase),
+  y: rabi * Math.sin(phase),
+  z: detuning
+});
+
+const degreesToRadians = (degrees) => degrees * Math.PI / 180;
+
+// Evolution experiments: input fields (evaluated as expressions) and the
+// segments { label, duration, field } they describe; labels are symbols, or
+// catalog keys given as labelKey. offset is added to the detuning, for
+// ensembles with inhomogeneous detunings of spread σΔ.
+const EVOLUTION_PRESETS = {
+  precession: {
+    labelKey: 'evolution.precession',
+    params: [
+      { name: 'omega', labelKey: 'evolution.omega', initial: '2*pi' },
+      { name: 'theta', labelKey: 'evolution.axisTheta', initial: '45' },
+      { name: 'phi', labelKey: 'evolution.axisPhi', initial: '0' },
+      { name: 'duration', labelKey: 'evolution.duration', initial: '2', positive: true }
+    ],
+    segments: ({ omega, theta, phi, duration }) => [{
+      label: 'H',
+      duration,
+      field: {
+        x: omega * Math.sin(degreesToRadians(theta)) * Math.cos(degreesToRadians(phi)),
+        y: omega * Math.sin(degreesToRadians(theta)) * Math.sin(degreesToRadians(phi)),
+        z: omega * Math.cos(degreesToRadians(theta))
+      }
+    }]
+  },
+  rabi: {
+    labelKey: 'evolution.rabi',
+    params: [
+      { name: 'rabi', labelKey: 'evolution.rabiFrequency', initial: '2*pi' },
+      { name: 'detuning', labelKey: 'evolution.detuning', initial: '0' },
+      { name: 'phase', labelKey: 'evolution.phase', initial: '0' },
+      { name: 'duration', labelKey: 'evolution.duration', initial: '3', positive: true }
+    ],
+    segments: ({ rabi, detuning, phase, duration }) => [
+      { labelKey: 'evolution.pulse', duration, field: rabiField(rabi, detuning, degreesToRadians(phase)) }
+    ]
+  },
+  ramsey: {
+    labelKey: 'evolution.ramsey',
+    params: [
+      { name: 'rabi', labelKey: 'evolution.pulseFrequency', initial: '20*pi', positive: true },
+      { name: 'detuning', labelKey: 'evolution.detuning', initial: '2*pi' },
+      { name: 'tau', labelKey: 'evolution.wait', initial: '2', positive: true },
+      { name: 'spread', labelKey: 'evolution.spread', initial: '3' }
+    ],
+    segments: ({ rabi, detuning, tau }, offset) => [
+      { label: 'π/2', duration: Math.PI / (2 * rabi), field: rabiField(rabi, detuning + offset, 0) },
+      { label: 'τ', duration: tau, field: rabiField(0, detuning + offset, 0) },
+      { label: 'π/2', duration: Math.PI / (2 * rabi), field: rabiField(rabi, detuning + offset, 0) }
+    ]
+  },
+  echo: {
+    labelKey: 'evolution.echo',
+    params: [
+      { name: 'rabi', labelKey: 'evolution.pulseFrequency', initial: '20*pi', positive: true },
+      { name: 'detuning', labelKey: 'evolution.detuning', initial: '2*pi' },
+      { name: 'tau', labelKey: 'evolution.totalWait', initial: '2', positive: true },
+      { name: 'spread', labelKey: 'evolution.spread', initial: '3' }
+    ],
+    segments: ({ rabi, detuning, tau }, offset) => [
+      { label: 'π/2', duration: Math.PI / (2 * rabi), field: rabiField(rabi, detuning + offset, 0) },
+      { label: 'τ/2', duration: tau / 2, field: rabiField(0, detuning + offset, 0) },
+      { label: 'π', duration: Math.PI / rabi, field: rabiField(rabi, detuning + offset, 0) },
+      { label: 'τ/2', duration: tau / 2, field: rabiField(0, detuning + offset, 0) },
+      { label: 'π/2', duration: Math.PI / (2 * rabi), field: rabiField(rabi, detuning + offset, 0) }
+    ]
+  }
+};
+
+// Detuning offsets (in units of σΔ) and weights of a Gaussian ensemble
+const ENSEMBLE_OFFSETS = Array.from({ length: 25 }, (_, k) => -3 + k * 0.25);
+const ENSEMBLE_WEIGHTS = (() => {
+  const raw = ENSEMBLE_OFFSETS.map((x) => Math.exp(-x * x / 2));
+  const total = raw.reduce((a, b) => a + b, 0);
+  return raw.map((w) => w / total);
+})();
+
+// Animation frames a full evolution is played over, and plot resolution
+const EVOLUTION_FRAMES = 240;
+const EVOLUTION_SAMPLES = 400;
+
+// Bloch vector r after evolving for a time t through the segments
+const evolveBlochVector = (r, segments, t) => {
+  let vector = r;
+  let remaining = t;
+  for (const { duration, field } of segments) {
+    if (remaining <= 0) break;
+    const dt = Math.min(duration, remaining);
+    const omega = Math.hypot(field.x, field.y, field.z);
+    if (omega > 1e-12) {
+      vector = rotateAbout(vector, { x: field.x / omega, y: field.y / omega, z: field.z / omega }, omega * dt);
+    }
+    remaining -= dt;
+  }
+  return vector;
+};
+
+// Bloch vector at time t, averaged over the detuning ensemble when the
+// experiment has a spread; the average is shorter than 1 (a mixed state)
+const evolvedBlochVector = (r, preset, values, t) => {
+  if (!values.spread) return evolveBlochVector(r, preset.segments(values, 0), t);
+  return ENSEMBLE_OFFSETS.reduce((sum, x, k) => {
+    const v = evolveBlochVector(r, preset.segments(values, values.spread * x), t);
+    const w = ENSEMBLE_WEIGHTS[k];
+    return { x: sum.x + w * v.x, y: sum.y + w * v.y, z: sum.z + w * v.z };
+  }, { x: 0, y: 0, z: 0 });
+};
 
-        // Label
-        ctx.fillStyle = color;
-        ctx.font = 'bold 16px Space Mono, monospace';
-        ctx.fillText(label, projected.x + 10, projected.y - 10);
-      };
+// Propagator from 0 to t through the segments
+const evolutionUpTo = (segments, t) => {
+  let product = IDENTITY;
+  let remaining = t;
+  for (const { duration, field } of segments) {
+    if (remaining <= 0) break;
+    const dt = Math.min(duration, remaining);
+    product = matMul(evolutionUnitary(field, dt), product);
+    remaining -= dt;
+  }
+  return product;
+};
 
-      drawAxis(1, 0, 0, '#ff4444', 'X');
-      drawAxis(0, 1, 0, '#44ff44', 'Y');
-      drawAxis(0, 0, 1, '#4488ff', 'Z');
+// P(|1⟩) = (1 − z)/2 against time, with the current time as a cursor and
+// the segment boundaries as dashed lines
+const EvolutionPlot = ({ samples, segments, time }) => {
+  const canvasRef = useRef(null);
 
-      // Draw state vector
-      const stateRotated = rotateY(coords.x, coords.y, coords.z, rotation);
-      const stateProjected = project(stateRotated.x, stateRotated.y, stateRotated.z);
-      const origin = project(0, 0, 0);
+  const render = (ctx, width, height) => {
+    const margin = { left: 36, right: 10, top: 10, bottom: 22 };
+    const total = samples[samples.length - 1].t;
+    const px = (t) => margin.left + (total > 0 ? t / total : 0) * (width - margin.left - margin.right);
+    const py = (p) => margin.top + (1 - p) * (height - margin.top - margin.bottom);
 
-      // State vector line
-      ctx.strokeStyle = '#ff00ff';
-      ctx.lineWidth = 3;
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '11px Space Mono, monospace';
+    ctx.fillStyle = '#94a3b8';
+    ctx.strokeStyle = 'rgba(148, 163, 184, 0.25)';
+    ctx.lineWidth = 1;
+    [0, 0.5, 1].forEach((p) => {
       ctx.beginPath();
-      ctx.moveTo(origin.x, origin.y);
-      ctx.lineTo(stateProjected.x, stateProjected.y);
+      ctx.moveTo(margin.left, py(p));
+      ctx.lineTo(width - margin.right, py(p));
       ctx.stroke();
+      ctx.fillText(p.toFixed(1), 6, py(p) + 4);
+    });
+    ctx.fillText('0', margin.left - 4, height - 6);
+    ctx.fillText(total.toPrecision(3), width - margin.right - 30, height - 6);
 
-      // State vector arrow
-      const stateAngle = Math.atan2(stateProjected.y - origin.y, stateProjected.x - origin.x);
-      ctx.fillStyle = '#ff00ff';
-      ctx.beginPath();
-      ctx.moveTo(stateProjected.x, stateProjected.y);
-      ctx.lineTo(
-        stateProjected.x - 15 * Math.cos(stateAngle - Math.PI / 6),
-        stateProjected.y - 15 * Math.sin(stateAngle - Math.PI / 6)
-      );
-      ctx.lineTo(
-        stateProjected.x - 15 * Math.cos(stateAngle + Math.PI / 6),
-        stateProjected.y - 15 * Math.sin(stateAngle + Math.PI / 6)
-      );
-      ctx.closePath();
-      ctx.fill();
-
-      // State vector endpoint (glowing sphere)
-      const gradient = ctx.createRadialGradient(
-        stateProjected.x, stateProjected.y, 0,
-        stateProjected.x, stateProjected.y, 15
-      );
-      gradient.addColorStop(0, 'rgba(255, 0, 255, 1)');
-      gradient.addColorStop(0.5, 'rgba(255, 0, 255, 0.6)');
-      gradient.addColorStop(1, 'rgba(255, 0, 255, 0)');
-      ctx.fillStyle = gradient;
+    // Segment boundaries
+    ctx.setLineDash([3, 4]);
+    let boundary = 0;
+    segments.slice(0, -1).forEach(({ duration }) => {
+      boundary += duration;
       ctx.beginPath();
-      ctx.arc(stateProjected.x, stateProjected.y, 15, 0, Math.PI * 2);
-      ctx.fill();
+      ctx.moveTo(px(boundary), margin.top);
+      ctx.lineTo(px(boundary), height - margin.bottom);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
 
-      ctx.fillStyle = '#ff00ff';
-      ctx.beginPath();
-      ctx.arc(stateProjected.x, stateProjected.y, 6, 0, Math.PI * 2);
-      ctx.fill();
+    ctx.strokeStyle = '#ec4899';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    samples.forEach(({ t, p }, i) => {
+      if (i === 0) ctx.moveTo(px(t), py(p));
+      else ctx.lineTo(px(t), py(p));
+    });
+    ctx.stroke();
 
-      animationRef.current = requestAnimationFrame(draw);
-    };
+    ctx.strokeStyle = '#22d3ee';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(px(time), margin.top);
+    ctx.lineTo(px(time), height - margin.bottom);
+    ctx.stroke();
+  };
+  const requestRedraw = useCanvasRenderer(canvasRef, render);
 
-    draw();
+  useEffect(() => {
+    requestRedraw();
+  }, [samples, segments, time, requestRedraw]);
 
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
+  return <canvas ref={canvasRef} className="w-full h-[180px]" />;
+};
+
+// Time-evolution experiments on start (pure or mixed): a time slider and
+// play button drive the Bloch vector on the panel's own sphere and a cursor
+// on the P(|1⟩) plot. onApply receives { matrix, label } for a single
+// system, or { vector, label } for an ensemble average; the latter only
+// when allowMixed.
+const EvolutionPanel = ({ start, allowMixed, onApply }) => {
+  const { locale, t, textOf, formatNumber } = useLocale();
+  const [presetId, setPresetId] = useState('rabi');
+  const [inputs, setInputs] = useState(() => Object.fromEntries(
+    Object.entries(EVOLUTION_PRESETS).map(([id, preset]) => [
+      id,
+      Object.fromEntries(preset.params.map(({ name, initial }) => [name, initial]))
+    ])
+  ));
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  const preset = EVOLUTION_PRESETS[presetId];
+  const presetInputs = inputs[presetId];
+
+  // Evaluated fields: { values, errors }, values null while any is invalid
+  const evaluated = useMemo(() => {
+    const values = {};
+    const errors = {};
+    for (const { name, positive } of preset.params) {
+      try {
+        values[name] = evaluateReal(presetInputs[name]);
+        if (positive && !(values[name] > 0)) errors[name] = localized('evolution.notPositive');
+      } catch (error) {
+        errors[name] = errorMessage(error);
       }
-    };
-  }, [qubitState]);
+    }
+    return { values: Object.keys(errors).length === 0 ? values : null, errors };
+  }, [preset, presetInputs]);
+  const { values } = evaluated;
+
+  const segments = useMemo(() => (values ? preset.segments(values, 0) : []), [preset, values]);
+  const total = segments.reduce((sum, { duration }) => sum + duration, 0);
+  const now = Math.min(time, total);
+  const ensemble = Boolean(values && values.spread);
+
+  const startVector = useMemo(() => blochVectorOf(start), [start]);
+  const samples = useMemo(() => (values ? Array.from({ length: EVOLUTION_SAMPLES + 1 }, (_, k) => {
+    const sampleTime = total * k / EVOLUTION_SAMPLES;
+    return { t: sampleTime, p: (1 - evolvedBlochVector(startVector, preset, values, sampleTime).z) / 2 };
+  }) : null), [startVector, preset, values, total]);
+  const vector = useMemo(
+    () => (values ? evolvedBlochVector(startVector, preset, values, now) : startVector),
+    [startVector, preset, values, now]
+  );
+
+  // The field of the segment under way, drawn as the rotation axis
+  const directions = useMemo(() => {
+    let current = segments[segments.length - 1];
+    for (let k = 0, elapsed = 0; k < segments.length; k += 1) {
+      elapsed += segments[k].duration;
+      if (now < elapsed) {
+        current = segments[k];
+        break;
+      }
+    }
+    if (!current) return NO_DIRECTIONS;
+    const omega = Math.hypot(current.field.x, current.field.y, current.field.z);
+    if (omega < 1e-12) return NO_DIRECTIONS;
+    const label = current.labelKey ? t(current.labelKey) : current.label;
+    return [{ x: current.field.x / omega, y: current.field.y / omega, z: current.field.z / omega, label }];
+  }, [segments, now, t]);
+
+  const running = playing && now < total;
+
+  useEffect(() => {
+    if (!running) return;
+    const frame = requestAnimationFrame(() => setTime(Math.min(total, now + total / EVOLUTION_FRAMES)));
+    return () => cancelAnimationFrame(frame);
+  }, [running, now, total]);
+
+  const togglePlay = () => {
+    if (running) {
+      setPlaying(false);
+      return;
+    }
+    if (now >= total) setTime(0);
+    setPlaying(true);
+  };
+
+  const changePreset = (id) => {
+    setPresetId(id);
+    setTime(0);
+    setPlaying(false);
+  };
+
+  const apply = () => {
+    const label = `${t(preset.labelKey)}, t = ${formatInputNumber(now, 4)}`;
+    if (ensemble) {
+      onApply({ vector, label });
+    } else {
+      onApply({ matrix: evolutionUpTo(segments, now), label });
+    }
+  };
+
+  const length = Math.hypot(vector.x, vector.y, vector.z);
 
   return (
-    <canvas
-      ref={canvasRef}
-      width={600}
-      height={500}
-      className="w-full h-full"
-      style={{ imageRendering: 'crisp-edges' }}
-    />
+    <div className="space-y-3">
+      <select
+        value={presetId}
+        onChange={(e) => changePreset(e.target.value)}
+        className="w-full bg-slate-800/80 border border-cyan-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-cyan-400"
+      >
+        {Object.entries(EVOLUTION_PRESETS).map(([id, { labelKey }]) => (
+          <option key={id} value={id}>{t(labelKey)}</option>
+        ))}
+      </select>
+
+      <div className="grid grid-cols-2 gap-3">
+        {preset.params.map(({ name, labelKey }) => (
+          <div key={name}>
+            <input
+              type="text"
+              value={presetInputs[name]}
+              onChange={(e) => setInputs({ ...inputs, [presetId]: { ...presetInputs, [name]: e.target.value } })}
+              className={`w-full bg-slate-800/80 border rounded px-3 py-2 text-white font-mono text-sm focus:outline-none transition ${
+                evaluated.errors[name] ? 'border-red-500/60 focus:border-red-400' : 'border-cyan-500/40 focus:border-cyan-400'
+              }`}
+            />
+            <span className="text-xs text-gray-500 mt-1 block">
+              {t(labelKey)} {evaluated.errors[name] && <span className="text-red-400">· {textOf(evaluated.errors[name])}</span>}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      <div className="text-xs text-gray-400">
+        {t('evolution.hamiltonian')}
+        {ensemble && ` ${t('evolution.ensembleHint')}`}
+      </div>
+
+      <div className="h-[260px] rounded-lg overflow-hidden border border-purple-500/20">
+        <BlochSphere qubitState={start instanceof DensityMatrix ? start.principalState() : start} vector={vector} directions={directions} />
+      </div>
+
+      <div className="flex items-center gap-3">
+        <button
+          onClick={togglePlay}
+          disabled={!values}
+          className="px-3 py-1 rounded bg-cyan-600/60 hover:bg-cyan-500 disabled:opacity-40 transition"
+        >
+          {running ? '⏸' : '▶'}
+        </button>
+        <input
+          type="range"
+          min="0"
+          max={total}
+          step={total / 1000 || 1}
+          value={now}
+          disabled={!values}
+          onChange={(e) => {
+            setPlaying(false);
+            setTime(Number(e.target.value));
+          }}
+          className="flex-1 accent-cyan-500"
+        />
+        <span className="w-24 text-right text-xs font-mono text-gray-300">t = {formatNumber(now, 3)}</span>
+      </div>
+
+      {samples && <EvolutionPlot samples={samples} segments={segments} time={now} />}
+      <div className="text-xs font-mono text-gray-300">
+        P(|1⟩) = {formatNumber((1 - vector.z) / 2, 4)} · r = {formatBlochVector(vector, locale)}
+        {ensemble && ` · |r| = ${formatNumber(length, 3)}`}
+      </div>
+
+      <button
+        onClick={apply}
+        disabled={!values || (ensemble && !allowMixed)}
+        title={ensemble && !allowMixed ? t('evolution.mixedInComposer') : undefined}
+        className="w-full bg-gradient-to-r from-cyan-600 to-purple-600 hover:from-cyan-500 hover:to-purple-500 disabled:opacity-40 py-2 px-4 rounded-lg font-bold transition-all shadow-lg"
+      >
+        {t('evolution.apply')}
+      </button>
+    </div>
   );
 };
 
-const SuperpositionWaves = ({ qubitState }) => {
-  const canvasRef = useRef(null);
-  const animationRef = useRef(null);
-  const timeRef = useRef(0);
+// Color of the reference state on the sphere
+const REFERENCE_COLOR = '#34d399';
 
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
+// Comparison of the viewed state (pure or mixed) with a reference, pinned
+// from it or typed as amplitudes. onReferenceChange receives the new
+// reference (null to clear it); onUseAsTarget makes a pure reference the
+// target of the gate synthesis.
+const ComparisonPanel = ({ current, reference, onReferenceChange, onUseAsTarget }) => {
+  const { locale, t, textOf, formatNumber } = useLocale();
+  const [inputs, setInputs] = useState({ alpha: '1', beta: '0' });
+  const typed = stateFromInputs('amplitudes', inputs);
 
-    const ctx = canvas.getContext('2d');
-    const width = canvas.width;
-    const height = canvas.height;
+  const comparison = useMemo(
+    () => (reference ? compareStates(blochVectorOf(current), blochVectorOf(reference)) : null),
+    [current, reference]
+  );
+  const pure = reference && !(reference instanceof DensityMatrix) && !(current instanceof DensityMatrix);
+  const overlap = pure
+    ? cAdd(cMul(cConj(reference.alpha), current.alpha), cMul(cConj(reference.beta), current.beta))
+    : null;
+  const typedError = !typed.state &&
+    textOf(Object.values(typed.errors)[0] || (typed.notice && typed.notice.text) || localized('comparison.invalidState'));
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          onClick={() => onReferenceChange(current.clone())}
+          className="py-2 rounded-lg bg-emerald-600/50 hover:bg-emerald-500/70 border border-emerald-400/50 font-bold transition"
+        >
+          {t('comparison.pinCurrent')}
+        </button>
+        <button
+          onClick={() => onReferenceChange(null)}
+          disabled={!reference}
+          className="py-2 rounded-lg border border-slate-600 text-gray-300 hover:border-emerald-400 disabled:opacity-40 transition"
+        >
+          {t('comparison.clear')}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-[1fr_1fr_auto] gap-2 items-start">
+        {['alpha', 'beta'].map((field) => (
+          <div key={field}>
+            <input
+              type="text"
+              value={inputs[field]}
+              onChange={(e) => setInputs({ ...inputs, [field]: e.target.value })}
+              className={`w-full bg-slate-800/80 border rounded px-3 py-2 text-white font-mono focus:outline-none transition ${
+                typed.errors[field] ? 'border-red-500/60 focus:border-red-400' : 'border-emerald-500/40 focus:border-emerald-400'
+              }`}
+            />
+            <span className="text-xs text-gray-500 mt-1 block">{t('comparison.field', { field: INPUT_FIELD_LABELS[field] })}</span>
+          </div>
+        ))}
+        <button
+          onClick={() => onReferenceChange(typed.state)}
+          disabled={!typed.state}
+          title={typedError || undefined}
+          className="px-3 py-2 rounded border border-emerald-500/40 text-emerald-300 hover:border-emerald-400 disabled:opacity-40 transition"
+        >
+          {t('comparison.pin')}
+        </button>
+      </div>
+      {typedError && <div className="text-xs text-red-400">{typedError}</div>}
 
-    const draw = () => {
-      ctx.clearRect(0, 0, width, height);
+      {comparison ? (
+        <div className="bg-slate-800/60 rounded-lg p-3 text-xs font-mono space-y-1">
+          <div className="text-gray-400">
+            {t('comparison.reference', { vector: formatBlochVector(blochVectorOf(reference), locale) })}
+            {reference instanceof DensityMatrix && ` ${t('comparison.mixed')}`}
+          </div>
+          {overlap && <div className="text-gray-300">⟨ref|ψ⟩ = {formatComplex(overlap, locale)}</div>}
+          <div className="text-emerald-300">
+            F = {pure ? '|⟨ref|ψ⟩|²' : 'F(ρ, σ)'} = {formatNumber(comparison.fidelity, 6)}
+          </div>
+          <div className="text-gray-300">{t('comparison.traceDistance', { value: formatNumber(comparison.traceDistance, 6) })}</div>
+          <div className="text-gray-300">
+            {t('comparison.buresAngle', {
+              radians: formatNumber(comparison.buresAngle, 4),
+              degrees: formatNumber(comparison.buresAngle * 180 / Math.PI, 2)
+            })}
+          </div>
+          <div className="text-gray-300">
+            {t('comparison.sphereAngle', {
+              value: comparison.angle === null ? '—' : `${formatNumber(comparison.angle * 180 / Math.PI, 2)}°`
+            })}
+          </div>
+        </div>
+      ) : (
+        <div className="text-xs text-gray-500">{t('comparison.empty')}</div>
+      )}
 
-      // Background
-      ctx.fillStyle = '#0a0e27';
-      ctx.fillRect(0, 0, width, height);
+      <button
+        onClick={onUseAsTarget}
+        disabled={!reference || reference instanceof DensityMatrix}
+        title={reference instanceof DensityMatrix ? t('comparison.pureTargetsOnly') : undefined}
+        className="w-full py-1.5 rounded border border-purple-500/40 text-purple-300 hover:border-purple-400 disabled:opacity-40 transition"
+      >
+        {t('comparison.useAsTarget')}
+      </button>
+    </div>
+  );
+};
 
-      const time = timeRef.current;
-      timeRef.current += 0.02;
+// Undo history: maximum number of entries kept
+const MAX_HISTORY = 100;
 
-      const centerY = height / 2;
-      const waveHeight = 60;
+// Ways of entering the state and the input fields of each
+const INPUT_MODES = {
+  amplitudes: { labelKey: 'input.amplitudes', fields: ['alpha', 'beta'] },
+  angles: { labelKey: 'input.angles', fields: ['theta', 'phi'] },
+  vector: { labelKey: 'input.vector', fields: ['x', 'y', 'z'] }
+};
 
-      // Probabilities
-      const prob0 = qubitState.alpha.re ** 2 + qubitState.alpha.im ** 2;
-      const prob1 = qubitState.beta.re ** 2 + qubitState.beta.im ** 2;
+const INPUT_FIELD_LABELS = {
+  alpha: 'α',
+  beta: 'β',
+  theta: 'θ',
+  phi: 'φ',
+  x: 'x',
+  y: 'y',
+  z: 'z'
+};
 
-      // Phase
-      const phase0 = Math.atan2(qubitState.alpha.im, qubitState.alpha.re);
-      const phase1 = Math.atan2(qubitState.beta.im, qubitState.beta.re);
+// Real-valued input; expressions are allowed as for the amplitudes
+const evaluateReal = (text) => {
+  const value = evaluateComplex(text);
+  if (Math.abs(value.im) > 1e-12) {
+    throw localizedError(localized('input.notReal'));
+  }
+  return value.re;
+};
 
-      // Draw |0⟩ wave
-      ctx.strokeStyle = '#a855f7';
-      ctx.lineWidth = 3;
-      ctx.beginPath();
-      for (let x = 0; x < width; x++) {
-        const y = centerY - waveHeight * Math.sqrt(prob0) * Math.sin((x * 0.02) + time + phase0);
-        if (x === 0) {
-          ctx.moveTo(x, y);
-        } else {
-          ctx.lineTo(x, y);
-        }
+// Evaluate the fields of an input mode. Returns { state, values, errors,
+// notice }: errors maps each invalid field to a message, state is null when
+// there is one or when the fields describe no state, and notice ({ warning,
+// text } or null) explains the latter or any normalization applied.
+const stateFromInputs = (mode, inputs) => {
+  const values = {};
+  const errors = {};
+  for (const field of INPUT_MODES[mode].fields) {
+    try {
+      values[field] = mode === 'amplitudes' ? evaluateComplex(inputs[field]) : evaluateReal(inputs[field]);
+    } catch (e) {
+      errors[field] = errorMessage(e);
+    }
+  }
+  const result = (state, notice = null) => ({ state, values, errors, notice });
+  if (Object.keys(errors).length > 0) return result(null);
+
+  if (mode === 'amplitudes') {
+    const norm = Math.hypot(cAbs(values.alpha), cAbs(values.beta));
+    if (norm === 0) {
+      return result(null, { warning: true, text: localized('input.zeroAmplitudes') });
+    }
+    const state = new QubitState({ ...values.alpha }, { ...values.beta });
+    return result(state, Math.abs(norm - 1) > 1e-9 ? { warning: false, text: localized('input.normalizedKet', { norm: decimal(norm, 4) }) } : null);
+  }
+
+  if (mode === 'angles') {
+    if (values.theta < 0 || values.theta > 180) {
+      errors.theta = localized('input.thetaRange');
+      return result(null);
+    }
+    const state = stateFromBloch(values.theta * Math.PI / 180, values.phi * Math.PI / 180);
+    return result(state, isPole(state)
+      ? { warning: false, text: localized('input.pole', { pole: values.theta === 0 ? '|0⟩' : '|1⟩' }) }
+      : null);
+  }
+
+  const length = Math.hypot(values.x, values.y, values.z);
+  if (length < 1e-12) {
+    return result(null, { warning: true, text: localized('input.zeroVector') });
+  }
+  const state = stateFromBloch(Math.acos(Math.max(-1, Math.min(1, values.z / length))), Math.atan2(values.y, values.x));
+  return result(state, Math.abs(length - 1) > 1e-9 ? { warning: false, text: localized('input.normalizedVector', { length: decimal(length, 4) }) } : null);
+};
+
+// Custom POVM fields: weight w and Bloch vector n of each effect, as
+// expressions. The default is an unsharp Z measurement.
+const DEFAULT_CUSTOM_POVM = [
+  { weight: '1', x: '0', y: '0', z: '0.8' },
+  { weight: '1', x: '0', y: '0', z: '-0.8' }
+];
+
+// Effects of a custom POVM from its fields; throws an Error naming the first
+// invalid field or the POVM condition that fails
+const povmFromInputs = (rows) => {
+  const elements = rows.map((row, k) => {
+    const value = (field) => {
+      try {
+        return evaluateReal(row[field]);
+      } catch (error) {
+        throw localizedError(localized('povm.fieldError', { index: k + 1, field: field === 'weight' ? 'w' : field, message: errorMessage(error) }));
       }
-      ctx.stroke();
+    };
+    return { weight: value('weight'), vector: { x: value('x'), y: value('y'), z: value('z') } };
+  });
+  validatePovm(elements);
+  return elements;
+};
 
-      // Draw |1⟩ wave
-      ctx.strokeStyle = '#06b6d4';
-      ctx.lineWidth = 3;
-      ctx.beginPath();
-      for (let x = 0; x < width; x++) {
-        const y = centerY - waveHeight * Math.sqrt(prob1) * Math.sin((x * 0.02) + time + phase1);
-        if (x === 0) {
-          ctx.moveTo(x, y);
-        } else {
-          ctx.lineTo(x, y);
-        }
+// Measurement along n̂ from the axis fields, θ and φ in degrees; throws an
+// Error naming an invalid field
+const axisFromInputs = (fields) => {
+  const angle = (name, label) => {
+    try {
+      return evaluateReal(fields[name]) * Math.PI / 180;
+    } catch (error) {
+      throw localizedError(localized('measurement.axisError', { field: label, message: errorMessage(error) }));
+    }
+  };
+  return axisBasis(angle('theta', 'θ'), angle('phi', 'φ'));
+};
+
+function QuantumCalculator({ onLocaleChange }) {
+  const { locale, t, textOf, formatNumber } = useLocale();
+  const [initial] = useState(() => {
+    const restored = restoreInitialSession();
+    restored.state.recognizeExact();
+    return restored;
+  });
+  const [inputs, setInputs] = useState(initial.inputs);
+  const [inputMode, setInputMode] = useState('amplitudes');
+  const [exactDisplay, setExactDisplay] = useState(true);
+  const [exactArithmetic, setExactArithmetic] = useState(true);
+  const [qubitState, setQubitState] = useState(initial.state);
+  const [mode, setMode] = useState('single');
+  const [measurements, setMeasurements] = useState(null);
+  const [angleUnit, setAngleUnit] = useState('deg');
+  const [angleInputs, setAngleInputs] = useState({ theta: '90', phi: '0', lambda: '45' });
+  const [angleError, setAngleError] = useState(null);
+  const [measurementMode, setMeasurementMode] = useState('preview');
+  const [measurementLog, setMeasurementLog] = useState([]);
+  const [axisInputs, setAxisInputs] = useState({ theta: '45', phi: '0' });
+  const [pickingAxis, setPickingAxis] = useState(false);
+  const [povmChoice, setPovmChoice] = useState('trine');
+  const [customPovm, setCustomPovm] = useState(DEFAULT_CUSTOM_POVM);
+  const [measurementError, setMeasurementError] = useState(null);
+  const [showUnitaryAxis, setShowUnitaryAxis] = useState(false);
+  const [sphereTransitions, setSphereTransitions] = useState([]);
+  const [gateDuration, setGateDuration] = useState(DEFAULT_GATE_DURATION);
+  // Restored circuit gates already use ids 1…n
+  const eventIdRef = useRef(initial.circuit.length);
+  const [composerActive, setComposerActive] = useState(initial.composer);
+  const [circuit, setCircuit] = useState(initial.circuit);
+  const [circuitStep, setCircuitStep] = useState(initial.step);
+  const [mixedState, setMixedState] = useState(initial.mixed);
+  // Last message of the session panel; starts with why a link or autosave
+  // was ignored, if one was
+  const [sessionMessage, setSessionMessage] = useState(initial.error ? { error: true, text: initial.error } : null);
+  // Reference state for comparisons (pure or mixed, outside the history),
+  // and the target chosen in the synthesis panel
+  const [referenceState, setReferenceState] = useState(null);
+  const [synthesisTarget, setSynthesisTarget] = useState('|+i⟩');
+  const [noiseChannel, setNoiseChannel] = useState('depolarizing');
+  const [noiseInputs, setNoiseInputs] = useState({ p: '0.1', time: '1', decayTime: '5' });
+  const [noiseError, setNoiseError] = useState(null);
+  const [history, setHistory] = useState(() => ({
+    entries: [{
+      id: 0,
+      label: localized('history.initial'),
+      state: initial.state,
+      inputs: initial.inputs,
+      mixed: initial.mixed,
+      program: initial.mixed ? null : { start: initial.state, gates: [] }
+    }],
+    index: 0
+  }));
+
+  // Record a state change after the current history position, dropping any
+  // redo entries. Consecutive entries sharing a coalesceKey (typing into the
+  // same amplitude field) are merged into one.
+  // A snapshot holds the pure state and its inputs as typed, plus the density
+  // matrix when the qubit is mixed. program is the gate sequence that led to
+  // the state from the last state set otherwise ({ start, gates }, null when
+  // mixed); it defaults to starting afresh from this state.
+  const pushHistory = (label, { state, inputs, mixed = null, program }, coalesceKey = null) => {
+    const entry = {
+      id: ++eventIdRef.current,
+      label,
+      state,
+      inputs,
+      mixed,
+      program: program !== undefined ? program : mixed ? null : { start: state, gates: [] },
+      coalesceKey
+    };
+    setHistory(({ entries, index }) => {
+      const kept = entries.slice(0, index + 1);
+      const last = kept[kept.length - 1];
+      if (coalesceKey && index === entries.length - 1 && last.coalesceKey === coalesceKey) {
+        kept[kept.length - 1] = { ...entry, id: last.id };
+      } else {
+        kept.push(entry);
       }
-      ctx.stroke();
+      const trimmed = kept.slice(-MAX_HISTORY);
+      return { entries: trimmed, index: trimmed.length - 1 };
+    });
+  };
+
+  // Jump to a history entry, restoring both the state and the inputs as typed
+  const restoreHistory = useCallback((index) => {
+    if (index < 0 || index >= history.entries.length) return;
+    const entry = history.entries[index];
+    setQubitState(entry.state);
+    setMixedState(entry.mixed || null);
+    setInputs(entry.inputs);
+    setMeasurements(null);
+    setHistory({ ...history, index });
+  }, [history]);
+
+  const program = history.entries[history.index].program;
+
+  const undo = () => restoreHistory(history.index - 1);
+  const redo = () => restoreHistory(history.index + 1);
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; inside a text field the
+  // keys are left to the browser's own text undo
+  useEffect(() => {
+    if (mode !== 'single') return;
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const { tagName, isContentEditable } = e.target;
+      if (isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      e.preventDefault();
+      const isRedo = key === 'y' || e.shiftKey;
+      restoreHistory(history.index + (isRedo ? 1 : -1));
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [mode, history.index, restoreHistory]);
+
+  // With exact arithmetic on, new states are kept in ℤ[1/√2, i] whenever they
+  // are recognizable there; with it off they are plain floats
+  const inArithmetic = (state, exact = exactArithmetic) => {
+    if (exact) return state.recognizeExact();
+    state.exact = null;
+    return state;
+  };
+
+  const toggleExactArithmetic = () => {
+    setExactArithmetic(!exactArithmetic);
+    setQubitState(inArithmetic(qubitState.clone(), !exactArithmetic));
+  };
+
+  const updateState = (newState) => {
+    inArithmetic(newState);
+    setQubitState(newState);
+    setMixedState(null);
+    setMeasurements(null);
+  };
+
+  // Inputs of the current mode, evaluated; shown as previews or inline errors
+  const evaluatedInputs = useMemo(() => stateFromInputs(inputMode, inputs), [inputMode, inputs]);
+
+  // Typing in a state input rebuilds the state from the fields of the current
+  // mode once they are valid, and rewrites the other modes' fields to match;
+  // until then the state is kept and the fields show what is wrong. Done in
+  // the change handler rather than an effect so that commitState below can
+  // write the inputs without re-deriving the state from them.
+  const updateInput = (field, text) => {
+    const typed = { ...inputs, [field]: text };
+    const { state } = stateFromInputs(inputMode, typed);
+    if (!state) {
+      setInputs(typed);
+      return;
+    }
+    const ownFields = Object.fromEntries(INPUT_MODES[inputMode].fields.map((f) => [f, typed[f]]));
+    const newInputs = { ...stateInputs(state, typed), ...ownFields };
+    setInputs(newInputs);
+    updateState(state);
+    pushHistory(localized('history.edit', { field: INPUT_FIELD_LABELS[field] }), { state, inputs: newInputs }, field);
+  };
+
+  // Replace the current state, mirror it in the amplitude inputs and record
+  // it in the undo history under label
+  const commitState = (newState, label, { coalesceKey, program } = {}) => {
+    inArithmetic(newState);
+    const newInputs = stateInputs(newState, inputs);
+    setQubitState(newState);
+    setInputs(newInputs);
+    setMixedState(null);
+    pushHistory(label, { state: newState, inputs: newInputs, program }, coalesceKey);
+  };
+
+  // A whole drag on the sphere is a single history entry
+  const dragState = (theta, phi, dragId) => {
+    commitState(stateFromBloch(theta, phi), localized('history.drag'), { coalesceKey: `drag-${dragId}` });
+  };
+
+  // Replace the current state by a mixed one. The amplitude inputs keep the
+  // last pure state, which editing them returns to.
+  const commitMixed = (newMixed, label) => {
+    setMixedState(newMixed);
+    setMeasurements(null);
+    pushHistory(label, {
+      state: qubitState,
+      inputs,
+      mixed: newMixed
+    });
+  };
+
+  // Replace everything a session holds: state, inputs and composer circuit
+  const loadSession = (session, label) => {
+    const snapshot = sessionSnapshot(session, () => ++eventIdRef.current);
+    inArithmetic(snapshot.state);
+    setQubitState(snapshot.state);
+    setInputs(snapshot.inputs);
+    setMixedState(snapshot.mixed);
+    setCircuit(snapshot.circuit);
+    setCircuitStep(snapshot.step);
+    setComposerActive(snapshot.composer);
+    setMeasurements(null);
+    pushHistory(label, { state: snapshot.state, inputs: snapshot.inputs, mixed: snapshot.mixed });
+  };
+
+  const session = useMemo(
+    () => createSession({ state: qubitState, mixed: mixedState, circuit, step: circuitStep, composer: composerActive }),
+    [qubitState, mixedState, circuit, circuitStep, composerActive]
+  );
+
+  // Keep the URL hash and the autosave in step with the session
+  useEffect(() => {
+    window.history.replaceState(null, '', `#${sessionToHash(session)}`);
+    writeStorage(AUTOSAVE_KEY, session);
+  }, [session]);
+
+  // replaceState does not fire hashchange, so this is a link pasted into the
+  // address bar or a history navigation: load that session as a new history
+  // entry, keeping everything else
+  const loadSessionRef = useRef(loadSession);
+  useEffect(() => {
+    loadSessionRef.current = loadSession;
+  });
+
+  useEffect(() => {
+    const onHashChange = () => {
+      try {
+        loadSessionRef.current(sessionFromHash(window.location.hash.slice(1)), localized('session.linkLabel'));
+        setSessionMessage({ error: false, text: localized('session.linkLoaded') });
+      } catch (e) {
+        setSessionMessage({ error: true, text: localized('session.invalidLink', { message: errorMessage(e) }) });
+      }
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  // The state gates and measurements act on: ρ when mixed, else the ket
+  const baseState = mixedState || qubitState;
+
+  // State after each step of the composer circuit, starting from baseState
+  const circuitStates = useMemo(() => {
+    const states = [baseState];
+    for (const gate of circuit) {
+      states.push(states[states.length - 1].clone().applyGate(gate.name, gate.params));
+    }
+    return states;
+  }, [baseState, circuit]);
+
+  // What the sphere, waves and state panels show: the selected composer step
+  // while composing, otherwise the qubit state itself
+  const viewedState = composerActive ? circuitStates[circuitStep] : baseState;
+  const viewedIsMixed = viewedState instanceof DensityMatrix;
+
+  // Amplitude-based panels show the dominant pure component of a mixed state;
+  // the sphere draws the actual (shorter) Bloch vector
+  const viewedPure = useMemo(
+    () => (viewedState instanceof DensityMatrix ? viewedState.principalState() : viewedState),
+    [viewedState]
+  );
+  const viewedMixedVector = useMemo(
+    () => (viewedState instanceof DensityMatrix ? viewedState.blochVector() : null),
+    [viewedState]
+  );
+  // Current state panel: global phase factored out so that α is real and
+  // non-negative, shown in closed form or as decimals
+  const factoredPure = useMemo(() => factorGlobalPhase(viewedPure), [viewedPure]);
+  const hasGlobalPhase = Math.abs(factoredPure.globalPhase) > 1e-9;
+  const formatAmplitudeDisplay = (c) => (exactDisplay ? formatExact(c, locale) : formatComplex(c, locale));
+  // An exact state whose factored amplitudes have no closed form is shown
+  // through its ring elements instead, without factoring the global phase
+  const showRingElements = exactDisplay && viewedPure.exact &&
+    !(recognizeComplex(factoredPure.alpha) && recognizeComplex(factoredPure.beta));
+  const ringDenominator = viewedPure.exact ? Math.max(viewedPure.exact.alpha.k, viewedPure.exact.beta.k) : 0;
+  const formatPhase = (angle) => (exactDisplay ? formatAngle(angle, locale) : `${formatNumber(angle * 180 / Math.PI, 1)}°`);
+  const viewedDensity = useMemo(
+    () => (viewedState instanceof DensityMatrix ? viewedState : DensityMatrix.fromQubitState(viewedState)),
+    [viewedState]
+  );
+
+  // Queue animations on the Bloch sphere for the state change being made
+  const pushTransitions = (newTransitions) => {
+    const withIds = newTransitions.map((transition) => ({ ...transition, id: ++eventIdRef.current }));
+    setSphereTransitions((current) => [...current, ...withIds].slice(-50));
+  };
+
+  // Move the composer view to another step, animating the gates in between
+  // (undoing them in reverse when stepping back)
+  const goToStep = (newStep) => {
+    if (newStep > circuitStep) {
+      pushTransitions(circuit.slice(circuitStep, newStep).map((g) => gateTransition(g.name, g.params)));
+    } else if (newStep < circuitStep) {
+      pushTransitions(circuit.slice(newStep, circuitStep).reverse().map((g) => {
+        const forward = gateTransition(g.name, g.params);
+        return { ...forward, angle: -forward.angle, label: `${forward.label}⁻¹` };
+      }));
+    }
+    setCircuitStep(newStep);
+  };
+
+  // Any edit of the circuit jumps the view to its final state
+  const editCircuit = (newCircuit) => {
+    setCircuit(newCircuit);
+    setCircuitStep(newCircuit.length);
+    setMeasurements(null);
+  };
+
+  const insertCircuitGate = (gate, index) => {
+    if (index === circuit.length && circuitStep === circuit.length) {
+      pushTransitions([gateTransition(gate.name, gate.params)]);
+    }
+    const newCircuit = [...circuit];
+    newCircuit.splice(index, 0, { id: ++eventIdRef.current, params: {}, ...gate });
+    editCircuit(newCircuit);
+  };
+
+  const moveCircuitGate = (from, to) => {
+    const newCircuit = [...circuit];
+    const [gate] = newCircuit.splice(from, 1);
+    newCircuit.splice(to, 0, gate);
+    editCircuit(newCircuit);
+  };
+
+  const removeCircuitGate = (index) => {
+    editCircuit(circuit.filter((_, i) => i !== index));
+  };
+
+  // Bake the whole circuit into the qubit state
+  const commitCircuit = () => {
+    const finalState = circuitStates[circuit.length];
+    const label = localized('history.circuit', { gates: gateSequenceLabel(circuit) });
+    if (finalState instanceof DensityMatrix) {
+      commitMixed(finalState, label);
+    } else {
+      commitState(finalState, label, { program: program && { ...program, gates: [...program.gates, ...circuit] } });
+    }
+    setCircuit([]);
+    setCircuitStep(0);
+    setMeasurements(null);
+  };
+
+  const applyGate = (gateName, params) => {
+    if (composerActive) {
+      insertCircuitGate({ name: gateName, params }, circuit.length);
+      return;
+    }
+    const label = localized('history.gate', { gate: (locale) => gateLabel({ name: gateName, params }, locale) });
+    pushTransitions([gateTransition(gateName, params)]);
+    if (mixedState) {
+      commitMixed(mixedState.clone().applyGate(gateName, params), label);
+      return;
+    }
+    const newState = qubitState.clone();
+    newState.applyGate(gateName, params);
+    commitState(newState, label, {
+      program: program && { ...program, gates: [...program.gates, { name: gateName, params: params || {} }] }
+    });
+    setMeasurements(null);
+  };
+
+  // Replay imported QASM gates from |0⟩, animated, or load them into the
+  // composer when it is active
+  const importQasm = (gates) => {
+    const start = new QubitState();
+    const label = localized('history.qasm', { count: gates.length });
+    if (composerActive) {
+      commitState(start, label);
+      editCircuit(gates.map((gate) => ({ id: ++eventIdRef.current, ...gate })));
+      return;
+    }
+    const finalState = gates.reduce((state, gate) => state.applyGate(gate.name, gate.params), start.clone());
+    pushTransitions([
+      { type: 'reset', to: start.toBlochCoordinates() },
+      ...gates.map((gate) => gateTransition(gate.name, gate.params))
+    ]);
+    commitState(finalState, label, { program: { start, gates } });
+    setMeasurements(null);
+  };
+
+  // Strength of the selected noise channel from the panel inputs: p directly,
+  // or derived from the duration t and T1/T2 for the damping channels
+  const noiseStrength = () => {
+    if (noiseChannel === 'amplitudeDamping' || noiseChannel === 'phaseDamping') {
+      const time = Number(noiseInputs.time);
+      const decayTime = Number(noiseInputs.decayTime);
+      if (!(time >= 0) || !(decayTime > 0)) return NaN;
+      return noiseChannel === 'amplitudeDamping'
+        ? 1 - Math.exp(-time / decayTime)
+        : 1 - Math.exp(-2 * time / decayTime);
+    }
+    const p = Number(noiseInputs.p);
+    return p >= 0 && p <= 1 ? p : NaN;
+  };
+
+  const applyNoise = () => {
+    const strength = noiseStrength();
+    if (Number.isNaN(strength)) {
+      setNoiseError(localized('noise.invalidParameters'));
+      return;
+    }
+    setNoiseError(null);
+    const channel = NOISE_CHANNELS[noiseChannel];
+    const rho = (mixedState || DensityMatrix.fromQubitState(qubitState)).clone();
+    commitMixed(rho.applyKraus(channel.kraus(strength)), localized('history.noise', {
+      channel: localized(channel.labelKey),
+      strength: decimal(strength, 3)
+    }));
+  };
 
-      // Draw superposition (combined wave)
-      ctx.strokeStyle = '#ff00ff';
-      ctx.lineWidth = 2;
-      ctx.setLineDash([5, 5]);
-      ctx.beginPath();
-      for (let x = 0; x < width; x++) {
-        const y0 = waveHeight * Math.sqrt(prob0) * Math.sin((x * 0.02) + time + phase0);
-        const y1 = waveHeight * Math.sqrt(prob1) * Math.sin((x * 0.02) + time + phase1);
-        const y = centerY - (y0 + y1) / 2;
-        if (x === 0) {
-          ctx.moveTo(x, y);
-        } else {
-          ctx.lineTo(x, y);
-        }
+  // Parametric gates read their angles from the gate panel inputs
+  const applyParametricGate = (gateName, angleNames) => {
+    const params = {};
+    for (const angleName of angleNames) {
+      const value = parseAngle(angleInputs[angleName], angleUnit);
+      if (Number.isNaN(value)) {
+        setAngleError(localized('gates.invalidAngle', { angle: angleName, text: angleInputs[angleName] }));
+        return;
       }
-      ctx.stroke();
-      ctx.setLineDash([]);
-
-      // Labels
-      ctx.font = 'bold 14px Space Mono, monospace';
-      ctx.fillStyle = '#a855f7';
-      ctx.fillText('|0⟩', 10, 30);
-      ctx.fillStyle = '#06b6d4';
-      ctx.fillText('|1⟩', 10, 50);
-      ctx.fillStyle = '#ff00ff';
-      ctx.fillText('Superposición', 10, 70);
-
-      // Center line
-      ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-      ctx.lineWidth = 1;
-      ctx.beginPath();
-      ctx.moveTo(0, centerY);
-      ctx.lineTo(width, centerY);
-      ctx.stroke();
+      params[angleName] = value;
+    }
+    setAngleError(null);
+    applyGate(gateName, params);
+  };
 
-      animationRef.current = requestAnimationFrame(draw);
-    };
+  // A measurement is a basis (MEASUREMENT_BASES entry or axisBasis) or a
+  // povmMeasurement.
 
-    draw();
+  // Non-destructive preview: outcome probabilities and post-measurement states
+  const previewMeasurement = (measurement) => {
+    setMeasurements({ measurement, ...measurementResults(viewedState, measurement) });
+  };
 
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
-    };
-  }, [qubitState]);
+  // Sample an outcome and replace the state by its post-measurement state,
+  // which a POVM on a mixed state leaves mixed
+  const collapseMeasurement = (measurement) => {
+    const { probabilities, postStates } = measurementResults(baseState, measurement);
+    const outcome = sampleOutcome(probabilities);
+    const newState = postStates[outcome];
+    const id = ++eventIdRef.current;
+    const label = localized('history.measurement', { measurement: measurement.label, outcome: measurement.outcomes[outcome] });
+    if (newState instanceof DensityMatrix) {
+      commitMixed(newState, label);
+    } else {
+      commitState(newState, label);
+    }
+    setMeasurements({ measurement, probabilities, postStates, outcome });
+    pushTransitions([{ type: 'collapse', to: blochVectorOf(newState) }]);
+    // Numbered from the newest entry, so the count goes on past the 20 kept
+    setMeasurementLog((log) => [
+      {
+        id,
+        number: (log[0]?.number ?? 0) + 1,
+        label: measurement.label,
+        outcome: measurement.outcomes[outcome],
+        probability: probabilities[outcome]
+      },
+      ...log
+    ].slice(0, 20));
+  };
 
-  return (
-    <canvas
-      ref={canvasRef}
-      width={600}
-      height={200}
-      className="w-full h-full"
-    />
-  );
-};
+  // Collapsing is disabled while composing: the view is a circuit step, not a
+  // state that can be overwritten
+  const performMeasurement = (measurement) => {
+    if (!measurement) return;
+    setMeasurementError(null);
+    if (measurementMode === 'collapse' && !composerActive) {
+      collapseMeasurement(measurement);
+    } else {
+      previewMeasurement(measurement);
+    }
+  };
 
-export default function QuantumCalculator() {
-  const [alphaRe, setAlphaRe] = useState('1');
-  const [alphaIm, setAlphaIm] = useState('0');
-  const [betaRe, setBetaRe] = useState('0');
-  const [betaIm, setBetaIm] = useState('0');
-  const [qubitState, setQubitState] = useState(new QubitState());
-  const [measurements, setMeasurements] = useState(null);
+  // The measurement set up in the axis or POVM controls, or null after
+  // reporting why it is invalid
+  const configuredMeasurement = (kind) => {
+    try {
+      if (kind === 'axis') return axisFromInputs(axisInputs);
+      return povmChoice === 'custom'
+        ? povmMeasurement(localized('povm.custom'), povmFromInputs(customPovm))
+        : povmMeasurement(localized(POVMS[povmChoice].labelKey), POVMS[povmChoice].elements);
+    } catch (error) {
+      setMeasurementError(errorMessage(error));
+      return null;
+    }
+  };
 
-  const updateState = () => {
-    const alpha = { re: parseFloat(alphaRe) || 0, im: parseFloat(alphaIm) || 0 };
-    const beta = { re: parseFloat(betaRe) || 0, im: parseFloat(betaIm) || 0 };
-    const newState = new QubitState(alpha, beta);
-    setQubitState(newState);
-    setMeasurements(null);
+  // Picking the axis on the sphere fills in θ and φ and previews the result
+  const pickAxis = (theta, phi) => {
+    setAxisInputs({
+      theta: formatInputNumber(theta * 180 / Math.PI, 1),
+      phi: formatInputNumber(phi * 180 / Math.PI, 1)
+    });
+    setPickingAxis(false);
+    setMeasurementError(null);
+    previewMeasurement(axisBasis(theta, phi));
   };
 
-  useEffect(() => {
-    updateState();
-  }, [alphaRe, alphaIm, betaRe, betaIm]);
+  const updateCustomPovm = (index, field, text) => {
+    setCustomPovm(customPovm.map((row, k) => (k === index ? { ...row, [field]: text } : row)));
+  };
 
-  const applyGate = (gateName) => {
-    const newState = qubitState.clone();
-    switch (gateName) {
-      case 'H':
-        newState.applyHadamard();
-        break;
-      case 'X':
-        newState.applyPauliX();
-        break;
-      case 'Y':
-        newState.applyPauliY();
-        break;
-      case 'Z':
-        newState.applyPauliZ();
-        break;
+  // Gates applied since the state was last set by other means, up to the
+  // composer step on view, and their product; null for mixed states
+  const accumulatedGates = useMemo(
+    () => program && [...program.gates, ...(composerActive ? circuit.slice(0, circuitStep) : [])],
+    [program, composerActive, circuit, circuitStep]
+  );
+  const accumulatedUnitary = useMemo(
+    () => accumulatedGates && unitaryOfGates(accumulatedGates),
+    [accumulatedGates]
+  );
+
+  // Replay the accumulated gates as the single rotation they amount to
+  const playAccumulatedUnitary = () => {
+    pushTransitions([
+      { type: 'reset', to: program.start.toBlochCoordinates() },
+      { type: 'rotation', label: 'U', color: GATE_STYLES.Custom.color, ...rotationOfUnitary(accumulatedUnitary) }
+    ]);
+  };
+
+  // The composer only holds named gates (sessions store it), so a custom
+  // matrix goes in as its U3 equivalent. label names the gate in the history.
+  const applyCustomGate = (matrix, label) => {
+    if (composerActive) {
+      const { theta, phi, lambda } = eulerZYZ(matrix);
+      applyGate('U3', { theta, phi, lambda });
+      return;
     }
-    setQubitState(newState);
-    setAlphaRe(newState.alpha.re.toFixed(4));
-    setAlphaIm(newState.alpha.im.toFixed(4));
-    setBetaRe(newState.beta.re.toFixed(4));
-    setBetaIm(newState.beta.im.toFixed(4));
-    setMeasurements(null);
+    applyGate('Custom', label ? { matrix, label } : { matrix });
   };
 
-  const performMeasurement = (basis) => {
-    let result;
-    switch (basis) {
-      case 'Z':
-        result = qubitState.measureZ();
-        setMeasurements({
-          basis: 'Z',
-          outcomes: ['|0⟩', '|1⟩'],
-          probabilities: [result.prob0, result.prob1]
-        });
-        break;
-      case 'X':
-        result = qubitState.measureX();
-        setMeasurements({
-          basis: 'X',
-          outcomes: ['|+⟩', '|-⟩'],
-          probabilities: [result.probPlus, result.probMinus]
-        });
-        break;
-      case 'Y':
-        result = qubitState.measureY();
-        setMeasurements({
-          basis: 'Y',
-          outcomes: ['|+i⟩', '|-i⟩'],
-          probabilities: [result.probPlusI, result.probMinusI]
-        });
-        break;
+  // Time evolution of one system is a unitary; that of an ensemble with
+  // spread detunings leaves the mixed state of its average Bloch vector
+  const applyEvolution = ({ matrix, vector, label }) => {
+    if (matrix) {
+      applyCustomGate(matrix, label);
+      return;
     }
+    commitMixed(DensityMatrix.fromBlochVector(vector), label);
   };
 
-  const formatComplex = (c) => {
-    if (Math.abs(c.im) < 0.0001) return c.re.toFixed(3);
-    if (Math.abs(c.re) < 0.0001) return `${c.im.toFixed(3)}i`;
-    const sign = c.im >= 0 ? '+' : '';
-    return `${c.re.toFixed(3)}${sign}${c.im.toFixed(3)}i`;
+  // Synthesized sequences and time evolution act after the whole composer
+  // circuit, or on the current state
+  const circuitEndState = composerActive ? circuitStates[circuit.length] : baseState;
+
+  // Apply a synthesized sequence: appended to the composer circuit when it is
+  // active, otherwise played gate by gate and committed as one history entry
+  const applySequence = (names) => {
+    const gates = names.map((name) => ({ name, params: {} }));
+    if (composerActive) {
+      if (circuitStep === circuit.length) {
+        pushTransitions(gates.map((g) => gateTransition(g.name, g.params)));
+      }
+      editCircuit([...circuit, ...gates.map((g) => ({ id: ++eventIdRef.current, ...g }))]);
+      return;
+    }
+    const finalState = gates.reduce((state, g) => state.applyGate(g.name, g.params), qubitState.clone());
+    pushTransitions(gates.map((g) => gateTransition(g.name, g.params)));
+    commitState(finalState, localized('history.synthesis', { gates: gateSequenceLabel(gates) }), {
+      program: program && { ...program, gates: [...program.gates, ...gates] }
+    });
+    setMeasurements(null);
   };
 
-  const coords = qubitState.toBlochCoordinates();
+  // Axis being picked, or the directions of the measurement shown; plus the
+  // rotation axis of the accumulated unitary when asked for
+  const sphereDirections = useMemo(() => {
+    const unitaryAxis = [];
+    if (showUnitaryAxis && accumulatedUnitary) {
+      const { axis, angle } = rotationOfUnitary(accumulatedUnitary);
+      if (angle > 1e-9) {
+        unitaryAxis.push({ ...axis, label: t('sphere.unitaryAxis', { angle: formatAngle(angle, locale) }), color: GATE_STYLES.Custom.color });
+        unitaryAxis.push({ x: -axis.x, y: -axis.y, z: -axis.z, label: '', color: GATE_STYLES.Custom.color });
+      }
+    }
+    let shown = NO_DIRECTIONS;
+    if (pickingAxis) {
+      try {
+        shown = measurementDirections(axisFromInputs(axisInputs));
+      } catch {
+        shown = NO_DIRECTIONS;
+      }
+    } else if (measurements) {
+      shown = measurementDirections(measurements.measurement);
+    }
+    return unitaryAxis.length > 0 ? [...shown, ...unitaryAxis] : shown;
+  }, [pickingAxis, axisInputs, measurements, showUnitaryAxis, accumulatedUnitary, t, locale]);
+
+  // The reference state, drawn next to the viewed one
+  const sphereReference = useMemo(
+    () => (referenceState ? { ...blochVectorOf(referenceState), label: 'ref', color: REFERENCE_COLOR } : null),
+    [referenceState]
+  );
+
+  const coords = useMemo(
+    () => viewedMixedVector || viewedPure.toBlochCoordinates(),
+    [viewedMixedVector, viewedPure]
+  );
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-950 via-blue-950 to-indigo-950 text-white p-8 font-['Space_Mono',monospace]">
@@ -541,367 +6281,1060 @@ export default function QuantumCalculator() {
           <h1 className="text-5xl font-bold mb-2 bg-gradient-to-r from-cyan-400 via-purple-400 to-pink-400 bg-clip-text text-transparent">
             QUANTUM CALCULATOR
           </h1>
-          <p className="text-cyan-300/70 text-sm tracking-widest">ESFERA DE BLOCH · PUERTAS CUÁNTICAS · MEDICIONES</p>
+          <p className="text-cyan-300/70 text-sm tracking-widest">{t('header.subtitle')}</p>
+          <div className="mt-4 flex justify-center gap-3">
+            <div className="inline-flex rounded-lg border border-cyan-500/30 overflow-hidden text-sm">
+              {[
+                { id: 'single', label: t('header.singleQubit') },
+                { id: 'multi', label: t('header.multiQubit') }
+              ].map(({ id, label }) => (
+                <button
+                  key={id}
+                  onClick={() => setMode(id)}
+                  className={`px-4 py-2 transition ${
+                    mode === id ? 'bg-cyan-600/40 text-white' : 'bg-slate-900/50 text-gray-400 hover:text-white'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div className="inline-flex rounded-lg border border-cyan-500/30 overflow-hidden text-sm" title={t('header.language')}>
+              {Object.keys(LOCALES).map((id) => (
+                <button
+                  key={id}
+                  onClick={() => onLocaleChange(id)}
+                  lang={id}
+                  className={`px-3 py-2 uppercase transition ${
+                    locale === id ? 'bg-cyan-600/40 text-white' : 'bg-slate-900/50 text-gray-400 hover:text-white'
+                  }`}
+                >
+                  {id}
+                </button>
+              ))}
+            </div>
+          </div>
         </div>
 
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-          {/* Left panel - Controls */}
-          <div className="space-y-6">
-            {/* State Input */}
-            <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
-              <h2 className="text-xl font-bold mb-4 text-cyan-400">ESTADO DEL QUBIT</h2>
-              <div className="text-sm mb-4 text-gray-400">|ψ⟩ = α|0⟩ + β|1⟩</div>
+        {mode === 'multi' ? (
+          <MultiQubitLab />
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            {/* Left panel - Controls */}
+            <div className="space-y-6">
+              {/* State Input */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
+                <h2 className="text-xl font-bold mb-4 text-cyan-400">{t('panel.qubitState')}</h2>
+                <div className="text-sm mb-4 text-gray-400">|ψ⟩ = α|0⟩ + β|1⟩</div>
+                {mixedState && (
+                  <div className="text-xs mb-4 p-3 rounded bg-amber-500/10 border border-amber-400/30 text-amber-200">
+                    {t('input.mixedNotice', { purity: formatNumber(mixedState.purity(), 3) })}
+                  </div>
+                )}
+
+                <div className="grid grid-cols-3 gap-2 mb-4 text-xs">
+                  {Object.entries(INPUT_MODES).map(([key, { labelKey }]) => (
+                    <button
+                      key={key}
+                      onClick={() => setInputMode(key)}
+                      className={`py-2 px-2 rounded-lg border transition-all ${
+                        inputMode === key
+                          ? 'bg-cyan-600/40 border-cyan-400 text-white'
+                          : 'bg-slate-800/60 border-slate-600 text-gray-400 hover:border-cyan-500/50'
+                      }`}
+                    >
+                      {t(labelKey)}
+                    </button>
+                  ))}
+                </div>
 
-              <div className="space-y-4">
-                <div>
-                  <label className="block text-sm mb-2 text-purple-300">Amplitud α (coeficiente de |0⟩)</label>
-                  <div className="grid grid-cols-2 gap-3">
-                    <div>
-                      <input
-                        type="number"
-                        step="0.1"
-                        value={alphaRe}
-                        onChange={(e) => setAlphaRe(e.target.value)}
-                        className="w-full bg-slate-800/80 border border-purple-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-purple-400 transition"
-                        placeholder="Real"
-                      />
-                      <span className="text-xs text-gray-500 mt-1 block">Parte real</span>
+                <div className="space-y-4">
+                  {inputMode === 'amplitudes' && [
+                    {
+                      field: 'alpha',
+                      label: t('input.alpha'),
+                      labelClass: 'text-purple-300',
+                      borderClass: 'border-purple-500/40 focus:border-purple-400',
+                      placeholder: '1/sqrt(2)'
+                    },
+                    {
+                      field: 'beta',
+                      label: t('input.beta'),
+                      labelClass: 'text-pink-300',
+                      borderClass: 'border-pink-500/40 focus:border-pink-400',
+                      placeholder: 'e^(i*pi/4)/sqrt(2)'
+                    }
+                  ].map(({ field, label, labelClass, borderClass, placeholder }) => {
+                    const value = evaluatedInputs.values[field];
+                    const error = evaluatedInputs.errors[field];
+                    return (
+                      <div key={field}>
+                        <label className={`block text-sm mb-2 ${labelClass}`}>{label}</label>
+                        <input
+                          type="text"
+                          value={inputs[field]}
+                          onChange={(e) => updateInput(field, e.target.value)}
+                          spellCheck={false}
+                          className={`w-full bg-slate-800/80 border rounded px-3 py-2 font-mono text-white focus:outline-none transition ${
+                            error ? 'border-red-500/70 focus:border-red-400' : borderClass
+                          }`}
+                          placeholder={placeholder}
+                        />
+                        <span className={`text-xs mt-1 block font-mono ${error ? 'text-red-400' : 'text-gray-500'}`}>
+                          {error ? textOf(error) : `= ${formatComplex(value, locale)}  (|${INPUT_FIELD_LABELS[field]}| = ${formatNumber(cAbs(value), 3)}, arg = ${formatNumber(Math.atan2(value.im, value.re) * 180 / Math.PI, 1)}°)`}
+                        </span>
+                      </div>
+                    );
+                  })}
+
+                  {inputMode === 'angles' && [
+                    { field: 'theta', label: t('input.theta'), max: 180 },
+                    { field: 'phi', label: t('input.phi'), max: 360 }
+                  ].map(({ field, label, max }) => {
+                    const value = evaluatedInputs.values[field];
+                    const error = evaluatedInputs.errors[field];
+                    const sliderValue = !Number.isFinite(value) ? 0
+                      : field === 'phi' ? ((value % 360) + 360) % 360
+                        : Math.min(max, Math.max(0, value));
+                    const phiUndefined = field === 'phi' && evaluatedInputs.state !== null && isPole(evaluatedInputs.state);
+                    return (
+                      <div key={field}>
+                        <label className="block text-sm mb-2 text-purple-300">{label}</label>
+                        <div className="flex items-center gap-3">
+                          <input
+                            type="range"
+                            min={0}
+                            max={max}
+                            step={0.5}
+                            value={sliderValue}
+                            disabled={phiUndefined}
+                            onChange={(e) => updateInput(field, e.target.value)}
+                            className="flex-1 accent-purple-400 disabled:opacity-40"
+                          />
+                          <input
+                            type="text"
+                            value={inputs[field]}
+                            onChange={(e) => updateInput(field, e.target.value)}
+                            spellCheck={false}
+                            className={`w-24 bg-slate-800/80 border rounded px-3 py-2 font-mono text-white focus:outline-none transition ${
+                              error ? 'border-red-500/70 focus:border-red-400' : 'border-purple-500/40 focus:border-purple-400'
+                            }`}
+                          />
+                        </div>
+                        {error && <span className="text-xs mt-1 block font-mono text-red-400">{textOf(error)}</span>}
+                      </div>
+                    );
+                  })}
+
+                  {inputMode === 'vector' && (
+                    <div className="grid grid-cols-3 gap-3">
+                      {INPUT_MODES.vector.fields.map((field) => {
+                        const error = evaluatedInputs.errors[field];
+                        return (
+                          <div key={field}>
+                            <input
+                              type="text"
+                              value={inputs[field]}
+                              onChange={(e) => updateInput(field, e.target.value)}
+                              spellCheck={false}
+                              className={`w-full bg-slate-800/80 border rounded px-3 py-2 font-mono text-white focus:outline-none transition ${
+                                error ? 'border-red-500/70 focus:border-red-400' : 'border-purple-500/40 focus:border-purple-400'
+                              }`}
+                            />
+                            <span className={`text-xs mt-1 block font-mono ${error ? 'text-red-400' : 'text-gray-500'}`}>
+                              {error ? textOf(error) : field}
+                            </span>
+                          </div>
+                        );
+                      })}
                     </div>
-                    <div>
-                      <input
-                        type="number"
-                        step="0.1"
-                        value={alphaIm}
-                        onChange={(e) => setAlphaIm(e.target.value)}
-                        className="w-full bg-slate-800/80 border border-purple-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-purple-400 transition"
-                        placeholder="Imaginaria"
-                      />
-                      <span className="text-xs text-gray-500 mt-1 block">Parte imaginaria</span>
+                  )}
+
+                  {evaluatedInputs.notice && (
+                    <div
+                      className={`text-xs p-3 rounded border ${
+                        evaluatedInputs.notice.warning
+                          ? 'bg-amber-500/10 border-amber-400/30 text-amber-200'
+                          : 'bg-cyan-500/10 border-cyan-400/30 text-cyan-200'
+                      }`}
+                    >
+                      {textOf(evaluatedInputs.notice.text)}
                     </div>
+                  )}
+                  <div className="text-xs text-gray-500">
+                    {inputMode === 'amplitudes' ? t('input.complexHint') : t('input.realHint')}
                   </div>
                 </div>
+              </div>
 
-                <div>
-                  <label className="block text-sm mb-2 text-pink-300">Amplitud β (coeficiente de |1⟩)</label>
-                  <div className="grid grid-cols-2 gap-3">
-                    <div>
-                      <input
-                        type="number"
-                        step="0.1"
-                        value={betaRe}
-                        onChange={(e) => setBetaRe(e.target.value)}
-                        className="w-full bg-slate-800/80 border border-pink-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-pink-400 transition"
-                        placeholder="Real"
-                      />
-                      <span className="text-xs text-gray-500 mt-1 block">Parte real</span>
+              {/* Quantum Gates */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
+                <h2 className="text-xl font-bold mb-4 text-cyan-400">{t('panel.gates')}</h2>
+                <div className="grid grid-cols-2 gap-3">
+                  <button
+                    onClick={() => applyGate('H')}
+                    className="bg-gradient-to-r from-purple-600 to-purple-700 hover:from-purple-500 hover:to-purple-600 py-3 px-4 rounded-lg font-bold transition-all transform hover:scale-105 shadow-lg shadow-purple-500/30"
+                  >
+                    H
+                    <span className="block text-xs font-normal mt-1">Hadamard</span>
+                  </button>
+                  <button
+                    onClick={() => applyGate('X')}
+                    className="bg-gradient-to-r from-red-600 to-red-700 hover:from-red-500 hover:to-red-600 py-3 px-4 rounded-lg font-bold transition-all transform hover:scale-105 shadow-lg shadow-red-500/30"
+                  >
+                    X
+                    <span className="block text-xs font-normal mt-1">Pauli-X</span>
+                  </button>
+                  <button
+                    onClick={() => applyGate('Y')}
+                    className="bg-gradient-to-r from-green-600 to-green-700 hover:from-green-500 hover:to-green-600 py-3 px-4 rounded-lg font-bold transition-all transform hover:scale-105 shadow-lg shadow-green-500/30"
+                  >
+                    Y
+                    <span className="block text-xs font-normal mt-1">Pauli-Y</span>
+                  </button>
+                  <button
+                    onClick={() => applyGate('Z')}
+                    className="bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-500 hover:to-blue-600 py-3 px-4 rounded-lg font-bold transition-all transform hover:scale-105 shadow-lg shadow-blue-500/30"
+                  >
+                    Z
+                    <span className="block text-xs font-normal mt-1">Pauli-Z</span>
+                  </button>
+                </div>
+
+                <div className="grid grid-cols-4 gap-3 mt-3">
+                  {[
+                    { name: 'S', label: 'S', description: t('gates.phase', { angle: 'π/2' }) },
+                    { name: 'Sdg', label: 'S†', description: t('gates.phase', { angle: '-π/2' }) },
+                    { name: 'T', label: 'T', description: t('gates.phase', { angle: 'π/4' }) },
+                    { name: 'Tdg', label: 'T†', description: t('gates.phase', { angle: '-π/4' }) }
+                  ].map(({ name, label, description }) => (
+                    <button
+                      key={name}
+                      onClick={() => applyGate(name)}
+                      className="bg-gradient-to-r from-indigo-600 to-indigo-700 hover:from-indigo-500 hover:to-indigo-600 py-2 px-3 rounded-lg font-bold transition-all transform hover:scale-105 shadow-lg shadow-indigo-500/30"
+                    >
+                      {label}
+                      <span className="block text-xs font-normal mt-1">{description}</span>
+                    </button>
+                  ))}
+                </div>
+
+                {/* Parametric gates */}
+                <div className="mt-4 pt-4 border-t border-slate-700">
+                  <div className="flex items-center justify-between mb-3">
+                    <span className="text-sm text-cyan-300">{t('gates.parametric')}</span>
+                    <select
+                      value={angleUnit}
+                      onChange={(e) => setAngleUnit(e.target.value)}
+                      className="bg-slate-800/80 border border-cyan-500/40 rounded px-2 py-1 text-xs text-white focus:outline-none focus:border-cyan-400"
+                    >
+                      <option value="deg">{t('gates.degrees')}</option>
+                      <option value="pi">{t('gates.piMultiples')}</option>
+                    </select>
+                  </div>
+                  <div className="grid grid-cols-3 gap-3">
+                    {[
+                      { name: 'theta', label: 'θ' },
+                      { name: 'phi', label: 'φ' },
+                      { name: 'lambda', label: 'λ' }
+                    ].map(({ name, label }) => (
+                      <div key={name}>
+                        <input
+                          type="text"
+                          value={angleInputs[name]}
+                          onChange={(e) => setAngleInputs({ ...angleInputs, [name]: e.target.value })}
+                          className="w-full bg-slate-800/80 border border-cyan-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-cyan-400 transition"
+                          placeholder={angleUnit === 'pi' ? '1/4' : '45'}
+                        />
+                        <span className="text-xs text-gray-500 mt-1 block">
+                          {label} {angleUnit === 'pi' ? '(×π)' : '(°)'}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-5 gap-2 mt-3">
+                    {[
+                      { name: 'Rx', label: 'Rx(θ)', angles: GATE_PARAMS.Rx },
+                      { name: 'Ry', label: 'Ry(θ)', angles: GATE_PARAMS.Ry },
+                      { name: 'Rz', label: 'Rz(θ)', angles: GATE_PARAMS.Rz },
+                      { name: 'P', label: 'P(λ)', angles: GATE_PARAMS.P },
+                      { name: 'U3', label: 'U3', angles: GATE_PARAMS.U3 }
+                    ].map(({ name, label, angles }) => (
+                      <button
+                        key={name}
+                        onClick={() => applyParametricGate(name, angles)}
+                        className="bg-gradient-to-r from-cyan-600 to-cyan-700 hover:from-cyan-500 hover:to-cyan-600 py-2 px-2 rounded-lg text-sm font-bold transition-all transform hover:scale-105 shadow-lg shadow-cyan-500/30"
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  {angleError && (
+                    <div className="mt-2 text-xs text-red-400">{textOf(angleError)}</div>
+                  )}
+                </div>
+
+                {/* Noise channels */}
+                <div className="mt-4 pt-4 border-t border-slate-700">
+                  <span className="text-sm text-amber-300 block mb-3">{t('noise.channels')}</span>
+                  <select
+                    value={noiseChannel}
+                    onChange={(e) => setNoiseChannel(e.target.value)}
+                    className="w-full bg-slate-800/80 border border-amber-500/40 rounded px-3 py-2 text-white text-sm focus:outline-none focus:border-amber-400 mb-3"
+                  >
+                    {Object.entries(NOISE_CHANNELS).map(([id, channel]) => (
+                      <option key={id} value={id}>{t(channel.labelKey)}</option>
+                    ))}
+                  </select>
+                  {noiseChannel === 'amplitudeDamping' || noiseChannel === 'phaseDamping' ? (
+                    <div className="grid grid-cols-2 gap-3">
+                      <div>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.1"
+                          value={noiseInputs.time}
+                          onChange={(e) => setNoiseInputs({ ...noiseInputs, time: e.target.value })}
+                          className="w-full bg-slate-800/80 border border-amber-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-amber-400 transition"
+                        />
+                        <span className="text-xs text-gray-500 mt-1 block">{t('noise.duration')}</span>
+                      </div>
+                      <div>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.1"
+                          value={noiseInputs.decayTime}
+                          onChange={(e) => setNoiseInputs({ ...noiseInputs, decayTime: e.target.value })}
+                          className="w-full bg-slate-800/80 border border-amber-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-amber-400 transition"
+                        />
+                        <span className="text-xs text-gray-500 mt-1 block">
+                          {t('noise.decayTime', { name: noiseChannel === 'amplitudeDamping' ? 'T1' : 'T2' })}
+                        </span>
+                      </div>
                     </div>
+                  ) : (
                     <div>
                       <input
                         type="number"
-                        step="0.1"
-                        value={betaIm}
-                        onChange={(e) => setBetaIm(e.target.value)}
-                        className="w-full bg-slate-800/80 border border-pink-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-pink-400 transition"
-                        placeholder="Imaginaria"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={noiseInputs.p}
+                        onChange={(e) => setNoiseInputs({ ...noiseInputs, p: e.target.value })}
+                        className="w-full bg-slate-800/80 border border-amber-500/40 rounded px-3 py-2 text-white focus:outline-none focus:border-amber-400 transition"
                       />
-                      <span className="text-xs text-gray-500 mt-1 block">Parte imaginaria</span>
+                      <span className="text-xs text-gray-500 mt-1 block">{t('noise.probability')}</span>
                     </div>
-                  </div>
+                  )}
+                  <button
+                    onClick={applyNoise}
+                    disabled={composerActive}
+                    title={composerActive ? t('noise.composerActive') : undefined}
+                    className="w-full mt-3 bg-gradient-to-r from-amber-600 to-amber-700 hover:from-amber-500 hover:to-amber-600 disabled:opacity-40 py-2 px-4 rounded-lg font-bold transition-all shadow-lg shadow-amber-500/30"
+                  >
+                    {t('noise.apply')}
+                  </button>
+                  {noiseError && (
+                    <div className="mt-2 text-xs text-red-400">{textOf(noiseError)}</div>
+                  )}
                 </div>
               </div>
-            </div>
 
-            {/* Quantum Gates */}
-            <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
-              <h2 className="text-xl font-bold mb-4 text-cyan-400">PUERTAS CUÁNTICAS</h2>
-              <div className="grid grid-cols-2 gap-3">
-                <button
-                  onClick={() => applyGate('H')}
-                  className="bg-gradient-to-r from-purple-600 to-purple-700 hover:from-purple-500 hover:to-purple-600 py-3 px-4 rounded-lg font-bold transition-all transform hover:scale-105 shadow-lg shadow-purple-500/30"
-                >
-                  H
-                  <span className="block text-xs font-normal mt-1">Hadamard</span>
-                </button>
-                <button
-                  onClick={() => applyGate('X')}
-                  className="bg-gradient-to-r from-red-600 to-red-700 hover:from-red-500 hover:to-red-600 py-3 px-4 rounded-lg font-bold transition-all transform hover:scale-105 shadow-lg shadow-red-500/30"
-                >
-                  X
-                  <span className="block text-xs font-normal mt-1">Pauli-X</span>
-                </button>
-                <button
-                  onClick={() => applyGate('Y')}
-                  className="bg-gradient-to-r from-green-600 to-green-700 hover:from-green-500 hover:to-green-600 py-3 px-4 rounded-lg font-bold transition-all transform hover:scale-105 shadow-lg shadow-green-500/30"
-                >
-                  Y
-                  <span className="block text-xs font-normal mt-1">Pauli-Y</span>
-                </button>
-                <button
-                  onClick={() => applyGate('Z')}
-                  className="bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-500 hover:to-blue-600 py-3 px-4 rounded-lg font-bold transition-all transform hover:scale-105 shadow-lg shadow-blue-500/30"
-                >
-                  Z
-                  <span className="block text-xs font-normal mt-1">Pauli-Z</span>
-                </button>
+              {/* Circuit composer */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-xl font-bold text-cyan-400">{t('panel.composer')}</h2>
+                  <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={composerActive}
+                      onChange={(e) => setComposerActive(e.target.checked)}
+                      className="accent-cyan-400"
+                    />
+                    {t('composer.active')}
+                  </label>
+                </div>
+                {composerActive ? (
+                  <CircuitComposer
+                    circuit={circuit}
+                    step={circuitStep}
+                    onStepChange={goToStep}
+                    onInsert={insertCircuitGate}
+                    onMove={moveCircuitGate}
+                    onRemove={removeCircuitGate}
+                    onClear={() => editCircuit([])}
+                    onCommit={commitCircuit}
+                  />
+                ) : (
+                  <div className="text-xs text-gray-500">
+                    {t('composer.inactiveHint')}
+                  </div>
+                )}
               </div>
-            </div>
 
-            {/* Measurements */}
-            <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
-              <h2 className="text-xl font-bold mb-4 text-cyan-400">MEDICIONES</h2>
-              <div className="grid grid-cols-3 gap-3 mb-4">
-                <button
-                  onClick={() => performMeasurement('Z')}
-                  className="bg-blue-600/80 hover:bg-blue-500 py-3 px-4 rounded-lg font-bold transition-all shadow-lg"
-                >
-                  Medir Z
-                </button>
-                <button
-                  onClick={() => performMeasurement('X')}
-                  className="bg-red-600/80 hover:bg-red-500 py-3 px-4 rounded-lg font-bold transition-all shadow-lg"
-                >
-                  Medir X
-                </button>
-                <button
-                  onClick={() => performMeasurement('Y')}
-                  className="bg-green-600/80 hover:bg-green-500 py-3 px-4 rounded-lg font-bold transition-all shadow-lg"
-                >
-                  Medir Y
-                </button>
+              {/* OpenQASM import/export */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
+                <h2 className="text-xl font-bold mb-4 text-cyan-400">OPENQASM</h2>
+                <QasmPanel
+                  program={program && { ...program, gates: composerActive ? [...program.gates, ...circuit] : program.gates }}
+                  onImport={importQasm}
+                />
               </div>
 
-              {measurements && (
-                <div className="bg-slate-800/60 rounded-lg p-4 border border-cyan-400/30">
-                  <div className="text-sm font-bold mb-3 text-cyan-300">
-                    Probabilidades en base {measurements.basis}:
-                  </div>
-                  {measurements.outcomes.map((outcome, idx) => (
-                    <div key={idx} className="mb-2">
-                      <div className="flex justify-between text-sm mb-1">
-                        <span>{outcome}</span>
-                        <span className="text-purple-300">
-                          {(measurements.probabilities[idx] * 100).toFixed(2)}%
-                        </span>
-                      </div>
-                      <div className="w-full bg-slate-700 rounded-full h-2">
-                        <div
-                          className="bg-gradient-to-r from-purple-500 to-pink-500 h-2 rounded-full transition-all duration-500"
-                          style={{ width: `${measurements.probabilities[idx] * 100}%` }}
-                        />
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
+              {/* Accumulated unitary */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
+                <h2 className="text-xl font-bold mb-4 text-cyan-400">{t('panel.unitary')}</h2>
+                <UnitaryPanel
+                  gates={accumulatedGates}
+                  unitary={accumulatedUnitary}
+                  formatEntry={formatAmplitudeDisplay}
+                  formatAngleValue={formatPhase}
+                  showAxis={showUnitaryAxis}
+                  onShowAxisChange={setShowUnitaryAxis}
+                  onPlay={playAccumulatedUnitary}
+                  onApply={applyCustomGate}
+                />
+              </div>
 
-            {/* Current State Display */}
-            <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
-              <h2 className="text-xl font-bold mb-4 text-cyan-400">ESTADO ACTUAL</h2>
-              <div className="space-y-2 text-sm font-mono">
-                <div className="text-purple-300">
-                  |ψ⟩ = ({formatComplex(qubitState.alpha)})|0⟩ + ({formatComplex(qubitState.beta)})|1⟩
+              {/* Gate-sequence synthesis */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
+                <h2 className="text-xl font-bold mb-4 text-cyan-400">{t('panel.synthesis')}</h2>
+                <SynthesisPanel
+                  start={circuitEndState instanceof DensityMatrix ? null : circuitEndState}
+                  reference={referenceState instanceof DensityMatrix ? null : referenceState}
+                  targetChoice={synthesisTarget}
+                  onTargetChoiceChange={setSynthesisTarget}
+                  onPlay={applySequence}
+                />
+              </div>
+
+              {/* Time evolution */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
+                <h2 className="text-xl font-bold mb-4 text-cyan-400">{t('panel.evolution')}</h2>
+                <EvolutionPanel start={circuitEndState} allowMixed={!composerActive} onApply={applyEvolution} />
+              </div>
+
+              {/* Measurements */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
+                <h2 className="text-xl font-bold mb-4 text-cyan-400">{t('panel.measurements')}</h2>
+                <div className="grid grid-cols-2 gap-2 mb-3 text-xs">
+                  {[
+                    { mode: 'preview', label: t('measurement.preview') },
+                    { mode: 'collapse', label: t('measurement.collapse') }
+                  ].map(({ mode, label }) => (
+                    <button
+                      key={mode}
+                      onClick={() => setMeasurementMode(mode)}
+                      disabled={mode === 'collapse' && composerActive}
+                      title={mode === 'collapse' && composerActive ? t('noise.composerActive') : undefined}
+                      className={`py-2 px-3 rounded-lg border transition-all disabled:opacity-40 ${
+                        measurementMode === mode && !(mode === 'collapse' && composerActive)
+                          ? 'bg-cyan-600/40 border-cyan-400 text-white'
+                          : 'bg-slate-800/60 border-slate-600 text-gray-400 hover:border-cyan-500/50'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
                 </div>
-                <div className="text-gray-400 text-xs pt-3 border-t border-slate-700">
-                  <div>Coordenadas Bloch:</div>
-                  <div className="mt-1">x = {coords.x.toFixed(3)}</div>
-                  <div>y = {coords.y.toFixed(3)}</div>
-                  <div>z = {coords.z.toFixed(3)}</div>
+                <div className="grid grid-cols-3 gap-3 mb-4">
+                  <button
+                    onClick={() => performMeasurement(MEASUREMENT_BASES.Z)}
+                    className="bg-blue-600/80 hover:bg-blue-500 py-3 px-4 rounded-lg font-bold transition-all shadow-lg"
+                  >
+                    {t('measurement.measure', { basis: 'Z' })}
+                  </button>
+                  <button
+                    onClick={() => performMeasurement(MEASUREMENT_BASES.X)}
+                    className="bg-red-600/80 hover:bg-red-500 py-3 px-4 rounded-lg font-bold transition-all shadow-lg"
+                  >
+                    {t('measurement.measure', { basis: 'X' })}
+                  </button>
+                  <button
+                    onClick={() => performMeasurement(MEASUREMENT_BASES.Y)}
+                    className="bg-green-600/80 hover:bg-green-500 py-3 px-4 rounded-lg font-bold transition-all shadow-lg"
+                  >
+                    {t('measurement.measure', { basis: 'Y' })}
+                  </button>
                 </div>
-              </div>
-            </div>
 
-            {/* Superposition Visualization */}
-            <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
-              <h2 className="text-xl font-bold mb-4 text-cyan-400">VISUALIZACIÓN DE SUPERPOSICIÓN</h2>
-
-              {/* Probability amplitudes */}
-              <div className="space-y-4">
-                <div>
-                  <div className="flex items-center justify-between mb-2">
-                    <span className="text-sm text-purple-300 font-bold">Estado |0⟩</span>
-                    <span className="text-xs text-gray-400">
-                      P = {((qubitState.alpha.re ** 2 + qubitState.alpha.im ** 2) * 100).toFixed(1)}%
-                    </span>
+                {/* Arbitrary axis */}
+                <div className="mb-4 pt-3 border-t border-slate-700">
+                  <span className="text-sm text-cyan-300 block mb-2">{t('measurement.axis')}</span>
+                  <div className="grid grid-cols-4 gap-2">
+                    {[
+                      { name: 'theta', label: 'θ (°)' },
+                      { name: 'phi', label: 'φ (°)' }
+                    ].map(({ name, label }) => (
+                      <div key={name}>
+                        <input
+                          type="text"
+                          value={axisInputs[name]}
+                          onChange={(e) => setAxisInputs({ ...axisInputs, [name]: e.target.value })}
+                          className="w-full bg-slate-800/80 border border-orange-500/40 rounded px-3 py-2 text-white text-sm focus:outline-none focus:border-orange-400 transition"
+                        />
+                        <span className="text-xs text-gray-500 mt-1 block">{label}</span>
+                      </div>
+                    ))}
+                    <button
+                      onClick={() => performMeasurement(configuredMeasurement('axis'))}
+                      className="h-10 bg-orange-600/80 hover:bg-orange-500 rounded-lg text-sm font-bold transition-all shadow-lg"
+                    >
+                      {t('measurement.measure', { basis: 'n̂' })}
+                    </button>
+                    <button
+                      onClick={() => setPickingAxis(!pickingAxis)}
+                      title={t('measurement.pickHint')}
+                      className={`h-10 rounded-lg text-xs border transition ${
+                        pickingAxis
+                          ? 'bg-orange-600/40 border-orange-400 text-white'
+                          : 'bg-slate-800/60 border-slate-600 text-gray-400 hover:border-orange-500/50'
+                      }`}
+                    >
+                      {pickingAxis ? t('measurement.picking') : t('measurement.pick')}
+                    </button>
                   </div>
+                </div>
 
-                  {/* Amplitude bars */}
-                  <div className="space-y-2">
-                    <div>
-                      <div className="flex justify-between text-xs text-gray-500 mb-1">
-                        <span>Real: {qubitState.alpha.re.toFixed(3)}</span>
-                        <span>|α|² = {(qubitState.alpha.re ** 2 + qubitState.alpha.im ** 2).toFixed(3)}</span>
+                {/* POVMs */}
+                <div className="mb-4 pt-3 border-t border-slate-700">
+                  <span className="text-sm text-cyan-300 block mb-2">POVM</span>
+                  <div className="flex gap-2">
+                    <select
+                      value={povmChoice}
+                      onChange={(e) => setPovmChoice(e.target.value)}
+                      className="flex-1 bg-slate-800/80 border border-orange-500/40 rounded px-3 py-2 text-white text-sm focus:outline-none focus:border-orange-400"
+                    >
+                      {Object.entries(POVMS).map(([id, povm]) => (
+                        <option key={id} value={id}>{t(povm.labelKey)}</option>
+                      ))}
+                      <option value="custom">{t('synthesis.custom')}</option>
+                    </select>
+                    <button
+                      onClick={() => performMeasurement(configuredMeasurement('povm'))}
+                      className="px-4 bg-orange-600/80 hover:bg-orange-500 rounded-lg text-sm font-bold transition-all shadow-lg"
+                    >
+                      {t('measurement.measure', { basis: 'POVM' })}
+                    </button>
+                  </div>
+                  {povmChoice === 'custom' && (
+                    <div className="mt-3 space-y-2 text-xs">
+                      <div className="text-gray-400">
+                        {t('povm.conditions')}
                       </div>
-                      <div className="relative h-6 bg-slate-800 rounded-lg overflow-hidden">
-                        <div
-                          className="absolute h-full bg-gradient-to-r from-purple-500 to-purple-600 transition-all duration-300"
-                          style={{
-                            width: `${Math.abs(qubitState.alpha.re) * 100}%`,
-                            left: qubitState.alpha.re >= 0 ? '50%' : `${50 - Math.abs(qubitState.alpha.re) * 100}%`
-                          }}
-                        />
-                        <div className="absolute inset-0 flex items-center justify-center">
-                          <div className="w-0.5 h-full bg-white/30" />
+                      {customPovm.map((row, index) => (
+                        <div key={index} className="flex items-center gap-2">
+                          <span className="w-6 text-orange-300 font-mono">E{index + 1}</span>
+                          {['weight', 'x', 'y', 'z'].map((field) => (
+                            <input
+                              key={field}
+                              type="text"
+                              value={row[field]}
+                              onChange={(e) => updateCustomPovm(index, field, e.target.value)}
+                              placeholder={field === 'weight' ? 'w' : field}
+                              title={field === 'weight' ? t('povm.weight') : t('povm.component', { component: field })}
+                              className="w-full min-w-0 bg-slate-800/80 border border-slate-600 rounded px-2 py-1 text-white font-mono focus:outline-none focus:border-orange-400"
+                            />
+                          ))}
+                          <button
+                            onClick={() => setCustomPovm(customPovm.filter((_, k) => k !== index))}
+                            disabled={customPovm.length <= 2}
+                            className="text-gray-500 hover:text-red-400 disabled:opacity-30 transition"
+                            title={t('povm.removeElement')}
+                          >
+                            ✕
+                          </button>
                         </div>
-                      </div>
+                      ))}
+                      <button
+                        onClick={() => setCustomPovm([...customPovm, { weight: '0', x: '0', y: '0', z: '0' }])}
+                        className="text-orange-300 hover:text-orange-200 transition"
+                      >
+                        + {t('povm.element')}
+                      </button>
                     </div>
+                  )}
+                </div>
 
-                    <div>
-                      <div className="flex justify-between text-xs text-gray-500 mb-1">
-                        <span>Imaginaria: {qubitState.alpha.im.toFixed(3)}</span>
-                      </div>
-                      <div className="relative h-6 bg-slate-800 rounded-lg overflow-hidden">
-                        <div
-                          className="absolute h-full bg-gradient-to-r from-pink-500 to-pink-600 transition-all duration-300"
-                          style={{
-                            width: `${Math.abs(qubitState.alpha.im) * 100}%`,
-                            left: qubitState.alpha.im >= 0 ? '50%' : `${50 - Math.abs(qubitState.alpha.im) * 100}%`
-                          }}
-                        />
-                        <div className="absolute inset-0 flex items-center justify-center">
-                          <div className="w-0.5 h-full bg-white/30" />
+                {measurementError && (
+                  <div className="mb-4 text-xs text-red-400">{textOf(measurementError)}</div>
+                )}
+
+                {measurements && (
+                  <div className="bg-slate-800/60 rounded-lg p-4 border border-cyan-400/30">
+                    <div className="text-sm font-bold mb-3 text-cyan-300">
+                      {t('measurement.probabilities', { measurement: measurements.measurement.label })}
+                    </div>
+                    {measurements.measurement.outcomes.map((outcome, idx) => (
+                      <div key={idx} className="mb-2">
+                        <div className="flex justify-between text-sm mb-1">
+                          <span className={measurements.outcome === idx ? 'text-pink-300 font-bold' : ''}>
+                            {outcome}
+                            {measurements.outcome === idx && ` ← ${t('measurement.result')}`}
+                          </span>
+                          <span className="text-purple-300">
+                            {formatNumber(measurements.probabilities[idx] * 100, 2)}%
+                          </span>
                         </div>
+                        <div className="w-full bg-slate-700 rounded-full h-2">
+                          <div
+                            className="bg-gradient-to-r from-purple-500 to-pink-500 h-2 rounded-full transition-all duration-500"
+                            style={{ width: `${measurements.probabilities[idx] * 100}%` }}
+                          />
+                        </div>
+                        {measurements.postStates[idx] && (
+                          <div className="text-xs text-gray-400 font-mono mt-1">
+                            → {t('measurement.postState', { vector: formatBlochVector(blochVectorOf(measurements.postStates[idx]), locale) })}
+                          </div>
+                        )}
                       </div>
+                    ))}
+                  </div>
+                )}
+
+                {measurementLog.length > 0 && (
+                  <div className="mt-4 bg-slate-800/60 rounded-lg p-4 border border-pink-400/30">
+                    <div className="flex justify-between items-center mb-2">
+                      <span className="text-sm font-bold text-pink-300">{t('measurement.log')}</span>
+                      <button
+                        onClick={() => setMeasurementLog([])}
+                        className="text-xs text-gray-400 hover:text-white transition"
+                      >
+                        {t('measurement.clearLog')}
+                      </button>
+                    </div>
+                    <div className="space-y-1 text-xs font-mono max-h-40 overflow-y-auto">
+                      {measurementLog.map((entry) => (
+                        <div key={entry.id} className="flex justify-between text-gray-300">
+                          <span>#{entry.number} · {textOf(entry.label)} → {entry.outcome}</span>
+                          <span className="text-gray-500">p = {formatNumber(entry.probability * 100, 1)}%</span>
+                        </div>
+                      ))}
                     </div>
                   </div>
+                )}
+              </div>
 
-                  {/* Phase visualization for alpha */}
-                  <div className="mt-2 flex items-center gap-2">
-                    <span className="text-xs text-gray-500">Fase:</span>
-                    <div className="flex-1 h-2 bg-slate-800 rounded-full relative overflow-hidden">
-                      <div
-                        className="absolute h-full w-1 bg-purple-400 transition-all duration-300"
-                        style={{
-                          left: `${((Math.atan2(qubitState.alpha.im, qubitState.alpha.re) + Math.PI) / (2 * Math.PI)) * 100}%`
-                        }}
-                      />
+              {/* Multi-shot sampling */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
+                <h2 className="text-xl font-bold mb-4 text-cyan-400">{t('panel.shots')}</h2>
+                <ShotExperiment qubitState={viewedState} />
+              </div>
+
+              {/* State tomography */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
+                <h2 className="text-xl font-bold mb-4 text-cyan-400">{t('panel.tomography')}</h2>
+                <TomographyPanel qubitState={viewedState} />
+              </div>
+
+              {/* Current State Display */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-xl font-bold text-cyan-400">{t('panel.currentState')}</h2>
+                  <div className="flex gap-1 text-xs">
+                    {[
+                      { exact: true, label: t('display.exact') },
+                      { exact: false, label: t('display.decimal') }
+                    ].map(({ exact, label }) => (
+                      <button
+                        key={String(exact)}
+                        onClick={() => setExactDisplay(exact)}
+                        className={`px-3 py-1 rounded border transition ${
+                          exactDisplay === exact
+                            ? 'bg-cyan-600/40 border-cyan-400 text-white'
+                            : 'bg-slate-800/60 border-slate-600 text-gray-400 hover:border-cyan-500/50'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="space-y-2 text-sm font-mono">
+                  {viewedIsMixed ? (
+                    <div className="text-purple-300">
+                      <div>{t('display.mixedState')}</div>
+                      {viewedDensity.rho.map((row, r) => (
+                        <div key={r} className="pl-4">
+                          [ {row.map(formatAmplitudeDisplay).join(',  ')} ]
+                        </div>
+                      ))}
                     </div>
-                    <span className="text-xs text-purple-400 font-mono w-16">
-                      {(Math.atan2(qubitState.alpha.im, qubitState.alpha.re) * 180 / Math.PI).toFixed(0)}°
-                    </span>
+                  ) : (
+                    <div className="text-purple-300 space-y-1">
+                      {showRingElements ? (
+                        <div>
+                          |ψ⟩ = ({viewedPure.exact.alpha.toString()})|0⟩ + ({viewedPure.exact.beta.toString()})|1⟩,
+                          ω = e^(iπ/4)
+                        </div>
+                      ) : (
+                        <div>
+                          |ψ⟩ = {hasGlobalPhase && `e^(i·${formatPhase(factoredPure.globalPhase)})·[`}
+                          ({formatAmplitudeDisplay(factoredPure.alpha)})|0⟩ + ({formatAmplitudeDisplay(factoredPure.beta)})|1⟩
+                          {hasGlobalPhase && ']'}
+                        </div>
+                      )}
+                      <div className="text-xs text-gray-400">
+                        {t('display.globalPhase', { phase: formatPhase(factoredPure.globalPhase) })}
+                        {!isPole(viewedPure) &&
+                          `, ${t('display.relativePhase', { phase: formatPhase(Math.atan2(factoredPure.beta.im, factoredPure.beta.re)) })}`}
+                      </div>
+                      <div className="flex items-center justify-between gap-2 pt-1 text-xs font-sans">
+                        {viewedPure.exact ? (
+                          <span
+                            className="px-2 py-0.5 rounded border border-emerald-500/50 bg-emerald-900/30 text-emerald-300"
+                            title={t('display.ringHint')}
+                          >
+                            {t('display.exactRing', { k: ringDenominator })}
+                          </span>
+                        ) : (
+                          <span
+                            className="px-2 py-0.5 rounded border border-amber-500/50 bg-amber-900/30 text-amber-300"
+                            title={t('display.floatHint')}
+                          >
+                            {exactArithmetic ? t('display.outsideRing') : t('display.float')}
+                          </span>
+                        )}
+                        <label className="flex items-center gap-1 text-gray-400 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={exactArithmetic}
+                            onChange={toggleExactArithmetic}
+                            className="accent-cyan-500"
+                          />
+                          {t('display.exactArithmetic')}
+                        </label>
+                      </div>
+                    </div>
+                  )}
+                  <div className="text-gray-400 text-xs pt-3 border-t border-slate-700">
+                    <div>{t('display.blochCoordinates')}</div>
+                    <div className="mt-1">x = {formatNumber(coords.x, 3)}</div>
+                    <div>y = {formatNumber(coords.y, 3)}</div>
+                    <div>z = {formatNumber(coords.z, 3)}</div>
+                    <div className="mt-2">|r| = {formatNumber(Math.sqrt(coords.x ** 2 + coords.y ** 2 + coords.z ** 2), 3)}</div>
+                    <div>{t('display.purity', { value: formatNumber(viewedDensity.purity(), 3) })}</div>
+                    <div>{t('display.entropy', { value: formatNumber(viewedDensity.entropy(), 3) })}</div>
                   </div>
                 </div>
+              </div>
 
-                <div className="border-t border-slate-700 pt-4">
-                  <div className="flex items-center justify-between mb-2">
-                    <span className="text-sm text-pink-300 font-bold">Estado |1⟩</span>
-                    <span className="text-xs text-gray-400">
-                      P = {((qubitState.beta.re ** 2 + qubitState.beta.im ** 2) * 100).toFixed(1)}%
-                    </span>
+              {/* Superposition Visualization */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-cyan-500/30 rounded-lg p-6 shadow-lg shadow-cyan-500/10">
+                <h2 className="text-xl font-bold mb-4 text-cyan-400">{t('panel.superposition')}</h2>
+                {viewedIsMixed && (
+                  <div className="text-xs mb-4 text-amber-200/80">
+                    {t('superposition.mixedNotice')}
                   </div>
+                )}
 
-                  {/* Amplitude bars */}
-                  <div className="space-y-2">
-                    <div>
-                      <div className="flex justify-between text-xs text-gray-500 mb-1">
-                        <span>Real: {qubitState.beta.re.toFixed(3)}</span>
-                        <span>|β|² = {(qubitState.beta.re ** 2 + qubitState.beta.im ** 2).toFixed(3)}</span>
+                {/* Probability amplitudes */}
+                <div className="space-y-4">
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="text-sm text-purple-300 font-bold">{t('superposition.basisState', { state: '|0⟩' })}</span>
+                      <span className="text-xs text-gray-400">
+                        P = {formatNumber((viewedPure.alpha.re ** 2 + viewedPure.alpha.im ** 2) * 100, 1)}%
+                      </span>
+                    </div>
+
+                    {/* Amplitude bars */}
+                    <div className="space-y-2">
+                      <div>
+                        <div className="flex justify-between text-xs text-gray-500 mb-1">
+                          <span>{t('superposition.real', { value: formatNumber(viewedPure.alpha.re, 3) })}</span>
+                          <span>|α|² = {formatNumber(viewedPure.alpha.re ** 2 + viewedPure.alpha.im ** 2, 3)}</span>
+                        </div>
+                        <div className="relative h-6 bg-slate-800 rounded-lg overflow-hidden">
+                          <div
+                            className="absolute h-full bg-gradient-to-r from-purple-500 to-purple-600 transition-all duration-300"
+                            style={{
+                              width: `${Math.abs(viewedPure.alpha.re) * 100}%`,
+                              left: viewedPure.alpha.re >= 0 ? '50%' : `${50 - Math.abs(viewedPure.alpha.re) * 100}%`
+                            }}
+                          />
+                          <div className="absolute inset-0 flex items-center justify-center">
+                            <div className="w-0.5 h-full bg-white/30" />
+                          </div>
+                        </div>
                       </div>
-                      <div className="relative h-6 bg-slate-800 rounded-lg overflow-hidden">
-                        <div
-                          className="absolute h-full bg-gradient-to-r from-cyan-500 to-cyan-600 transition-all duration-300"
-                          style={{
-                            width: `${Math.abs(qubitState.beta.re) * 100}%`,
-                            left: qubitState.beta.re >= 0 ? '50%' : `${50 - Math.abs(qubitState.beta.re) * 100}%`
-                          }}
-                        />
-                        <div className="absolute inset-0 flex items-center justify-center">
-                          <div className="w-0.5 h-full bg-white/30" />
+
+                      <div>
+                        <div className="flex justify-between text-xs text-gray-500 mb-1">
+                          <span>{t('superposition.imaginary', { value: formatNumber(viewedPure.alpha.im, 3) })}</span>
+                        </div>
+                        <div className="relative h-6 bg-slate-800 rounded-lg overflow-hidden">
+                          <div
+                            className="absolute h-full bg-gradient-to-r from-pink-500 to-pink-600 transition-all duration-300"
+                            style={{
+                              width: `${Math.abs(viewedPure.alpha.im) * 100}%`,
+                              left: viewedPure.alpha.im >= 0 ? '50%' : `${50 - Math.abs(viewedPure.alpha.im) * 100}%`
+                            }}
+                          />
+                          <div className="absolute inset-0 flex items-center justify-center">
+                            <div className="w-0.5 h-full bg-white/30" />
+                          </div>
                         </div>
                       </div>
                     </div>
 
-                    <div>
-                      <div className="flex justify-between text-xs text-gray-500 mb-1">
-                        <span>Imaginaria: {qubitState.beta.im.toFixed(3)}</span>
-                      </div>
-                      <div className="relative h-6 bg-slate-800 rounded-lg overflow-hidden">
+                    {/* Phase visualization for alpha */}
+                    <div className="mt-2 flex items-center gap-2">
+                      <span className="text-xs text-gray-500">{t('superposition.phase')}</span>
+                      <div className="flex-1 h-2 bg-slate-800 rounded-full relative overflow-hidden">
                         <div
-                          className="absolute h-full bg-gradient-to-r from-blue-500 to-blue-600 transition-all duration-300"
+                          className="absolute h-full w-1 bg-purple-400 transition-all duration-300"
                           style={{
-                            width: `${Math.abs(qubitState.beta.im) * 100}%`,
-                            left: qubitState.beta.im >= 0 ? '50%' : `${50 - Math.abs(qubitState.beta.im) * 100}%`
+                            left: `${((Math.atan2(viewedPure.alpha.im, viewedPure.alpha.re) + Math.PI) / (2 * Math.PI)) * 100}%`
                           }}
                         />
-                        <div className="absolute inset-0 flex items-center justify-center">
-                          <div className="w-0.5 h-full bg-white/30" />
-                        </div>
                       </div>
+                      <span className="text-xs text-purple-400 font-mono w-16">
+                        {formatNumber(Math.atan2(viewedPure.alpha.im, viewedPure.alpha.re) * 180 / Math.PI, 0)}°
+                      </span>
                     </div>
                   </div>
 
-                  {/* Phase visualization for beta */}
-                  <div className="mt-2 flex items-center gap-2">
-                    <span className="text-xs text-gray-500">Fase:</span>
-                    <div className="flex-1 h-2 bg-slate-800 rounded-full relative overflow-hidden">
-                      <div
-                        className="absolute h-full w-1 bg-cyan-400 transition-all duration-300"
-                        style={{
-                          left: `${((Math.atan2(qubitState.beta.im, qubitState.beta.re) + Math.PI) / (2 * Math.PI)) * 100}%`
-                        }}
-                      />
+                  <div className="border-t border-slate-700 pt-4">
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="text-sm text-pink-300 font-bold">{t('superposition.basisState', { state: '|1⟩' })}</span>
+                      <span className="text-xs text-gray-400">
+                        P = {formatNumber((viewedPure.beta.re ** 2 + viewedPure.beta.im ** 2) * 100, 1)}%
+                      </span>
+                    </div>
+
+                    {/* Amplitude bars */}
+                    <div className="space-y-2">
+                      <div>
+                        <div className="flex justify-between text-xs text-gray-500 mb-1">
+                          <span>{t('superposition.real', { value: formatNumber(viewedPure.beta.re, 3) })}</span>
+                          <span>|β|² = {formatNumber(viewedPure.beta.re ** 2 + viewedPure.beta.im ** 2, 3)}</span>
+                        </div>
+                        <div className="relative h-6 bg-slate-800 rounded-lg overflow-hidden">
+                          <div
+                            className="absolute h-full bg-gradient-to-r from-cyan-500 to-cyan-600 transition-all duration-300"
+                            style={{
+                              width: `${Math.abs(viewedPure.beta.re) * 100}%`,
+                              left: viewedPure.beta.re >= 0 ? '50%' : `${50 - Math.abs(viewedPure.beta.re) * 100}%`
+                            }}
+                          />
+                          <div className="absolute inset-0 flex items-center justify-center">
+                            <div className="w-0.5 h-full bg-white/30" />
+                          </div>
+                        </div>
+                      </div>
+
+                      <div>
+                        <div className="flex justify-between text-xs text-gray-500 mb-1">
+                          <span>{t('superposition.imaginary', { value: formatNumber(viewedPure.beta.im, 3) })}</span>
+                        </div>
+                        <div className="relative h-6 bg-slate-800 rounded-lg overflow-hidden">
+                          <div
+                            className="absolute h-full bg-gradient-to-r from-blue-500 to-blue-600 transition-all duration-300"
+                            style={{
+                              width: `${Math.abs(viewedPure.beta.im) * 100}%`,
+                              left: viewedPure.beta.im >= 0 ? '50%' : `${50 - Math.abs(viewedPure.beta.im) * 100}%`
+                            }}
+                          />
+                          <div className="absolute inset-0 flex items-center justify-center">
+                            <div className="w-0.5 h-full bg-white/30" />
+                          </div>
+                        </div>
+                      </div>
                     </div>
-                    <span className="text-xs text-cyan-400 font-mono w-16">
-                      {(Math.atan2(qubitState.beta.im, qubitState.beta.re) * 180 / Math.PI).toFixed(0)}°
-                    </span>
-                  </div>
-                </div>
 
-                {/* Superposition indicator */}
-                <div className="border-t border-slate-700 pt-4">
-                  <div className="bg-slate-800/60 rounded-lg p-3">
-                    <div className="text-xs text-gray-400 mb-2">Estado de superposición:</div>
-                    <div className="flex gap-2 items-center">
-                      <div className="flex-1 h-8 bg-gradient-to-r from-purple-600 to-cyan-600 rounded relative overflow-hidden">
+                    {/* Phase visualization for beta */}
+                    <div className="mt-2 flex items-center gap-2">
+                      <span className="text-xs text-gray-500">{t('superposition.phase')}</span>
+                      <div className="flex-1 h-2 bg-slate-800 rounded-full relative overflow-hidden">
                         <div
-                          className="absolute inset-y-0 bg-white/20"
+                          className="absolute h-full w-1 bg-cyan-400 transition-all duration-300"
                           style={{
-                            left: `${(qubitState.alpha.re ** 2 + qubitState.alpha.im ** 2) * 100}%`,
-                            width: '2px'
+                            left: `${((Math.atan2(viewedPure.beta.im, viewedPure.beta.re) + Math.PI) / (2 * Math.PI)) * 100}%`
                           }}
                         />
                       </div>
+                      <span className="text-xs text-cyan-400 font-mono w-16">
+                        {formatNumber(Math.atan2(viewedPure.beta.im, viewedPure.beta.re) * 180 / Math.PI, 0)}°
+                      </span>
                     </div>
-                    <div className="flex justify-between text-xs text-gray-500 mt-1">
-                      <span>|0⟩</span>
-                      <span className="text-white">Superposición</span>
-                      <span>|1⟩</span>
+                  </div>
+
+                  {/* Superposition indicator */}
+                  <div className="border-t border-slate-700 pt-4">
+                    <div className="bg-slate-800/60 rounded-lg p-3">
+                      <div className="text-xs text-gray-400 mb-2">{t('superposition.indicator')}</div>
+                      <div className="flex gap-2 items-center">
+                        <div className="flex-1 h-8 bg-gradient-to-r from-purple-600 to-cyan-600 rounded relative overflow-hidden">
+                          <div
+                            className="absolute inset-y-0 bg-white/20"
+                            style={{
+                              left: `${(viewedPure.alpha.re ** 2 + viewedPure.alpha.im ** 2) * 100}%`,
+                              width: '2px'
+                            }}
+                          />
+                        </div>
+                      </div>
+                      <div className="flex justify-between text-xs text-gray-500 mt-1">
+                        <span>|0⟩</span>
+                        <span className="text-white">{t('waves.superposition')}</span>
+                        <span>|1⟩</span>
+                      </div>
                     </div>
                   </div>
                 </div>
               </div>
             </div>
-          </div>
 
-          {/* Right panel - Bloch Sphere */}
-          <div className="space-y-6">
-            <div className="bg-slate-900/50 backdrop-blur-sm border border-purple-500/30 rounded-lg p-6 shadow-lg shadow-purple-500/10">
-              <h2 className="text-xl font-bold mb-4 text-purple-400">ESFERA DE BLOCH</h2>
-              <div className="h-[500px] rounded-lg overflow-hidden border border-purple-500/20">
-                <BlochSphere qubitState={qubitState} />
+            {/* Right panel - Bloch Sphere */}
+            <div className="space-y-6">
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-purple-500/30 rounded-lg p-6 shadow-lg shadow-purple-500/10">
+                <h2 className="text-xl font-bold mb-4 text-purple-400">{t('panel.sphere')}</h2>
+                <div className="h-[500px] rounded-lg overflow-hidden border border-purple-500/20">
+                  <BlochSphere
+                    qubitState={viewedPure}
+                    vector={viewedMixedVector}
+                    transitions={sphereTransitions}
+                    duration={gateDuration}
+                    directions={sphereDirections}
+                    reference={sphereReference}
+                    onStateDrag={composerActive ? undefined : dragState}
+                    onAxisPick={pickingAxis ? pickAxis : undefined}
+                  />
+                </div>
+                <div className="flex items-center gap-3 mt-3 text-xs text-gray-400">
+                  <span>{t('sphere.gateAnimation')}</span>
+                  <input
+                    type="range"
+                    min="0"
+                    max="2000"
+                    step="100"
+                    value={gateDuration}
+                    onChange={(e) => setGateDuration(Number(e.target.value))}
+                    className="flex-1 accent-purple-400"
+                  />
+                  <span className="w-16 text-right">{gateDuration === 0 ? t('sphere.noAnimation') : `${gateDuration} ms`}</span>
+                </div>
+              </div>
+
+              {/* State comparison */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-purple-500/30 rounded-lg p-6 shadow-lg shadow-purple-500/10">
+                <h2 className="text-xl font-bold mb-4 text-purple-400">{t('panel.comparison')}</h2>
+                <ComparisonPanel
+                  current={viewedState}
+                  reference={referenceState}
+                  onReferenceChange={setReferenceState}
+                  onUseAsTarget={() => setSynthesisTarget('reference')}
+                />
+              </div>
+
+              {/* Superposition Waves */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-purple-500/30 rounded-lg p-6 shadow-lg shadow-purple-500/10">
+                <h2 className="text-xl font-bold mb-4 text-purple-400">{t('panel.waves')}</h2>
+                <div className="h-[200px] rounded-lg overflow-hidden border border-purple-500/20">
+                  <SuperpositionWaves qubitState={viewedPure} />
+                </div>
+                <div className="mt-3 text-xs text-gray-400 text-center">
+                  <p>{t('waves.amplitudesHint')}</p>
+                  <p className="mt-1">{t('waves.superpositionHint')}</p>
+                </div>
+              </div>
+
+              {/* Figure export */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-purple-500/30 rounded-lg p-6 shadow-lg shadow-purple-500/10">
+                <h2 className="text-xl font-bold mb-4 text-purple-400">{t('panel.export')}</h2>
+                <FigureExportPanel
+                  qubitState={viewedPure}
+                  vector={coords}
+                  directions={sphereDirections}
+                  reference={sphereReference}
+                />
               </div>
-            </div>
 
-            {/* Superposition Waves */}
-            <div className="bg-slate-900/50 backdrop-blur-sm border border-purple-500/30 rounded-lg p-6 shadow-lg shadow-purple-500/10">
-              <h2 className="text-xl font-bold mb-4 text-purple-400">ONDAS DE SUPERPOSICIÓN</h2>
-              <div className="h-[200px] rounded-lg overflow-hidden border border-purple-500/20">
-                <SuperpositionWaves qubitState={qubitState} />
+              {/* Undo history */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-purple-500/30 rounded-lg p-6 shadow-lg shadow-purple-500/10">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-xl font-bold text-purple-400">{t('panel.history')}</h2>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={undo}
+                      disabled={history.index === 0}
+                      className="bg-slate-800 hover:bg-slate-700 disabled:opacity-40 rounded px-3 py-1 text-sm"
+                      title={t('history.undoHint')}
+                    >
+                      ↶ {t('history.undo')}
+                    </button>
+                    <button
+                      onClick={redo}
+                      disabled={history.index === history.entries.length - 1}
+                      className="bg-slate-800 hover:bg-slate-700 disabled:opacity-40 rounded px-3 py-1 text-sm"
+                      title={t('history.redoHint')}
+                    >
+                      {t('history.redo')} ↷
+                    </button>
+                  </div>
+                </div>
+                <div className="space-y-1 text-xs font-mono max-h-56 overflow-y-auto">
+                  {history.entries.map((entry, idx) => (
+                    <button
+                      key={entry.id}
+                      onClick={() => restoreHistory(idx)}
+                      className={`w-full flex justify-between text-left px-2 py-1 rounded transition ${
+                        idx === history.index
+                          ? 'bg-purple-600/40 text-white'
+                          : idx > history.index
+                            ? 'text-gray-600 hover:bg-slate-800'
+                            : 'text-gray-300 hover:bg-slate-800'
+                      }`}
+                    >
+                      <span>{idx}. {textOf(entry.label)}</span>
+                      <span className="text-gray-500">
+                        {entry.mixed
+                          ? `ρ, |r| = ${formatNumber(entry.mixed.blochVector().length, 3)}`
+                          : `(${formatComplex(entry.state.alpha, locale)}${t('format.separator')}${formatComplex(entry.state.beta, locale)})`}
+                      </span>
+                    </button>
+                  ))}
+                </div>
               </div>
-              <div className="mt-3 text-xs text-gray-400 text-center">
-                <p>Las ondas muestran las amplitudes de |0⟩ (púrpura) y |1⟩ (cyan)</p>
-                <p className="mt-1">La onda magenta representa la superposición resultante</p>
+
+              {/* Sessions */}
+              <div className="bg-slate-900/50 backdrop-blur-sm border border-purple-500/30 rounded-lg p-6 shadow-lg shadow-purple-500/10">
+                <h2 className="text-xl font-bold mb-4 text-purple-400">{t('panel.sessions')}</h2>
+                <SessionPanel session={session} onLoad={loadSession} message={sessionMessage} onMessage={setSessionMessage} />
               </div>
             </div>
           </div>
-        </div>
+        )}
 
         {/* Footer info */}
         <div className="mt-8 text-center text-gray-500 text-xs">
-          <p>Visualización interactiva del espacio de estados de un qubit</p>
-          <p className="mt-1">Las puertas cuánticas transforman el estado | Las mediciones colapsan la función de onda</p>
+          <p>{t('footer.description')}</p>
+          <p className="mt-1">{t('footer.summary')}</p>
         </div>
       </div>
     </div>
   );
 }
+
+// Holds the language, which components take from the context
+export default function LocalizedQuantumCalculator() {
+  const [locale, setLocale] = useState(initialLocale);
+  const tools = useMemo(() => localeTools(locale), [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const changeLocale = (id) => {
+    writeStorage(LOCALE_KEY, id);
+    setLocale(id);
+  };
+
+  return (
+    <LocaleContext.Provider value={tools}>
+      <QuantumCalculator onLocaleChange={changeLocale} />
+    </LocaleContext.Provider>
+  );
+}
@@ -0,0 +1,415 @@
+// English messages. Keys as in es.js, which also fills in any missing here.
+export default {
+  // Amplitude and angle expressions
+  'expression.column': 'Column {column}: {message}',
+  'expression.unexpectedCharacter': 'unexpected character "{character}"',
+  'expression.empty': 'empty expression',
+  'expression.end': 'the end',
+  'expression.expected': 'expected "{expected}" before "{found}"',
+  'expression.divisionByZero': 'division by zero',
+  'expression.arity': '{name} takes {arity} argument(s)',
+  'expression.unknownName': 'unknown name "{name}"',
+  'expression.expectedNumber': 'expected a number before "{found}"',
+  'expression.unexpected': 'unexpected "{found}"',
+  'expression.notFinite': 'the result is not a finite number',
+
+  // Number formatting
+  'format.separator': ', ',
+
+  // Noise channels
+  'noise.bitFlip': 'Bit flip',
+  'noise.phaseFlip': 'Phase flip',
+  'noise.depolarizing': 'Depolarizing',
+  'noise.amplitudeDamping': 'Amplitude damping (T1)',
+  'noise.phaseDamping': 'Phase damping (T2)',
+  'noise.invalidParameters': 'Invalid noise parameters: p ∈ [0, 1], t ≥ 0, T > 0',
+  'noise.channels': 'Noise channels',
+  'noise.duration': 'Duration t',
+  'noise.decayTime': '{name} (same units)',
+  'noise.probability': 'Probability p',
+  'noise.composerActive': 'Not available while the composer is active',
+  'noise.apply': 'Apply channel',
+
+  // POVMs
+  'povm.trine': 'Trine',
+  'povm.sic': 'Tetrahedral (SIC)',
+  'povm.tooFew': 'A POVM needs at least two elements',
+  'povm.negativeWeight': 'E{effect}: the weight w = {weight} is negative',
+  'povm.notPositive': 'E{effect}: |n| = {length} > 1, the effect is not positive',
+  'povm.weightSum': 'Σ Eₖ ≠ I: the weights add up to {total} instead of 2',
+  'povm.vectorSum': 'Σ Eₖ ≠ I: Σ wₖ·nₖ = ({sum}) instead of 0',
+  'povm.fieldError': 'E{index}, {field}: {message}',
+  'povm.custom': 'custom',
+  'povm.conditions': 'Eₖ = wₖ(I + nₖ·σ)/2, with wₖ ≥ 0, |nₖ| ≤ 1, Σ wₖ = 2 and Σ wₖ·nₖ = 0',
+  'povm.weight': 'Weight w',
+  'povm.component': 'Component {component} of n',
+  'povm.removeElement': 'Remove element',
+  'povm.element': 'Element',
+
+  // Bloch sphere view
+  'sphere.pauseRotation': 'Pause rotation',
+  'sphere.resumeRotation': 'Resume rotation',
+  'sphere.planeView': 'View of the {plane} plane',
+  'sphere.clearTrail': 'Clear trail',
+  'sphere.dragCamera': 'Dragging moves the camera',
+  'sphere.dragState': 'Dragging on the sphere sets θ and φ',
+  'sphere.stateMode': 'State',
+  'sphere.cameraMode': 'Camera',
+  'sphere.gateAnimation': 'Gate animation',
+  'sphere.noAnimation': 'no animation',
+  'sphere.unitaryAxis': 'U: {angle}',
+
+  // Superposition waves
+  'waves.superposition': 'Superposition',
+  'waves.amplitudesHint': 'The waves show the amplitudes of |0⟩ (purple) and |1⟩ (cyan)',
+  'waves.superpositionHint': 'The magenta wave is the resulting superposition',
+
+  // Figure export
+  'export.invalidSize': 'The size must be a whole number of pixels between 50 and {max}',
+  'export.invalidCamera': 'The camera needs a yaw in degrees and a pitch between −90° and 90°',
+  'export.sphereFile': 'bloch-sphere',
+  'export.wavesFile': 'superposition-waves',
+  'export.tooLarge': 'The PNG image would be too large; reduce the size or the scale',
+  'export.pngFailed': 'The browser could not generate the PNG',
+  'export.axisLabel': '{axis} axis',
+  'export.stateLabel': 'State vector',
+  'export.waveLabel': '{state} wave',
+  'export.sphere': 'Bloch sphere',
+  'export.waves': 'Superposition waves',
+  'export.svg': 'SVG (vector)',
+  'export.width': 'Width (px)',
+  'export.height': 'Height (px)',
+  'export.resolution': 'PNG resolution',
+  'export.yaw': 'Yaw (°)',
+  'export.pitch': 'Pitch (°)',
+  'export.lightBackground': 'Light background for print',
+  'export.preview': 'Figure preview',
+  'export.download': 'Download {format}',
+
+  // Shot experiment
+  'shots.invalidShots': 'The number of shots must be a whole number between 1 and {max}',
+  'shots.basisOption': '{basis} basis',
+  'shots.basis': 'Basis',
+  'shots.shots': 'Shots (N)',
+  'shots.seed': 'Seed',
+  'shots.running': 'Measuring… {done}/{shots}',
+  'shots.run': 'Run experiment',
+  'shots.theory': 'theory {value}%',
+  'shots.summary': 'N = {shots} · {basis} basis · seed "{seed}"',
+  'shots.degrees': 'df = {df}',
+  'shots.rejected': 'Fit to theory rejected (α = 0.05)',
+  'shots.compatible': 'Consistent with theory (α = 0.05)',
+
+  // State tomography
+  'tomography.invalidShots': 'The number of shots per basis must be a whole number between 1 and {max}',
+  'tomography.inversionShort': 'LI',
+  'tomography.likelihoodShort': 'ML',
+  'tomography.current': 'Current state',
+  'tomography.secret': 'Secret state',
+  'tomography.truth': 'True state',
+  'tomography.shots': 'Shots per basis (N)',
+  'tomography.reconstruct': 'Reconstruct',
+  'tomography.studyHint': '{trials} simulated tomographies for each N of {counts}',
+  'tomography.study': 'Convergence study',
+  'tomography.truthLegend': 'true',
+  'tomography.truthHidden': 'true (hidden)',
+  'tomography.inversion': 'linear inversion ({short})',
+  'tomography.likelihood': 'maximum likelihood ({short})',
+  'tomography.hide': 'Hide',
+  'tomography.reveal': 'Reveal state',
+  'tomography.counts': '{basis} basis: n₊ = {plus}, n₋ = {minus}',
+  'tomography.outsideBall': '(outside the ball: not a state)',
+  'tomography.revealHint': 'Reveal the state to compare it with the reconstruction.',
+  'tomography.studyCaption': 'Mean error |r̂ − r| over {trials} repetitions against N (log-log scale); the dashed line falls as 1/√N',
+
+  // Circuit composer
+  'composer.dragToCircuit': 'Drag onto the circuit',
+  'composer.stepHint': 'Step {step}: click to see the state after this gate',
+  'composer.empty': 'Drag gates here or use the gates panel',
+  'composer.stepBack': 'Step back',
+  'composer.pause': 'Pause',
+  'composer.play': 'Play',
+  'composer.stepForward': 'Step forward',
+  'composer.bin': 'Drop here to delete',
+  'composer.clear': 'Clear',
+  'composer.commitHint': 'Applies the whole circuit to the qubit state and clears it',
+  'composer.commit': 'Commit final state',
+  'composer.active': 'Active',
+  'composer.inactiveHint': 'Turn it on to build a gate sequence and step through it. While the composer is active, the gates panel adds to the circuit instead of applying.',
+
+  // Panel headings
+  'panel.register': 'MULTI-QUBIT REGISTER',
+  'panel.gates': 'QUANTUM GATES',
+  'panel.amplitudes': 'AMPLITUDES',
+  'panel.reducedSpheres': 'REDUCED BLOCH SPHERES',
+  'panel.entanglement': 'ENTANGLEMENT',
+  'panel.qubitState': 'QUBIT STATE',
+  'panel.composer': 'CIRCUIT COMPOSER',
+  'panel.unitary': 'ACCUMULATED UNITARY',
+  'panel.synthesis': 'GATE SYNTHESIS',
+  'panel.evolution': 'TIME EVOLUTION',
+  'panel.measurements': 'MEASUREMENTS',
+  'panel.shots': 'SHOT EXPERIMENT',
+  'panel.tomography': 'TOMOGRAPHY',
+  'panel.currentState': 'CURRENT STATE',
+  'panel.superposition': 'SUPERPOSITION VIEW',
+  'panel.sphere': 'BLOCH SPHERE',
+  'panel.comparison': 'STATE COMPARISON',
+  'panel.waves': 'SUPERPOSITION WAVES',
+  'panel.export': 'EXPORT FIGURES',
+  'panel.history': 'HISTORY',
+  'panel.sessions': 'SESSIONS',
+
+  // Multi-qubit register
+  'register.sameQubit': 'Control and target must be different qubits',
+  'register.qubits': '{count} qubits',
+  'register.presets': 'Preset states',
+  'register.control': 'Control',
+  'register.target': 'Target',
+  'register.singleQubit': 'Single qubit (on the target)',
+  'register.multiQubit': 'Multiple qubits',
+  'register.toffoliUnavailable': 'Requires 3 qubits',
+  'register.toffoliControls': 'Controls: the other two qubits',
+  'register.basisColumn': 'Basis',
+  'register.amplitudeColumn': 'Amplitude',
+  'register.phaseColumn': 'Phase',
+  'register.bits': '{value} bits',
+  'register.concurrence': 'Concurrence C',
+  'register.entropy': 'Entropy S(q{qubit} | rest)',
+  'register.shortVectorHint': 'A vector shorter than the radius means the qubit is entangled with the rest of the register.',
+
+  // Sessions
+  'session.notSession': 'Not a quantum calculator session',
+  'session.invalidVersion': 'Invalid session version',
+  'session.oldVersion': 'The session is from an old version ({version}) that is no longer supported',
+  'session.newVersion': 'Session version {version} is not supported (version {supported} is)',
+  'session.missingAmplitudes': 'The amplitudes α and β are missing or not numeric',
+  'session.zeroNorm': 'The state has zero norm',
+  'session.invalidMixed': 'The Bloch vector of the mixed state is not valid',
+  'session.circuitNotList': 'The circuit must be a list of gates',
+  'session.unknownGate': 'Unknown circuit gate {index}: {name}',
+  'session.missingAngle': 'Circuit gate {index} ({name}): angle {angle} is missing',
+  'session.stepOutOfRange': 'The circuit step is out of range',
+  'session.invalidJson': 'The file is not valid JSON',
+  'session.invalidLinkGate': 'Invalid gate in the link: "{token}"',
+  'session.linkAngles': '{name} expects {count} angle(s) in the link',
+  'session.invalidLink': 'The link is not valid: {message}',
+  'session.restoreFailed': 'Could not restore the saved session: {message}',
+  'session.linkCopied': 'Link copied to the clipboard',
+  'session.copyFailed': 'Could not copy; copy the URL from the address bar',
+  'session.fileName': 'qubit-session.json',
+  'session.importedLabel': 'Imported session ({file})',
+  'session.imported': 'Session imported from {file}',
+  'session.importFailed': 'Could not import {file}: {message}',
+  'session.nameRequired': 'Enter a name for the session',
+  'session.saved': 'Session "{name}" saved',
+  'session.savedLabel': 'Session "{name}"',
+  'session.loaded': 'Session "{name}" loaded',
+  'session.loadFailed': 'Could not load "{name}": {message}',
+  'session.copyLink': 'Copy link',
+  'session.export': 'Export JSON',
+  'session.import': 'Import JSON',
+  'session.namePlaceholder': 'Session name',
+  'session.save': 'Save',
+  'session.delete': 'Delete session',
+  'session.autosaveHint': 'The URL and local storage are updated on every change; the link reproduces the state and the circuit.',
+  'session.linkLabel': 'Session from the link',
+  'session.linkLoaded': 'Session loaded from the link',
+  'session.invalidCustomGate': 'Circuit gate {index} (Custom): its matrix is missing or not unitary',
+
+  // OpenQASM
+  'qasm.position': 'Line {line}, column {column}: {message}',
+  'qasm.unexpectedCharacter': 'Unexpected character "{character}"',
+  'qasm.unclosedComment': 'Unclosed comment',
+  'qasm.end': 'end of program',
+  'qasm.expectedSymbol': 'Expected "{expected}" but found "{found}"',
+  'qasm.expected': 'Expected {expected} but found "{found}"',
+  'qasm.invalidExpression': 'Invalid expression at "{token}"',
+  'qasm.aSize': 'a size',
+  'qasm.invalidSize': 'Invalid register size: {size}',
+  'qasm.singleQubitOnly': 'Only single-qubit programs are supported',
+  'qasm.aQubit': 'a qubit',
+  'qasm.undeclaredRegister': 'Undeclared quantum register: {name}',
+  'qasm.anIndex': 'an index',
+  'qasm.indexOutOfRange': 'Index outside the single-qubit register: {index}',
+  'qasm.aVersion': 'a version',
+  'qasm.versionFirst': 'OPENQASM must be the first statement',
+  'qasm.unsupportedVersion': 'Unsupported OpenQASM version: {version}',
+  'qasm.aFileName': 'a file name',
+  'qasm.unsupportedInclude': 'Unsupported include: "{file}"',
+  'qasm.aRegisterName': 'a register name',
+  'qasm.angleNotFinite': 'The angle is not a finite number',
+  'qasm.arity': '{gate} expects {arity} parameter(s) but got {count}',
+  'qasm.singleOperand': '{gate} acts on a single qubit',
+  'qasm.unsupportedStatement': 'Unsupported statement: "{token}"',
+  'qasm.preparationComment': 'Initial state preparation',
+  'qasm.customComment': 'Custom matrix, as U3 up to global phase',
+  'qasm.mixedState': 'A mixed state cannot be expressed as an OpenQASM program',
+  'qasm.imported': '{count} gate(s) imported',
+  'qasm.fileName': 'circuit.qasm',
+  'qasm.export': 'Export sequence',
+  'qasm.import': 'Import and replay from |0⟩',
+
+  // Accumulated unitary and custom gates
+  'unitary.noGates': 'No gates since the state was last set',
+  'unitary.gates': '{count} gate(s): {gates}',
+  'unitary.rotation': 'Rotation by {angle} about n̂ = {axis}',
+  'unitary.showAxis': 'Show the axis on the sphere',
+  'unitary.play': 'Replay as a single rotation',
+  'unitary.mixedState': 'A mixed state has no accumulated unitary; counting restarts from the next pure state.',
+  'unitary.customGate': 'Custom gate',
+  'unitary.unitary': 'Unitary (|U†U − I| < {tolerance})',
+  'unitary.notUnitary': 'Not unitary: max |U†U − I| = {deviation}',
+  'unitary.apply': 'Apply as a gate',
+
+  // Gate-sequence synthesis
+  'synthesis.mixedStart': 'Synthesis starts from a pure state',
+  'synthesis.noGates': 'Choose at least one gate',
+  'synthesis.invalidTolerance': 'The tolerance 1 − F must lie in [0, 1)',
+  'synthesis.invalidDepth': 'The maximum depth must be a whole number between 1 and {max}',
+  'synthesis.invalidTarget': 'Invalid target',
+  'synthesis.noReference': 'No pure reference is pinned',
+  'synthesis.gateSet': 'Gate set',
+  'synthesis.custom': 'Custom',
+  'synthesis.reference': 'Reference',
+  'synthesis.target': 'Target',
+  'synthesis.tolerance': 'Tolerance 1 − F',
+  'synthesis.maxDepth': 'Maximum depth',
+  'synthesis.search': 'Search sequence',
+  'synthesis.alreadyThere': 'The state already is the target',
+  'synthesis.reached': 'Target reached with {count} gate(s) from {gates}',
+  'synthesis.unreachable': 'Unreachable with {gates}: its {explored} reachable states do not include the target',
+  'synthesis.notReached': 'Not reached within the limits ({explored} states explored)',
+  'synthesis.best': 'Best approximation found:',
+  'synthesis.empty': '(no gates)',
+  'synthesis.stale': 'The state has changed since the search',
+  'synthesis.play': 'Replay on the sphere',
+
+  // Time evolution
+  'evolution.precession': 'Larmor precession',
+  'evolution.rabi': 'Rabi oscillation',
+  'evolution.ramsey': 'Ramsey',
+  'evolution.echo': 'Spin echo (Hahn)',
+  'evolution.omega': 'ω (rad/t)',
+  'evolution.axisTheta': 'θ of n̂ (°)',
+  'evolution.axisPhi': 'φ of n̂ (°)',
+  'evolution.duration': 'Duration T',
+  'evolution.rabiFrequency': 'Ω (rad/t)',
+  'evolution.detuning': 'Δ (rad/t)',
+  'evolution.phase': 'Phase φ (°)',
+  'evolution.pulse': 'Pulse',
+  'evolution.pulseFrequency': 'Pulse Ω (rad/t)',
+  'evolution.wait': 'Wait τ',
+  'evolution.totalWait': 'Total wait τ',
+  'evolution.spread': 'Spread σΔ',
+  'evolution.notPositive': 'must be positive',
+  'evolution.hamiltonian': 'H = ½·(Ω cos φ·X + Ω sin φ·Y + Δ·Z) in the rotating frame; H = (ω/2)·n̂·σ for precession.',
+  'evolution.ensembleHint': 'With a spread, an ensemble of Gaussian detunings is averaged: the mean vector shrinks.',
+  'evolution.mixedInComposer': 'The ensemble average is a mixed state, which the composer does not accept',
+  'evolution.apply': 'Apply the evolution up to t to the state',
+
+  // State comparison
+  'comparison.invalidState': 'Invalid state',
+  'comparison.pinCurrent': 'Pin the current state',
+  'comparison.clear': 'Clear reference',
+  'comparison.field': 'Reference {field}',
+  'comparison.pin': 'Pin',
+  'comparison.reference': 'Reference: r = {vector}',
+  'comparison.mixed': '(mixed)',
+  'comparison.traceDistance': 'Trace distance D = ½‖ρ − σ‖₁ = {value}',
+  'comparison.buresAngle': 'Bures angle arccos √F = {radians} rad ({degrees}°)',
+  'comparison.sphereAngle': 'Angle on the sphere = {value}',
+  'comparison.empty': 'No reference: pin the current state or type its amplitudes.',
+  'comparison.pureTargetsOnly': 'Synthesis only accepts pure targets',
+  'comparison.useAsTarget': 'Use the reference as the synthesis target',
+
+  // State input
+  'input.amplitudes': 'Amplitudes α, β',
+  'input.angles': 'Angles θ, φ',
+  'input.vector': 'Vector (x, y, z)',
+  'input.notReal': 'must be a real number',
+  'input.zeroAmplitudes': 'α and β cannot both be zero: they describe no state. The last valid state is kept.',
+  'input.normalizedKet': 'Normalized from ‖ψ‖ = {norm}',
+  'input.thetaRange': 'θ must lie between 0° and 180°',
+  'input.pole': 'At the {pole} pole φ is undefined and does not affect the state',
+  'input.zeroVector': 'The zero vector corresponds to no pure state. The last valid state is kept.',
+  'input.normalizedVector': 'Normalized from |r| = {length}',
+  'input.mixedNotice': 'The qubit is in a mixed state (purity {purity}). The amplitudes show the last pure state; editing them returns to a pure state.',
+  'input.alpha': 'Amplitude α (coefficient of |0⟩)',
+  'input.beta': 'Amplitude β (coefficient of |1⟩)',
+  'input.theta': 'θ, polar angle (degrees)',
+  'input.phi': 'φ, azimuthal angle (degrees)',
+  'input.complexHint': 'Accepts complex expressions: + − × / ^, i, pi, e, sqrt, exp, ln, sin, cos, tan, abs, arg, conj, degrees (60°) and polar form (0.5∠60° or polar(r, θ)). The state is normalized automatically.',
+  'input.realHint': 'Accepts real expressions (180/3, 1/sqrt(2)…). The three modes stay in sync with the state.',
+
+  // Measurement
+  'measurement.axisError': 'Axis n̂, {field}: {message}',
+  'measurement.preview': 'Preview (no collapse)',
+  'measurement.collapse': 'Projective measurement (collapses)',
+  'measurement.measure': 'Measure {basis}',
+  'measurement.axis': 'Arbitrary axis n̂',
+  'measurement.pickHint': 'Click on the sphere to choose n̂',
+  'measurement.picking': 'Click on the sphere…',
+  'measurement.pick': 'Pick on the sphere',
+  'measurement.probabilities': 'Probabilities · {measurement} measurement:',
+  'measurement.result': 'outcome',
+  'measurement.postState': 'post-measurement state r = {vector}',
+  'measurement.log': 'Measurement log',
+  'measurement.clearLog': 'Clear',
+
+  // History entries
+  'history.initial': 'Initial state',
+  'history.edit': 'Edit of {field}',
+  'history.drag': 'Drag on the sphere',
+  'history.circuit': 'Circuit committed ({gates})',
+  'history.gate': 'Gate {gate}',
+  'history.qasm': 'OpenQASM imported ({count} gates)',
+  'history.noise': '{channel} noise ({strength})',
+  'history.measurement': 'Measurement {measurement} → {outcome}',
+  'history.synthesis': 'Synthesized sequence ({gates})',
+  'history.undoHint': 'Undo (Ctrl+Z)',
+  'history.undo': 'Undo',
+  'history.redoHint': 'Redo (Ctrl+Shift+Z)',
+  'history.redo': 'Redo',
+
+  // Gate panel
+  'gates.invalidAngle': 'Invalid angle {angle}: "{text}"',
+  'gates.phase': 'Phase {angle}',
+  'gates.parametric': 'Parametric gates',
+  'gates.degrees': 'Degrees (°)',
+  'gates.piMultiples': 'Multiples of π',
+
+  // Header
+  'header.subtitle': 'BLOCH SPHERE · QUANTUM GATES · MEASUREMENTS',
+  'header.singleQubit': '1 qubit',
+  'header.multiQubit': 'Multi-qubit',
+  'header.language': 'Language',
+
+  // Current state display
+  'display.exact': 'Exact',
+  'display.decimal': 'Decimal',
+  'display.mixedState': 'Mixed state ρ =',
+  'display.globalPhase': 'Global phase {phase} (not observable)',
+  'display.relativePhase': 'relative phase φ = {phase}',
+  'display.ringHint': 'Amplitudes stored as (a + bω + cω² + dω³)/√2^k with integers a, b, c, d',
+  'display.exactRing': 'Exact in ℤ[1/√2, i] · k = {k}',
+  'display.floatHint': 'Amplitudes are computed in floating point and may accumulate rounding error',
+  'display.outsideRing': 'Outside the exact ring: floating point',
+  'display.float': 'Floating point',
+  'display.exactArithmetic': 'Exact Clifford+T arithmetic',
+  'display.blochCoordinates': 'Bloch coordinates:',
+  'display.purity': 'Purity Tr(ρ²) = {value}',
+  'display.entropy': 'Entropy S(ρ) = {value} bits',
+
+  // Superposition panel
+  'superposition.mixedNotice': 'Mixed state: its dominant pure component (eigenvector of ρ) is shown.',
+  'superposition.basisState': 'State {state}',
+  'superposition.real': 'Real: {value}',
+  'superposition.imaginary': 'Imaginary: {value}',
+  'superposition.phase': 'Phase:',
+  'superposition.indicator': 'Superposition state:',
+
+  // Footer
+  'footer.description': 'Interactive view of the state space of a qubit',
+  'footer.summary': 'Quantum gates transform the state | Measurements collapse the wave function'
+};
@@ -0,0 +1,416 @@
+// Spanish messages, the default locale. {name} marks a parameter; keys are
+// grouped by the panel that shows them.
+export default {
+  // Amplitude and angle expressions
+  'expression.column': 'Columna {column}: {message}',
+  'expression.unexpectedCharacter': 'carácter inesperado "{character}"',
+  'expression.empty': 'expresión vacía',
+  'expression.end': 'el final',
+  'expression.expected': 'se esperaba "{expected}" antes de "{found}"',
+  'expression.divisionByZero': 'división por cero',
+  'expression.arity': '{name} espera {arity} argumento(s)',
+  'expression.unknownName': 'nombre desconocido "{name}"',
+  'expression.expectedNumber': 'se esperaba un número antes de "{found}"',
+  'expression.unexpected': '"{found}" inesperado',
+  'expression.notFinite': 'el resultado no es un número finito',
+
+  // Number formatting
+  'format.separator': '; ',
+
+  // Noise channels
+  'noise.bitFlip': 'Bit-flip',
+  'noise.phaseFlip': 'Phase-flip',
+  'noise.depolarizing': 'Despolarizante',
+  'noise.amplitudeDamping': 'Amortiguamiento de amplitud (T1)',
+  'noise.phaseDamping': 'Amortiguamiento de fase (T2)',
+  'noise.invalidParameters': 'Parámetros de ruido no válidos: p ∈ [0, 1], t ≥ 0, T > 0',
+  'noise.channels': 'Canales de ruido',
+  'noise.duration': 'Duración t',
+  'noise.decayTime': '{name} (mismas unidades)',
+  'noise.probability': 'Probabilidad p',
+  'noise.composerActive': 'No disponible con el compositor activo',
+  'noise.apply': 'Aplicar canal',
+
+  // POVMs
+  'povm.trine': 'Trino',
+  'povm.sic': 'Tetraédrico (SIC)',
+  'povm.tooFew': 'Un POVM necesita al menos dos elementos',
+  'povm.negativeWeight': 'E{effect}: el peso w = {weight} es negativo',
+  'povm.notPositive': 'E{effect}: |n| = {length} > 1, el efecto no es positivo',
+  'povm.weightSum': 'Σ Eₖ ≠ I: los pesos suman {total} en lugar de 2',
+  'povm.vectorSum': 'Σ Eₖ ≠ I: Σ wₖ·nₖ = ({sum}) en lugar de 0',
+  'povm.fieldError': 'E{index}, {field}: {message}',
+  'povm.custom': 'personalizado',
+  'povm.conditions': 'Eₖ = wₖ(I + nₖ·σ)/2, con wₖ ≥ 0, |nₖ| ≤ 1, Σ wₖ = 2 y Σ wₖ·nₖ = 0',
+  'povm.weight': 'Peso w',
+  'povm.component': 'Componente {component} de n',
+  'povm.removeElement': 'Quitar elemento',
+  'povm.element': 'Elemento',
+
+  // Bloch sphere view
+  'sphere.pauseRotation': 'Pausar rotación',
+  'sphere.resumeRotation': 'Reanudar rotación',
+  'sphere.planeView': 'Vista del plano {plane}',
+  'sphere.clearTrail': 'Borrar rastro',
+  'sphere.dragCamera': 'Arrastrar mueve la cámara',
+  'sphere.dragState': 'Arrastrar sobre la esfera fija θ y φ',
+  'sphere.stateMode': 'Estado',
+  'sphere.cameraMode': 'Cámara',
+  'sphere.gateAnimation': 'Animación de puertas',
+  'sphere.noAnimation': 'sin animar',
+  'sphere.unitaryAxis': 'U: {angle}',
+
+  // Superposition waves
+  'waves.superposition': 'Superposición',
+  'waves.amplitudesHint': 'Las ondas muestran las amplitudes de |0⟩ (púrpura) y |1⟩ (cyan)',
+  'waves.superpositionHint': 'La onda magenta representa la superposición resultante',
+
+  // Figure export
+  'export.invalidSize': 'El tamaño debe ser un entero de píxeles entre 50 y {max}',
+  'export.invalidCamera': 'La cámara necesita un giro en grados y una inclinación entre −90° y 90°',
+  'export.sphereFile': 'esfera-bloch',
+  'export.wavesFile': 'ondas-superposicion',
+  'export.tooLarge': 'La imagen PNG sería demasiado grande; reduce el tamaño o la escala',
+  'export.pngFailed': 'El navegador no pudo generar el PNG',
+  'export.axisLabel': 'Eje {axis}',
+  'export.stateLabel': 'Vector de estado',
+  'export.waveLabel': 'Onda {state}',
+  'export.sphere': 'Esfera de Bloch',
+  'export.waves': 'Ondas de superposición',
+  'export.svg': 'SVG (vectorial)',
+  'export.width': 'Ancho (px)',
+  'export.height': 'Alto (px)',
+  'export.resolution': 'Resolución PNG',
+  'export.yaw': 'Giro (°)',
+  'export.pitch': 'Inclinación (°)',
+  'export.lightBackground': 'Fondo claro para impresión',
+  'export.preview': 'Vista previa de la figura',
+  'export.download': 'Descargar {format}',
+
+  // Shot experiment
+  'shots.invalidShots': 'El número de disparos debe ser un entero entre 1 y {max}',
+  'shots.basisOption': 'Base {basis}',
+  'shots.basis': 'Base',
+  'shots.shots': 'Disparos (N)',
+  'shots.seed': 'Semilla',
+  'shots.running': 'Midiendo… {done}/{shots}',
+  'shots.run': 'Ejecutar experimento',
+  'shots.theory': 'teoría {value}%',
+  'shots.summary': 'N = {shots} · base {basis} · semilla "{seed}"',
+  'shots.degrees': 'gl = {df}',
+  'shots.rejected': 'Se rechaza el ajuste a la teoría (α = 0.05)',
+  'shots.compatible': 'Compatible con la teoría (α = 0.05)',
+
+  // State tomography
+  'tomography.invalidShots': 'El número de disparos por base debe ser un entero entre 1 y {max}',
+  'tomography.inversionShort': 'LI',
+  'tomography.likelihoodShort': 'MV',
+  'tomography.current': 'Estado actual',
+  'tomography.secret': 'Estado secreto',
+  'tomography.truth': 'Estado verdadero',
+  'tomography.shots': 'Disparos por base (N)',
+  'tomography.reconstruct': 'Reconstruir',
+  'tomography.studyHint': '{trials} tomografías simuladas para cada N de {counts}',
+  'tomography.study': 'Estudio de convergencia',
+  'tomography.truthLegend': 'verdadero',
+  'tomography.truthHidden': 'verdadero (oculto)',
+  'tomography.inversion': 'inversión lineal ({short})',
+  'tomography.likelihood': 'máxima verosimilitud ({short})',
+  'tomography.hide': 'Ocultar',
+  'tomography.reveal': 'Revelar estado',
+  'tomography.counts': 'base {basis}: n₊ = {plus}, n₋ = {minus}',
+  'tomography.outsideBall': '(fuera de la bola: no es un estado)',
+  'tomography.revealHint': 'Revela el estado para compararlo con la reconstrucción.',
+  'tomography.studyCaption': 'Error medio |r̂ − r| en {trials} repeticiones frente a N (escala log-log); la línea discontinua cae como 1/√N',
+
+  // Circuit composer
+  'composer.dragToCircuit': 'Arrastra al circuito',
+  'composer.stepHint': 'Paso {step}: clic para ver el estado tras esta puerta',
+  'composer.empty': 'Arrastra puertas aquí o usa el panel de puertas',
+  'composer.stepBack': 'Paso atrás',
+  'composer.pause': 'Pausa',
+  'composer.play': 'Reproducir',
+  'composer.stepForward': 'Paso adelante',
+  'composer.bin': 'Suelta aquí para borrar',
+  'composer.clear': 'Vaciar',
+  'composer.commitHint': 'Aplica todo el circuito al estado del qubit y lo vacía',
+  'composer.commit': 'Fijar estado final',
+  'composer.active': 'Activo',
+  'composer.inactiveHint': 'Actívalo para construir una secuencia de puertas y recorrerla paso a paso. Con el compositor activo, el panel de puertas añade al circuito en lugar de aplicar.',
+
+  // Panel headings
+  'panel.register': 'REGISTRO MULTI-QUBIT',
+  'panel.gates': 'PUERTAS CUÁNTICAS',
+  'panel.amplitudes': 'AMPLITUDES',
+  'panel.reducedSpheres': 'ESFERAS DE BLOCH REDUCIDAS',
+  'panel.entanglement': 'ENTRELAZAMIENTO',
+  'panel.qubitState': 'ESTADO DEL QUBIT',
+  'panel.composer': 'COMPOSITOR DE CIRCUITOS',
+  'panel.unitary': 'UNITARIA ACUMULADA',
+  'panel.synthesis': 'SÍNTESIS DE PUERTAS',
+  'panel.evolution': 'EVOLUCIÓN TEMPORAL',
+  'panel.measurements': 'MEDICIONES',
+  'panel.shots': 'EXPERIMENTO DE DISPAROS',
+  'panel.tomography': 'TOMOGRAFÍA',
+  'panel.currentState': 'ESTADO ACTUAL',
+  'panel.superposition': 'VISUALIZACIÓN DE SUPERPOSICIÓN',
+  'panel.sphere': 'ESFERA DE BLOCH',
+  'panel.comparison': 'COMPARACIÓN DE ESTADOS',
+  'panel.waves': 'ONDAS DE SUPERPOSICIÓN',
+  'panel.export': 'EXPORTAR FIGURAS',
+  'panel.history': 'HISTORIAL',
+  'panel.sessions': 'SESIONES',
+
+  // Multi-qubit register
+  'register.sameQubit': 'El control y el objetivo deben ser qubits distintos',
+  'register.qubits': '{count} qubits',
+  'register.presets': 'Estados predefinidos',
+  'register.control': 'Control',
+  'register.target': 'Objetivo',
+  'register.singleQubit': 'Un qubit (sobre el objetivo)',
+  'register.multiQubit': 'Varios qubits',
+  'register.toffoliUnavailable': 'Requiere 3 qubits',
+  'register.toffoliControls': 'Controles: los otros dos qubits',
+  'register.basisColumn': 'Base',
+  'register.amplitudeColumn': 'Amplitud',
+  'register.phaseColumn': 'Fase',
+  'register.bits': '{value} bits',
+  'register.concurrence': 'Concurrencia C',
+  'register.entropy': 'Entropía S(q{qubit} | resto)',
+  'register.shortVectorHint': 'Un vector más corto que el radio indica que el qubit está entrelazado con el resto del registro.',
+
+  // Sessions
+  'session.notSession': 'No es una sesión de la calculadora cuántica',
+  'session.invalidVersion': 'Versión de sesión no válida',
+  'session.oldVersion': 'La sesión es de una versión antigua ({version}) que ya no se admite',
+  'session.newVersion': 'Versión de sesión {version} no soportada (se admite la {supported})',
+  'session.missingAmplitudes': 'Faltan las amplitudes α y β o no son numéricas',
+  'session.zeroNorm': 'El estado tiene norma cero',
+  'session.invalidMixed': 'El vector de Bloch del estado mixto no es válido',
+  'session.circuitNotList': 'El circuito debe ser una lista de puertas',
+  'session.unknownGate': 'Puerta {index} del circuito desconocida: {name}',
+  'session.missingAngle': 'Puerta {index} del circuito ({name}): falta el ángulo {angle}',
+  'session.stepOutOfRange': 'El paso del circuito está fuera de rango',
+  'session.invalidJson': 'El archivo no es JSON válido',
+  'session.invalidLinkGate': 'Puerta no válida en el enlace: "{token}"',
+  'session.linkAngles': '{name} espera {count} ángulo(s) en el enlace',
+  'session.invalidLink': 'El enlace no es válido: {message}',
+  'session.restoreFailed': 'No se pudo restaurar la sesión guardada: {message}',
+  'session.linkCopied': 'Enlace copiado al portapapeles',
+  'session.copyFailed': 'No se pudo copiar; copia la URL de la barra de direcciones',
+  'session.fileName': 'sesion-qubit.json',
+  'session.importedLabel': 'Sesión importada ({file})',
+  'session.imported': 'Sesión importada de {file}',
+  'session.importFailed': 'No se pudo importar {file}: {message}',
+  'session.nameRequired': 'Escribe un nombre para la sesión',
+  'session.saved': 'Sesión "{name}" guardada',
+  'session.savedLabel': 'Sesión "{name}"',
+  'session.loaded': 'Sesión "{name}" cargada',
+  'session.loadFailed': 'No se pudo cargar "{name}": {message}',
+  'session.copyLink': 'Copiar enlace',
+  'session.export': 'Exportar JSON',
+  'session.import': 'Importar JSON',
+  'session.namePlaceholder': 'Nombre de la sesión',
+  'session.save': 'Guardar',
+  'session.delete': 'Borrar sesión',
+  'session.autosaveHint': 'La URL y el almacenamiento local se actualizan con cada cambio; el enlace reproduce el estado y el circuito.',
+  'session.linkLabel': 'Sesión del enlace',
+  'session.linkLoaded': 'Sesión cargada desde el enlace',
+  'session.invalidCustomGate': 'Puerta {index} del circuito (Custom): falta su matriz o no es unitaria',
+
+  // OpenQASM
+  'qasm.position': 'Línea {line}, columna {column}: {message}',
+  'qasm.unexpectedCharacter': 'Carácter inesperado "{character}"',
+  'qasm.unclosedComment': 'Comentario sin cerrar',
+  'qasm.end': 'fin del programa',
+  'qasm.expectedSymbol': 'Se esperaba "{expected}" y se encontró "{found}"',
+  'qasm.expected': 'Se esperaba {expected} y se encontró "{found}"',
+  'qasm.invalidExpression': 'Expresión no válida en "{token}"',
+  'qasm.aSize': 'un tamaño',
+  'qasm.invalidSize': 'Tamaño de registro no válido: {size}',
+  'qasm.singleQubitOnly': 'Solo se admiten programas de un qubit',
+  'qasm.aQubit': 'un qubit',
+  'qasm.undeclaredRegister': 'Registro cuántico no declarado: {name}',
+  'qasm.anIndex': 'un índice',
+  'qasm.indexOutOfRange': 'Índice fuera del registro de un qubit: {index}',
+  'qasm.aVersion': 'una versión',
+  'qasm.versionFirst': 'OPENQASM debe ser la primera instrucción',
+  'qasm.unsupportedVersion': 'Versión de OpenQASM no soportada: {version}',
+  'qasm.aFileName': 'un nombre de archivo',
+  'qasm.unsupportedInclude': 'Include no soportado: "{file}"',
+  'qasm.aRegisterName': 'un nombre de registro',
+  'qasm.angleNotFinite': 'El ángulo no es un número finito',
+  'qasm.arity': '{gate} espera {arity} parámetro(s) y recibió {count}',
+  'qasm.singleOperand': '{gate} actúa sobre un único qubit',
+  'qasm.unsupportedStatement': 'Instrucción no soportada: "{token}"',
+  'qasm.preparationComment': 'Preparación del estado inicial',
+  'qasm.customComment': 'Matriz personalizada, como U3 salvo fase global',
+  'qasm.mixedState': 'Un estado mixto no se puede expresar como programa OpenQASM',
+  'qasm.imported': '{count} puerta(s) importada(s)',
+  'qasm.fileName': 'circuito.qasm',
+  'qasm.export': 'Exportar secuencia',
+  'qasm.import': 'Importar y reproducir desde |0⟩',
+
+  // Accumulated unitary and custom gates
+  'unitary.noGates': 'Ninguna puerta desde el último estado fijado',
+  'unitary.gates': '{count} puerta(s): {gates}',
+  'unitary.rotation': 'Rotación {angle} sobre n̂ = {axis}',
+  'unitary.showAxis': 'Mostrar el eje en la esfera',
+  'unitary.play': 'Reproducir como una rotación',
+  'unitary.mixedState': 'Un estado mixto no tiene unitaria acumulada; vuelve a contar desde el próximo estado puro.',
+  'unitary.customGate': 'Puerta personalizada',
+  'unitary.unitary': 'Unitaria (|U†U − I| < {tolerance})',
+  'unitary.notUnitary': 'No es unitaria: máx |U†U − I| = {deviation}',
+  'unitary.apply': 'Aplicar como puerta',
+
+  // Gate-sequence synthesis
+  'synthesis.mixedStart': 'La síntesis parte de un estado puro',
+  'synthesis.noGates': 'Elige al menos una puerta',
+  'synthesis.invalidTolerance': 'La tolerancia 1 − F debe estar en [0, 1)',
+  'synthesis.invalidDepth': 'La profundidad máxima debe ser un entero entre 1 y {max}',
+  'synthesis.invalidTarget': 'Objetivo no válido',
+  'synthesis.noReference': 'No hay una referencia pura fijada',
+  'synthesis.gateSet': 'Conjunto de puertas',
+  'synthesis.custom': 'Personalizado',
+  'synthesis.reference': 'Referencia',
+  'synthesis.target': 'Objetivo',
+  'synthesis.tolerance': 'Tolerancia 1 − F',
+  'synthesis.maxDepth': 'Profundidad máxima',
+  'synthesis.search': 'Buscar secuencia',
+  'synthesis.alreadyThere': 'El estado ya es el objetivo',
+  'synthesis.reached': 'Objetivo alcanzado con {count} puerta(s) de {gates}',
+  'synthesis.unreachable': 'Inalcanzable con {gates}: sus {explored} estados alcanzables no incluyen el objetivo',
+  'synthesis.notReached': 'No alcanzado dentro de los límites ({explored} estados explorados)',
+  'synthesis.best': 'Mejor aproximación encontrada:',
+  'synthesis.empty': '(ninguna puerta)',
+  'synthesis.stale': 'El estado ha cambiado desde la búsqueda',
+  'synthesis.play': 'Reproducir en la esfera',
+
+  // Time evolution
+  'evolution.precession': 'Precesión de Larmor',
+  'evolution.rabi': 'Oscilación de Rabi',
+  'evolution.ramsey': 'Ramsey',
+  'evolution.echo': 'Eco de espín (Hahn)',
+  'evolution.omega': 'ω (rad/t)',
+  'evolution.axisTheta': 'θ de n̂ (°)',
+  'evolution.axisPhi': 'φ de n̂ (°)',
+  'evolution.duration': 'Duración T',
+  'evolution.rabiFrequency': 'Ω (rad/t)',
+  'evolution.detuning': 'Δ (rad/t)',
+  'evolution.phase': 'Fase φ (°)',
+  'evolution.pulse': 'Pulso',
+  'evolution.pulseFrequency': 'Ω de los pulsos (rad/t)',
+  'evolution.wait': 'Espera τ',
+  'evolution.totalWait': 'Espera total τ',
+  'evolution.spread': 'Dispersión σΔ',
+  'evolution.notPositive': 'debe ser positivo',
+  'evolution.hamiltonian': 'H = ½·(Ω cos φ·X + Ω sin φ·Y + Δ·Z) en el marco rotante; H = (ω/2)·n̂·σ para la precesión.',
+  'evolution.ensembleHint': 'Con dispersión, se promedia un conjunto de desintonías gaussianas: el vector medio se acorta.',
+  'evolution.mixedInComposer': 'El promedio del conjunto es un estado mixto, que el compositor no admite',
+  'evolution.apply': 'Aplicar la evolución hasta t al estado',
+
+  // State comparison
+  'comparison.invalidState': 'Estado no válido',
+  'comparison.pinCurrent': 'Fijar el estado actual',
+  'comparison.clear': 'Quitar referencia',
+  'comparison.field': '{field} de la referencia',
+  'comparison.pin': 'Fijar',
+  'comparison.reference': 'Referencia: r = {vector}',
+  'comparison.mixed': '(mixta)',
+  'comparison.traceDistance': 'Distancia de traza D = ½‖ρ − σ‖₁ = {value}',
+  'comparison.buresAngle': 'Ángulo de Bures arccos √F = {radians} rad ({degrees}°)',
+  'comparison.sphereAngle': 'Ángulo en la esfera = {value}',
+  'comparison.empty': 'Sin referencia: fija el estado actual o escribe sus amplitudes.',
+  'comparison.pureTargetsOnly': 'La síntesis solo admite objetivos puros',
+  'comparison.useAsTarget': 'Usar la referencia como objetivo de la síntesis',
+
+  // State input
+  'input.amplitudes': 'Amplitudes α, β',
+  'input.angles': 'Ángulos θ, φ',
+  'input.vector': 'Vector (x, y, z)',
+  'input.notReal': 'debe ser un número real',
+  'input.zeroAmplitudes': 'α y β no pueden ser ambas cero: no describen ningún estado. Se mantiene el último estado válido.',
+  'input.normalizedKet': 'Normalizado desde ‖ψ‖ = {norm}',
+  'input.thetaRange': 'θ debe estar entre 0° y 180°',
+  'input.pole': 'En el polo {pole} φ no está definido y no afecta al estado',
+  'input.zeroVector': 'El vector nulo no corresponde a ningún estado puro. Se mantiene el último estado válido.',
+  'input.normalizedVector': 'Normalizado desde |r| = {length}',
+  'input.mixedNotice': 'El qubit está en un estado mixto (pureza {purity}). Las amplitudes muestran el último estado puro; editarlas vuelve a un estado puro.',
+  'input.alpha': 'Amplitud α (coeficiente de |0⟩)',
+  'input.beta': 'Amplitud β (coeficiente de |1⟩)',
+  'input.theta': 'θ, ángulo polar (grados)',
+  'input.phi': 'φ, ángulo azimutal (grados)',
+  'input.complexHint': 'Admite expresiones complejas: + − × / ^, i, pi, e, sqrt, exp, ln, sin, cos, tan, abs, arg, conj, grados (60°) y forma polar (0.5∠60° o polar(r, θ)). El estado se normaliza automáticamente.',
+  'input.realHint': 'Admite expresiones reales (180/3, 1/sqrt(2)…). Los tres modos se mantienen sincronizados con el estado.',
+
+  // Measurement
+  'measurement.axisError': 'Eje n̂, {field}: {message}',
+  'measurement.preview': 'Vista previa (sin colapso)',
+  'measurement.collapse': 'Medición proyectiva (colapsa)',
+  'measurement.measure': 'Medir {basis}',
+  'measurement.axis': 'Eje arbitrario n̂',
+  'measurement.pickHint': 'Hacer clic en la esfera para elegir n̂',
+  'measurement.picking': 'Clic en la esfera…',
+  'measurement.pick': 'Elegir en la esfera',
+  'measurement.probabilities': 'Probabilidades · medición {measurement}:',
+  'measurement.result': 'resultado',
+  'measurement.postState': 'estado posterior r = {vector}',
+  'measurement.log': 'Registro de mediciones',
+  'measurement.clearLog': 'Borrar',
+
+  // History entries
+  'history.initial': 'Estado inicial',
+  'history.edit': 'Edición de {field}',
+  'history.drag': 'Arrastre en la esfera',
+  'history.circuit': 'Circuito fijado ({gates})',
+  'history.gate': 'Puerta {gate}',
+  'history.qasm': 'OpenQASM importado ({count} puertas)',
+  'history.noise': 'Ruido {channel} ({strength})',
+  'history.measurement': 'Medición {measurement} → {outcome}',
+  'history.synthesis': 'Secuencia sintetizada ({gates})',
+  'history.undoHint': 'Deshacer (Ctrl+Z)',
+  'history.undo': 'Deshacer',
+  'history.redoHint': 'Rehacer (Ctrl+Shift+Z)',
+  'history.redo': 'Rehacer',
+
+  // Gate panel
+  'gates.invalidAngle': 'Ángulo {angle} no válido: "{text}"',
+  'gates.phase': 'Fase {angle}',
+  'gates.parametric': 'Puertas paramétricas',
+  'gates.degrees': 'Grados (°)',
+  'gates.piMultiples': 'Múltiplos de π',
+
+  // Header
+  'header.subtitle': 'ESFERA DE BLOCH · PUERTAS CUÁNTICAS · MEDICIONES',
+  'header.singleQubit': '1 qubit',
+  'header.multiQubit': 'Multi-qubit',
+  'header.language': 'Idioma',
+
+  // Current state display
+  'display.exact': 'Exacto',
+  'display.decimal': 'Decimal',
+  'display.mixedState': 'Estado mixto ρ =',
+  'display.globalPhase': 'Fase global {phase} (no observable)',
+  'display.relativePhase': 'fase relativa φ = {phase}',
+  'display.ringHint': 'Amplitudes guardadas como (a + bω + cω² + dω³)/√2^k con enteros a, b, c, d',
+  'display.exactRing': 'Exacto en ℤ[1/√2, i] · k = {k}',
+  'display.floatHint': 'Las amplitudes se calculan en coma flotante y pueden acumular error de redondeo',
+  'display.outsideRing': 'Fuera del anillo exacto: coma flotante',
+  'display.float': 'Coma flotante',
+  'display.exactArithmetic': 'Aritmética exacta Clifford+T',
+  'display.blochCoordinates': 'Coordenadas Bloch:',
+  'display.purity': 'Pureza Tr(ρ²) = {value}',
+  'display.entropy': 'Entropía S(ρ) = {value} bits',
+
+  // Superposition panel
+  'superposition.mixedNotice': 'Estado mixto: se muestra su componente pura dominante (autovector de ρ).',
+  'superposition.basisState': 'Estado {state}',
+  'superposition.real': 'Real: {value}',
+  'superposition.imaginary': 'Imaginaria: {value}',
+  'superposition.phase': 'Fase:',
+  'superposition.indicator': 'Estado de superposición:',
+
+  // Footer
+  'footer.description': 'Visualización interactiva del espacio de estados de un qubit',
+  'footer.summary': 'Las puertas cuánticas transforman el estado | Las mediciones colapsan la función de onda'
+};